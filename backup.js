@@ -0,0 +1,354 @@
+// Personal Blog Platform - Export & Import
+// Versioned JSON backups of every post, a schema check for
+// imported records and the strategies for merging them in
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const EXPORT_FORMAT = "personal-blog-export"; // Marks our backup documents
+const EXPORT_VERSION = 1; // Bump when the exported post shape changes
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // Keys of post.viewsByDay
+const AUTHOR_COLOR_PATTERN = /^#[0-9a-f]{6}$/i; // Avatar colours, e.g. #2563eb
+
+// Field rules for an imported post; unknown fields are dropped.
+// Only id, title and content are required so older backups still import;
+// missing fields are filled in by the same migration as stored posts.
+const POST_SCHEMA = {
+  id: { type: "string", required: true, nonEmpty: true },
+  title: { type: "string", required: true, nonEmpty: true },
+  content: { type: "string", required: true },
+  format: { type: "string", oneOf: ["markdown", "plain"] },
+  tags: { type: "array", items: "string" },
+  category: { type: "string" },
+  status: {
+    type: "string",
+    oneOf: ["published", "draft", "scheduled", "archived"],
+  },
+  publishAt: { type: "timestamp", nullable: true },
+  deletedAt: { type: "timestamp", nullable: true }, // Moved to the trash
+  coverImageId: { type: "string", nullable: true }, // Image data isn't exported
+  authorId: { type: "string", nullable: true }, // Id of an author profile
+  createdAt: { type: "timestamp" },
+  updatedAt: { type: "timestamp" },
+  timestamp: { type: "timestamp" }, // Posts saved before createdAt existed
+  views: { type: "count" },
+  viewsByDay: { type: "dayCounts" }, // Views per local day, e.g. {"2025-11-08": 3}
+  version: { type: "count" }, // Sync server version
+  ratings: { type: "array", items: "rating" },
+  comments: { type: "array", items: "comment" },
+  revisions: { type: "array", items: "revision" },
+};
+
+// ============================================
+// EXPORT FUNCTIONS
+// ============================================
+
+/**
+ * Build the export document for a list of posts
+ * @param {Object[]} allPosts - Posts to export
+ * @param {number} now - Export time
+ * @param {Object[]} profiles - Author profiles the posts' bylines refer to
+ * @returns {Object} Export document
+ */
+function createExportDocument(allPosts, now = Date.now(), profiles = []) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    postCount: allPosts.length,
+    posts: allPosts,
+    authors: profiles,
+  };
+}
+
+/**
+ * Build the file name for an export
+ * @param {number} now - Export time
+ * @returns {string} File name, e.g. personal-blog-2025-11-08.json
+ */
+function getExportFilename(now = Date.now()) {
+  return `personal-blog-${new Date(now).toISOString().slice(0, 10)}.json`;
+}
+
+// ============================================
+// VALIDATION FUNCTIONS
+// ============================================
+
+/**
+ * Check one value against a simple type name
+ * @param {*} value - Value to check
+ * @param {string} type - 'string', 'timestamp', 'count', 'array', 'dayCounts',
+ *   'rating', 'revision', 'comment' or 'author'
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "timestamp":
+      return Number.isFinite(value) && value >= 0;
+    case "count":
+      return Number.isInteger(value) && value >= 0;
+    case "array":
+      return Array.isArray(value);
+    case "dayCounts":
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.entries(value).every(
+          ([day, count]) =>
+            DAY_KEY_PATTERN.test(day) && matchesType(count, "count")
+        )
+      );
+    case "rating":
+      // Bare numbers are ratings from before raters were recorded
+      if (typeof value === "number") {
+        return Number.isInteger(value) && value >= 1 && value <= 5;
+      }
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        typeof value.raterId === "string" &&
+        Number.isInteger(value.rating) &&
+        value.rating >= 1 &&
+        value.rating <= 5 &&
+        matchesType(value.ratedAt, "timestamp")
+      );
+    case "revision":
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        typeof value.id === "string" &&
+        typeof value.title === "string" &&
+        typeof value.content === "string" &&
+        matchesType(value.savedAt, "timestamp")
+      );
+    case "comment":
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        typeof value.id === "string" &&
+        (value.parentId === null || typeof value.parentId === "string") &&
+        typeof value.author === "string" &&
+        typeof value.content === "string" &&
+        matchesType(value.createdAt, "timestamp")
+      );
+    case "author":
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        typeof value.id === "string" &&
+        value.id !== "" &&
+        typeof value.name === "string" &&
+        value.name.trim() !== "" &&
+        typeof value.bio === "string" &&
+        typeof value.color === "string" &&
+        AUTHOR_COLOR_PATTERN.test(value.color)
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate an imported post against POST_SCHEMA
+ * @param {*} record - Parsed record
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validatePostRecord(record) {
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    return [t("import.notObject")];
+  }
+
+  const errors = [];
+
+  Object.entries(POST_SCHEMA).forEach(([field, rule]) => {
+    const value = record[field];
+
+    if (value === undefined) {
+      if (rule.required) errors.push(t("import.fieldRequired", { field }));
+      return;
+    }
+    if (value === null && rule.nullable) {
+      return;
+    }
+    if (!matchesType(value, rule.type)) {
+      errors.push(t("import.fieldType", { field, type: rule.type }));
+      return;
+    }
+    if (rule.nonEmpty && !value.trim()) {
+      errors.push(t("import.fieldEmpty", { field }));
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      errors.push(
+        t("import.fieldOneOf", { field, values: rule.oneOf.join(", ") })
+      );
+    }
+    if (rule.items) {
+      const badIndex = value.findIndex(
+        (item) => !matchesType(item, rule.items)
+      );
+      if (badIndex !== -1) {
+        errors.push(
+          t("import.fieldType", {
+            field: `${field}[${badIndex}]`,
+            type: rule.items,
+          })
+        );
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Copy only the fields POST_SCHEMA knows about
+ * @param {Object} record - Valid record
+ * @returns {Object} Clean post object
+ */
+function pickSchemaFields(record) {
+  const post = {};
+  Object.keys(POST_SCHEMA).forEach((field) => {
+    if (record[field] !== undefined) {
+      post[field] = record[field];
+    }
+  });
+  return post;
+}
+
+/**
+ * Parse and validate the text of an import file
+ * A bare array of posts (a raw localStorage dump) is accepted as version 0.
+ * Author profiles are optional; malformed or repeated ones are left out.
+ * @param {string} text - File contents
+ * @returns {{fatal: string|null, posts: Object[], authors: Object[], errors: {index: number, id: string, messages: string[]}[]}}
+ *   Valid posts and author profiles plus per-record errors, or a fatal
+ *   error for the whole file
+ */
+function parseImportDocument(text) {
+  const result = { fatal: null, posts: [], authors: [], errors: [] };
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    result.fatal = t("import.notJson");
+    return result;
+  }
+
+  let records;
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (data && data.format === EXPORT_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+      result.fatal = t("import.unsupportedVersion", {
+        version: String(data.version),
+      });
+      return result;
+    }
+    if (!Array.isArray(data.posts)) {
+      result.fatal = t("import.noPosts");
+      return result;
+    }
+    records = data.posts;
+
+    const authorIds = new Set();
+    (Array.isArray(data.authors) ? data.authors : []).forEach((author) => {
+      if (matchesType(author, "author") && !authorIds.has(author.id)) {
+        authorIds.add(author.id);
+        const { id, name, bio, color } = author;
+        result.authors.push({ id, name, bio, color });
+      }
+    });
+  } else {
+    result.fatal = t("import.notExport");
+    return result;
+  }
+
+  const seenIds = new Set();
+  records.forEach((record, index) => {
+    const messages = validatePostRecord(record);
+    const id = record && typeof record.id === "string" ? record.id : "";
+
+    if (messages.length === 0 && seenIds.has(id)) {
+      messages.push(t("import.duplicateId", { id }));
+    }
+    if (messages.length > 0) {
+      result.errors.push({ index, id, messages });
+      return;
+    }
+
+    seenIds.add(id);
+    result.posts.push(pickSchemaFields(record));
+  });
+
+  return result;
+}
+
+// ============================================
+// MERGE FUNCTIONS
+// ============================================
+
+/**
+ * Count imported posts whose id is already in use
+ * @param {Object[]} existing - Current posts
+ * @param {Object[]} incoming - Imported posts
+ * @returns {number} Number of colliding ids
+ */
+function countIdCollisions(existing, incoming) {
+  const ids = new Set(existing.map((post) => post.id));
+  return incoming.filter((post) => ids.has(post.id)).length;
+}
+
+/**
+ * Combine current and imported posts
+ * - replace: imported posts take the place of every current post
+ * - merge: imported posts overwrite current posts with the same id
+ * - keep-both: colliding imported posts are added under a new id
+ * @param {Object[]} existing - Current posts
+ * @param {Object[]} incoming - Imported posts
+ * @param {string} strategy - 'replace', 'merge' or 'keep-both'
+ * @param {Function} createId - Generates ids for keep-both copies
+ * @returns {{posts: Object[], added: number, replaced: number, removed: number}}
+ *   New post list and what changed
+ */
+function mergeImportedPosts(existing, incoming, strategy, createId) {
+  if (strategy === "replace") {
+    return {
+      posts: [...incoming],
+      added: incoming.length,
+      replaced: 0,
+      removed: existing.length,
+    };
+  }
+
+  const merged = [...existing];
+  const indexById = new Map(merged.map((post, index) => [post.id, index]));
+  const added = [];
+  let replaced = 0;
+
+  incoming.forEach((post) => {
+    if (!indexById.has(post.id)) {
+      added.push(post);
+    } else if (strategy === "merge") {
+      merged[indexById.get(post.id)] = post;
+      replaced++;
+    } else {
+      let id = createId();
+      while (indexById.has(id)) {
+        id = createId();
+      }
+      added.push({ ...post, id });
+    }
+  });
+
+  return {
+    posts: [...added, ...merged],
+    added: added.length,
+    replaced,
+    removed: 0,
+  };
+}
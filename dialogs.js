@@ -0,0 +1,430 @@
+// Personal Blog Platform - Dialogs & Notifications
+// One modal dialog component for the whole app: focus moves into an open
+// dialog and Tab can't leave it, Escape or a click on the overlay cancels
+// the topmost one, and closing puts focus back where it was. In-page
+// replacements for alert, confirm and prompt are shown one at a time, and
+// notifications stack up instead of replacing each other.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const TOAST_DURATION_MS = 8000; // How long a notification stays up (errors twice that)
+const MAX_VISIBLE_TOASTS = 3; // Later notifications wait for one to close
+const TABBABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  'input:not([disabled]):not([type="hidden"])',
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+// ============================================
+// STATE
+// ============================================
+
+const openDialogs = []; // { dialog, onCancel, returnFocus }, topmost last
+const messageQueue = []; // Message dialogs waiting for the one on screen
+let currentMessage = null; // Message dialog on screen (see queueMessage)
+const visibleToasts = []; // Notifications on screen, oldest first
+const toastQueue = []; // Notifications waiting for room on screen
+
+const messageDialog = document.getElementById("messageDialog");
+const messageDialogForm = document.getElementById("messageDialogForm");
+const messageDialogText = document.getElementById("messageDialogText");
+const messageDialogInput = document.getElementById("messageDialogInput");
+const messageDialogCancel = document.getElementById("messageDialogCancel");
+const messageDialogConfirm = document.getElementById("messageDialogConfirm");
+const toastRegion = document.getElementById("toastRegion");
+
+// ============================================
+// MODAL DIALOGS
+// ============================================
+
+/**
+ * Open a modal dialog on top of any that are already open
+ * Opening one that is already open only updates its cancel handler
+ * @param {HTMLElement} dialog - .modal element
+ * @param {Object} options - Dialog options
+ * @param {Function} [options.onCancel] - Called for Escape or a click on
+ *   the overlay; closes the dialog by default
+ * @param {HTMLElement} [options.initialFocus] - Element to focus first
+ *   (the first focusable one by default)
+ */
+function openDialog(dialog, { onCancel, initialFocus } = {}) {
+  const cancel = onCancel || (() => closeDialog(dialog));
+  const existing = openDialogs.find((entry) => entry.dialog === dialog);
+
+  if (existing) {
+    existing.onCancel = cancel;
+    return;
+  }
+
+  openDialogs.push({
+    dialog,
+    onCancel: cancel,
+    returnFocus: document.activeElement,
+  });
+  dialog.classList.add("active");
+  dialog.setAttribute("aria-hidden", "false");
+
+  const target = initialFocus || getFocusableElements(dialog)[0];
+  if (target) target.focus();
+}
+
+/**
+ * Close a modal dialog and, if it was on top, refocus what had focus before
+ * @param {HTMLElement} dialog - .modal element
+ */
+function closeDialog(dialog) {
+  const index = openDialogs.findIndex((entry) => entry.dialog === dialog);
+  if (index === -1) return;
+
+  const [{ returnFocus }] = openDialogs.splice(index, 1);
+  dialog.classList.remove("active");
+  dialog.setAttribute("aria-hidden", "true");
+
+  const wasOnTop = index === openDialogs.length;
+  if (wasOnTop && returnFocus && returnFocus.isConnected) {
+    returnFocus.focus();
+  }
+}
+
+/**
+ * Check whether a modal dialog is open
+ * @param {HTMLElement} [dialog] - .modal element (any dialog if left out)
+ * @returns {boolean} True if open
+ */
+function isDialogOpen(dialog) {
+  return dialog
+    ? openDialogs.some((entry) => entry.dialog === dialog)
+    : openDialogs.length > 0;
+}
+
+/**
+ * List the elements Tab can reach inside a container
+ * @param {HTMLElement} container - Element to search
+ * @returns {HTMLElement[]} Focusable elements in document order
+ */
+function getFocusableElements(container) {
+  // Skips controls taken out of the tab order (tabindex -1) and hidden ones
+  return [...container.querySelectorAll(TABBABLE_SELECTOR)].filter(
+    (el) => el.tabIndex >= 0 && !el.closest("[hidden], .hidden")
+  );
+}
+
+/**
+ * Cancel the topmost dialog with Escape and keep Tab inside it
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleDialogKeydown(e) {
+  const top = openDialogs[openDialogs.length - 1];
+  if (!top) return;
+
+  if (e.key === "Escape") {
+    e.preventDefault();
+    top.onCancel();
+    return;
+  }
+  if (e.key !== "Tab") return;
+
+  const focusable = getFocusableElements(top.dialog);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const isInside = top.dialog.contains(document.activeElement);
+
+  if (!first) {
+    e.preventDefault();
+  } else if (e.shiftKey && (!isInside || document.activeElement === first)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Cancel the topmost dialog when its overlay is clicked
+ * @param {MouseEvent} e - Click event
+ */
+function handleDialogClick(e) {
+  const top = openDialogs[openDialogs.length - 1];
+  if (!top) return;
+
+  if (
+    e.target === top.dialog ||
+    (e.target.classList.contains("modal-overlay") &&
+      top.dialog.contains(e.target))
+  ) {
+    top.onCancel();
+  }
+}
+
+// ============================================
+// MESSAGE DIALOGS
+// ============================================
+
+/**
+ * Show a message, like alert() but without blocking the page
+ * @param {string} message - Text to show
+ * @returns {Promise<void>} Resolves once it is dismissed
+ */
+function showAlert(message) {
+  return queueMessage({ kind: "alert", message }).then(() => undefined);
+}
+
+/**
+ * Ask a yes/no question, like confirm()
+ * @param {string} message - Question to ask
+ * @param {Object} options - Button options
+ * @param {string} [options.confirmLabel] - Confirm button text (OK by default)
+ * @param {boolean} [options.danger] - The confirm button destroys something:
+ *   style it as such and focus Cancel first
+ * @returns {Promise<boolean>} True if confirmed
+ */
+function showConfirm(message, { confirmLabel, danger = false } = {}) {
+  return queueMessage({ kind: "confirm", message, confirmLabel, danger });
+}
+
+/**
+ * Ask for a line of text, like prompt()
+ * @param {string} message - Question to ask
+ * @param {string} defaultValue - Text the field starts with
+ * @returns {Promise<string|null>} Entered text, or null if cancelled
+ */
+function showPrompt(message, defaultValue = "") {
+  return queueMessage({ kind: "prompt", message, defaultValue });
+}
+
+/**
+ * Queue a message dialog behind any already waiting
+ * @param {Object} message - kind ('alert', 'confirm' or 'prompt'), message,
+ *   and confirmLabel, danger or defaultValue
+ * @returns {Promise<boolean|string|null>} Answer (see showConfirm/showPrompt)
+ */
+function queueMessage(message) {
+  return new Promise((resolve) => {
+    messageQueue.push({ ...message, resolve });
+    if (!currentMessage) {
+      showNextMessage();
+    }
+  });
+}
+
+/**
+ * Show the next waiting message dialog, if any
+ */
+function showNextMessage() {
+  currentMessage = messageQueue.shift() || null;
+  if (!currentMessage) return;
+
+  const { kind, message, confirmLabel, danger, defaultValue } = currentMessage;
+  messageDialog.setAttribute(
+    "role",
+    kind === "prompt" ? "dialog" : "alertdialog"
+  );
+  messageDialogText.textContent = message;
+  messageDialogInput.hidden = kind !== "prompt";
+  messageDialogInput.value = kind === "prompt" ? defaultValue : "";
+  messageDialogCancel.hidden = kind === "alert";
+  messageDialogCancel.textContent = t("action.cancel");
+  messageDialogConfirm.textContent = confirmLabel || t("dialog.ok");
+  messageDialogConfirm.className = `btn ${
+    danger ? "btn-delete" : "btn-primary"
+  }`;
+
+  openDialog(messageDialog, {
+    onCancel: () => finishMessage(false),
+    initialFocus:
+      kind === "prompt"
+        ? messageDialogInput
+        : danger
+        ? messageDialogCancel
+        : messageDialogConfirm,
+  });
+  if (kind === "prompt") {
+    messageDialogInput.select();
+  }
+}
+
+/**
+ * Answer the message dialog on screen and move on to the next one
+ * @param {boolean} confirmed - OK (true) or Cancel/Escape (false)
+ */
+function finishMessage(confirmed) {
+  if (!currentMessage) return;
+
+  const { kind, resolve } = currentMessage;
+  const value = messageDialogInput.value;
+  closeDialog(messageDialog);
+  resolve(kind === "prompt" ? (confirmed ? value : null) : confirmed);
+  showNextMessage();
+}
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+/**
+ * Show a short notification, optionally with one action button
+ * Only the newest notification keeps an action, since undo and redo
+ * only ever apply to the latest step
+ * @param {string} message - Text to show
+ * @param {{label: string, run: Function}|null} action - Button, e.g. Undo
+ */
+function showToast(message, action = null) {
+  queueToast({ message, action, isError: false });
+}
+
+/**
+ * Show an error notification, announced right away
+ * @param {string} message - Text to show
+ */
+function showError(message) {
+  queueToast({ message, action: null, isError: true });
+}
+
+/**
+ * Add a notification to the stack, or refresh the same one already there
+ * @param {Object} toast - message, action and isError
+ */
+function queueToast(toast) {
+  const repeat = [...visibleToasts, ...toastQueue].find(
+    (other) =>
+      !toast.action &&
+      !other.action &&
+      other.message === toast.message &&
+      other.isError === toast.isError
+  );
+  if (repeat) {
+    if (repeat.element) startToastTimer(repeat);
+    return;
+  }
+
+  if (toast.action) {
+    visibleToasts
+      .filter((other) => other.action)
+      .forEach((other) => closeToast(other));
+    for (let i = toastQueue.length - 1; i >= 0; i--) {
+      if (toastQueue[i].action) toastQueue.splice(i, 1);
+    }
+  }
+
+  toastQueue.push(toast);
+  showQueuedToasts();
+}
+
+/**
+ * Show waiting notifications while there is room
+ */
+function showQueuedToasts() {
+  while (visibleToasts.length < MAX_VISIBLE_TOASTS && toastQueue.length > 0) {
+    renderToast(toastQueue.shift());
+  }
+}
+
+/**
+ * Add a notification's element to the stack and start its timer
+ * @param {Object} toast - Notification from queueToast
+ */
+function renderToast(toast) {
+  const element = document.createElement("div");
+  element.className = `toast${toast.isError ? " toast-error" : ""}`;
+  if (toast.isError) {
+    // Errors interrupt; everything else waits for the polite region
+    element.setAttribute("role", "alert");
+  }
+  element.innerHTML = `
+    <span class="toast-message"></span>
+    <button type="button" class="toast-action" data-action="run" hidden></button>
+    <button type="button" class="toast-close" data-action="dismiss">×</button>
+  `;
+  element.querySelector(".toast-message").textContent = toast.message;
+  element
+    .querySelector(".toast-close")
+    .setAttribute("aria-label", t("toast.dismiss"));
+  if (toast.action) {
+    const button = element.querySelector(".toast-action");
+    button.textContent = toast.action.label;
+    button.hidden = false;
+  }
+
+  toast.element = element;
+  visibleToasts.push(toast);
+  toastRegion.appendChild(element);
+  startToastTimer(toast);
+}
+
+/**
+ * (Re)start the timer that closes a notification
+ * @param {Object} toast - Notification on screen
+ */
+function startToastTimer(toast) {
+  clearTimeout(toast.timer);
+  toast.timer = setTimeout(
+    () => expireToast(toast),
+    toast.isError ? TOAST_DURATION_MS * 2 : TOAST_DURATION_MS
+  );
+}
+
+/**
+ * Close a notification once its time is up, unless it has keyboard focus
+ * @param {Object} toast - Notification on screen
+ */
+function expireToast(toast) {
+  if (toast.element.contains(document.activeElement)) {
+    startToastTimer(toast);
+  } else {
+    closeToast(toast);
+  }
+}
+
+/**
+ * Close a notification now and make room for the next one
+ * @param {Object} toast - Notification on screen
+ */
+function closeToast(toast) {
+  const index = visibleToasts.indexOf(toast);
+  if (index === -1) return;
+
+  clearTimeout(toast.timer);
+  visibleToasts.splice(index, 1);
+  toast.element.remove();
+  showQueuedToasts();
+}
+
+/**
+ * Run a notification's action or dismiss it
+ * @param {MouseEvent} e - Click event
+ */
+function handleToastClick(e) {
+  const button = e.target.closest("[data-action]");
+  const toast =
+    button && visibleToasts.find((shown) => shown.element.contains(button));
+  if (!toast) return;
+
+  closeToast(toast);
+  if (button.getAttribute("data-action") === "run") {
+    toast.action.run();
+  }
+}
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Listen for the keys and clicks every dialog and notification shares
+ */
+function initDialogs() {
+  document.addEventListener("keydown", handleDialogKeydown);
+  document.addEventListener("click", handleDialogClick);
+  messageDialogForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    finishMessage(true);
+  });
+  messageDialogCancel.addEventListener("click", () => finishMessage(false));
+  toastRegion.addEventListener("click", handleToastClick);
+}
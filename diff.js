@@ -0,0 +1,149 @@
+// Personal Blog Platform - Text Diff
+// Line and word diffs between two revisions of a post,
+// based on the longest common subsequence of the two texts
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MAX_DIFF_CELLS = 4000000; // Largest LCS table before falling back
+
+// ============================================
+// DIFF FUNCTIONS
+// ============================================
+
+/**
+ * Diff two sequences of strings
+ * @param {string[]} a - Old sequence
+ * @param {string[]} b - New sequence
+ * @returns {{type: string, value: string}[]} Operations: 'equal', 'delete' or 'insert'
+ */
+function diffSequences(a, b) {
+  // Common prefix and suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((value) => ({ type: "equal", value }));
+  const tail = a.slice(endA).map((value) => ({ type: "equal", value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Very large changes are shown as a full replacement
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...midA.map((value) => ({ type: "delete", value })),
+      ...midB.map((value) => ({ type: "insert", value })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const lcs = Array.from(
+    { length: midA.length + 1 },
+    () => new Uint32Array(midB.length + 1)
+  );
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: "equal", value: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "delete", value: midA[i] });
+      i++;
+    } else {
+      ops.push({ type: "insert", value: midB[j] });
+      j++;
+    }
+  }
+  while (i < midA.length) {
+    ops.push({ type: "delete", value: midA[i++] });
+  }
+  while (j < midB.length) {
+    ops.push({ type: "insert", value: midB[j++] });
+  }
+
+  return [...head, ...ops, ...tail];
+}
+
+/**
+ * Diff two strings word by word, keeping whitespace as its own token
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {{type: string, value: string}[]} Operations
+ */
+function diffWords(oldText, newText) {
+  const split = (text) => text.match(/\s+|[^\s]+/g) || [];
+  return diffSequences(split(oldText), split(newText));
+}
+
+/**
+ * Diff two texts line by line, pairing changed lines for a word diff
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {{type: string, value?: string, words?: Object[]}[]} Line operations;
+ *   'change' lines carry a word diff instead of a value
+ */
+function diffLines(oldText, newText) {
+  const ops = diffSequences(
+    String(oldText).split("\n"),
+    String(newText).split("\n")
+  );
+  const result = [];
+  let i = 0;
+
+  while (i < ops.length) {
+    if (ops[i].type === "equal") {
+      result.push(ops[i]);
+      i++;
+      continue;
+    }
+
+    // Collect a run of deletions followed by insertions
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type === "delete") {
+      deleted.push(ops[i++].value);
+    }
+    while (i < ops.length && ops[i].type === "insert") {
+      inserted.push(ops[i++].value);
+    }
+
+    // Lines replaced one-for-one are shown with their changed words
+    const paired = Math.min(deleted.length, inserted.length);
+    for (let k = 0; k < paired; k++) {
+      result.push({
+        type: "change",
+        words: diffWords(deleted[k], inserted[k]),
+      });
+    }
+    deleted
+      .slice(paired)
+      .forEach((value) => result.push({ type: "delete", value }));
+    inserted
+      .slice(paired)
+      .forEach((value) => result.push({ type: "insert", value }));
+  }
+
+  return result;
+}
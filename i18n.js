@@ -0,0 +1,1024 @@
+// Personal Blog Platform - Translations
+// Message catalogues, plurals and locale-aware dates and numbers. Shared
+// by the app (script.js) and the static site generator
+// (tools/build-site.js), so these functions must not touch the DOM.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_LOCALE = "en"; // Used for missing messages and unknown languages
+const LOCALE_NAMES = { en: "English", it: "Italiano" }; // Each in its own language
+
+// Longest unit first; a time gap is shown in the first unit it fills
+const RELATIVE_TIME_UNITS = [
+  ["year", 365 * 24 * 60 * 60 * 1000],
+  ["month", 30 * 24 * 60 * 60 * 1000],
+  ["week", 7 * 24 * 60 * 60 * 1000],
+  ["day", 24 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000],
+  ["minute", 60 * 1000],
+];
+
+// Messages by locale, then key. A message is a string, or an object of
+// plural forms (one, other, ...) picked by its count parameter; {name}
+// placeholders are filled from parameters. Parameters are inserted as
+// they are, so callers escape anything going into HTML.
+const MESSAGES = {
+  en: {
+    // Shared actions
+    "action.back": "Back",
+    "action.cancel": "Cancel",
+    "action.delete": "Delete",
+    "action.deleteForever": "Delete forever",
+    "action.discard": "Discard",
+    "action.edit": "Edit",
+    "action.export": "Export",
+    "action.hideForm": "Hide Form",
+    "action.import": "Import",
+    "action.newPost": "New Post",
+    "action.publishNow": "Publish Now",
+    "action.rate": "Rate",
+    "action.readMore": "Read More",
+    "action.redo": "Redo",
+    "action.restore": "Restore",
+    "action.save": "Save",
+    "action.saveChanges": "Save changes",
+    "action.sync": "Sync",
+    "action.undo": "Undo",
+
+    // Page shell and static site
+    "site.pageTitle":
+      "Personal Blog Platform | Create, Edit & Share Your Thoughts",
+    "site.name": "My Personal Blog",
+    "site.tagline": "Share your thoughts and ideas",
+    "site.skipLink": "Skip to main content",
+    "site.footer":
+      "© 2025 Personal Blog Platform. Built with vanilla JavaScript.",
+    "site.noPosts": "No posts yet.",
+    "site.newer": "← Newer",
+    "site.older": "Older →",
+    "site.pageOf": "Page {page} of {count}",
+    "site.taggedHeading": "Posts tagged #{tag}",
+    "language.label": "Language",
+    "reading.progress": "Reading progress",
+    "toast.dismiss": "Dismiss notification",
+    "toast.region": "Notifications",
+    "dialog.ok": "OK",
+    "nav.stats": "Stats",
+    "nav.authors": "Authors",
+    "nav.trash": "Trash",
+    "nav.trashCount": "Trash ({count})",
+
+    // Post forms
+    "form.newHeading": "Create New Post",
+    "form.instructions":
+      "Fill in the form below to create a new blog post. Both title and content are required.",
+    "form.title": "Post Title *",
+    "form.titlePlaceholder": "Enter your post title...",
+    "form.content": "Post Content *",
+    "form.contentPlaceholder": "Write your thoughts...",
+    "form.markdownHint":
+      "Markdown supported: **bold**, _italic_, # headings, [links](https://…), ![images](https://…), ```code```, > quotes and | tables |. Drop or paste pictures to add them.",
+    "form.cover": "Cover Image",
+    "form.coverPreview": "Cover image preview",
+    "form.removeCover": "Remove cover",
+    "form.coverHint":
+      "Choose or drop an image. Images are resized and kept in this browser only.",
+    "form.author": "Author",
+    "form.authorHint": "Add people under",
+    "form.tags": "Tags",
+    "form.selectedTags": "Selected tags",
+    "form.tagPlaceholder": "Add a tag...",
+    "form.tagsHint": "Press Enter or comma to add a tag.",
+    "form.category": "Category",
+    "form.categoryPlaceholder": "e.g. Travel",
+    "form.publishAt": "Publish At",
+    "form.publishAtHint": "Only needed when scheduling a post.",
+    "form.publish": "Publish Post",
+    "form.saveDraft": "Save Draft",
+    "form.schedule": "Schedule",
+    "edit.heading": "Edit Post",
+    "edit.close": "Close modal",
+    "edit.status": "Status",
+    "edit.submit": "Update Post",
+    "tags.remove": "Remove tag {tag}",
+    "validation.titleRequired": "Title is required",
+    "validation.titleTooShort": "Title must be at least {count} characters",
+    "validation.titleTooLong": "Title must be less than {count} characters",
+    "validation.contentRequired": "Content is required",
+    "validation.contentTooShort": "Content must be at least {count} characters",
+    "validation.publishAtRequired": "Choose when the post should be published",
+    "validation.publishAtPast": "Publish time must be in the future",
+
+    // Post list
+    "list.heading": "My Posts",
+    "list.empty": "📭 No posts yet. Create your first post above!",
+    "list.sort": "Sort",
+    "list.show": "Show",
+    "list.perPage": "{count} per page",
+    "list.infinite": "Infinite scroll",
+    "list.pages": "Pages",
+    "list.page": "Page {page}",
+    "list.previous": "← Previous",
+    "list.next": "Next →",
+    "list.range": "{first}–{last} of {count}",
+    "list.loadMore": "Load more",
+    "list.loadedCount": "Showing {shown} of {count} posts",
+    "sort.newest": "Newest first",
+    "sort.oldest": "Oldest first",
+    "sort.views": "Most viewed",
+    "sort.topRated": "Top rated",
+    "sort.title": "Title A–Z",
+    "sort.updated": "Recently updated",
+    "statusTab.published": "Published",
+    "statusTab.draft": "Drafts",
+    "statusTab.scheduled": "Scheduled",
+    "statusTab.archived": "Archived",
+    "search.label": "Search posts",
+    "search.placeholder": 'Search posts... use "quotes" for exact phrases',
+    "search.noResults": "No posts match “{query}”",
+    "search.results": {
+      one: "{count} result for “{query}”",
+      other: "{count} results for “{query}”",
+    },
+    "filter.byStatus": "Filter by status",
+    "filter.byTag": "Filter by tag",
+    "filter.allCategories": "All categories",
+    "filter.showing": {
+      one: "Showing {count} post",
+      other: "Showing {count} posts",
+    },
+    "filter.in": " in {filters}",
+    "filter.by": " by {name}",
+    "filter.category": "category “{name}”",
+    "filter.tag": "tag #{name}",
+    "filter.clear": "Clear filter",
+    "notFound.heading": "Not found",
+    "notFound.back": "Back to all posts",
+    "notFound.post": "This post doesn't exist or has been deleted.",
+    "notFound.trashedPost":
+      "This post is in the trash. Restore it to read it again.",
+    "notFound.page": "The page you're looking for doesn't exist.",
+    "notFound.author": "This author doesn't exist or has been deleted.",
+
+    // Posts
+    "count.posts": { one: "{count} post", other: "{count} posts" },
+    "count.views": { one: "{count} view", other: "{count} views" },
+    "status.published": "Published",
+    "status.draft": "Draft",
+    "status.scheduled": "Scheduled",
+    "status.archived": "Archived",
+    "status.scheduledFor": "Scheduled for {date}",
+    "post.views": { one: "{count} view", other: "{count} views" },
+    "post.minutesRead": "{count} min read",
+    "post.words": { one: "{count} word", other: "{count} words" },
+    "post.comments": { one: "{count} comment", other: "{count} comments" },
+    "post.updated": "Updated {date}",
+    "post.edited": "(edited)",
+    "toc.label": "Table of contents",
+    "toc.title": "Contents",
+
+    // Ratings
+    "rating.heading": "Rate this Post",
+    "rating.close": "Close rating modal",
+    "rating.none": "No ratings",
+    "rating.count": { one: "{count} rating", other: "{count} ratings" },
+    "rating.histogramRow": {
+      one: "{count} star: {ratings} of {total} ratings",
+      other: "{count} stars: {ratings} of {total} ratings",
+    },
+    "rating.rateStars": {
+      one: "Rate {count} star",
+      other: "Rate {count} stars",
+    },
+    "rating.instruction": "Click a star to rate:",
+    "rating.ownRating": {
+      one: "You rated this {count} star. Click a star to change it:",
+      other: "You rated this {count} stars. Click a star to change it:",
+    },
+
+    // Comments
+    "comments.heading": "Comments ({count})",
+    "comments.empty": "No comments yet. Start the discussion!",
+    "comments.deleted": "This comment was deleted.",
+    "comments.reply": "Reply",
+    "comments.post": "Post Comment",
+    "comments.name": "Your name",
+    "comments.label": "Comment",
+    "comments.editLabel": "Edit comment",
+    "comments.editedAt": "Edited {date}",
+    "validation.commentName": "Please enter your name",
+    "validation.commentRequired": "Please write a comment",
+    "validation.commentTooLong": "Comments can be at most {count} characters",
+
+    // Revision history
+    "revision.history": "Revision history ({count})",
+    "revision.from": "From",
+    "revision.to": "To",
+    "revision.revision": "Revision",
+    "revision.current": "current",
+    "revision.restoredFrom": "restored from #{number}",
+    "revision.compareFrom": "Compare from revision {number}",
+    "revision.compareTo": "Compare to revision {number}",
+    "revision.selectTwo": "Select two different revisions to compare.",
+    "revision.title": "Title:",
+    "revision.category": "Category:",
+    "revision.tags": "Tags:",
+    "revision.identical": "These revisions are identical.",
+    "revision.unchangedLines": {
+      one: "… {count} unchanged line",
+      other: "… {count} unchanged lines",
+    },
+
+    // Stats dashboard
+    "stats.heading": "Blog statistics",
+    "stats.posts": "Posts",
+    "stats.published": "{count} published",
+    "stats.views": "Views",
+    "stats.recentViews": "{count} in the last {days} days",
+    "stats.averageLength": "Average length",
+    "stats.wordsPerPost": "words per post",
+    "stats.frequency": "Posting frequency",
+    "stats.postsPerMonth": "posts per month over {months} months",
+    "stats.viewsChart": "Views per day, last {days} days",
+    "stats.viewsChartLabel":
+      "Views per day over the last {days} days: {count} in total",
+    "stats.postsChart": "Posts per month, last {months} months",
+    "stats.postsChartLabel":
+      "Posts per month over the last {months} months: {count} in total",
+    "stats.mostViewed": "Most viewed",
+    "stats.noViews": "No views yet.",
+    "stats.topRated": "Top rated",
+    "stats.noRatings": "No ratings yet.",
+
+    // Trash
+    "trash.retention": "Delete posts for good after",
+    "trash.days": { one: "{count} day", other: "{count} days" },
+    "trash.emptyAll": "Empty trash",
+    "trash.empty": "The trash is empty.",
+    "trash.deleted": "Deleted {date}",
+    "trash.purgedIn": {
+      one: "deleted for good in {count} day",
+      other: "deleted for good in {count} days",
+    },
+    "trash.onlyAuthor": "Only {name} can restore it",
+    "trash.moved": 'Moved "{title}" to the trash',
+    "trash.restored": 'Restored "{title}"',
+    "trash.purged": {
+      one: "Deleted {count} post for good",
+      other: "Deleted {count} posts for good",
+    },
+    "confirm.purgePost":
+      'Permanently delete "{title}"?\n\nThis can\'t be undone.',
+    "confirm.emptyTrash": {
+      one: "Permanently delete {count} post in the trash?\n\nThis can't be undone.",
+      other:
+        "Permanently delete {count} posts in the trash?\n\nThis can't be undone.",
+    },
+
+    // Authors
+    "authors.youAre": "You are",
+    "authors.youAreHint":
+      "Pick yourself to edit and delete only your own posts in this browser.",
+    "authors.anyone": "Anyone",
+    "authors.none": "No author",
+    "authors.unknown": "Unknown author",
+    "authors.empty": "No authors yet. Add the people who write here below.",
+    "authors.hasPosts": "Authors with posts can't be deleted",
+    "authors.allPosts": "across all their posts",
+    "authors.averageRating": "Average rating",
+    "authors.addHeading": "Add an author",
+    "authors.editHeading": "Edit {name}",
+    "authors.add": "Add author",
+    "authors.name": "Name *",
+    "authors.namePlaceholder": "e.g. Ada Lovelace",
+    "authors.colour": "Colour",
+    "authors.bio": "Bio",
+    "authors.bioPlaceholder": "A few words about this author...",
+    "authors.added": "Added {name}",
+    "authors.saved": "Saved {name}",
+    "authors.notYours":
+      '"{title}" belongs to {name}. Only they can edit or delete it.',
+    "authors.stillHasPosts":
+      "{name} still has posts. Give them to someone else or delete them for good first.",
+    "authors.writingAs":
+      "Writing as {name}: only your own posts can be edited or deleted",
+    "authors.writingAsAnyone":
+      "Writing as anyone: every post can be edited and deleted",
+    "confirm.deleteAuthor": 'Delete the author "{name}"?',
+    "validation.nameRequired": "Name is required",
+    "validation.nameTooLong": "Name must be at most {count} characters",
+    "validation.nameTaken": "Another author already has this name",
+    "validation.bioTooLong": "Bio must be at most {count} characters",
+
+    // Undo history (labels are stored with each command)
+    "history.add": 'Add "{title}"',
+    "history.edit": 'Edit "{title}"',
+    "history.rate": 'Rate "{title}"',
+    "history.delete": 'Delete "{title}"',
+    "history.restore": 'Restore "{title}"',
+    "history.publish": 'Publish "{title}"',
+    "history.restoreRevision": 'Restore an earlier version of "{title}"',
+    "history.import": {
+      one: "Import {count} post",
+      other: "Import {count} posts",
+    },
+    "history.undone": "Undone: {label}",
+    "history.redone": "Redone: {label}",
+    "history.nothingToUndo": "Nothing to undo",
+    "history.nothingToRedo": "Nothing to redo",
+
+    // Autosave, conflicts and sync
+    "recovery.newPost": "An unfinished new post from {date} can be recovered.",
+    "recovery.newPostTitled":
+      "An unfinished new post “{title}” from {date} can be recovered.",
+    "recovery.edit": "Unsaved edits to “{title}” from {date} can be recovered.",
+    "confirm.discardEdits": "Discard your unsaved changes to this post?",
+    "conflict.changed":
+      "This post was changed in another tab. Saving will replace those changes, though they stay in the revision history.",
+    "conflict.deleted":
+      "This post was deleted in another tab. It can no longer be saved; copy any text you want to keep.",
+    "conflict.reload": "Load latest version",
+    "sync.off": "Sync off",
+    "sync.syncing": "Syncing…",
+    "sync.synced": "Synced",
+    "sync.offline": "Offline",
+    "sync.error": "Sync error",
+    "sync.queued": "{count} queued",
+    "sync.prompt": "Sync server URL (leave empty to turn sync off):",
+    "sync.invalidUrl": "Please enter an http:// or https:// URL",
+
+    // Export & import
+    "import.heading": "Import Posts",
+    "import.close": "Close import modal",
+    "import.strategy":
+      "When an imported post has the same id as an existing one",
+    "import.merge": "Merge by id: the imported post replaces the existing one",
+    "import.keepBoth": "Keep both: the imported post is added as a copy",
+    "import.replace": "Replace everything: delete all existing posts first",
+    "import.ready": {
+      one: "{count} post is ready to import.",
+      other: "{count} posts are ready to import.",
+    },
+    "import.collisions": {
+      one: "{count} has the same id as an existing post.",
+      other: "{count} have the same id as an existing post.",
+    },
+    "import.skipped": {
+      one: "{count} record was skipped:",
+      other: "{count} records were skipped:",
+    },
+    "import.record": "Record {number}",
+    "import.more": "…and {count} more",
+    "import.failed": "Import failed: {reason}",
+    "import.done": {
+      one: "Imported {count} post",
+      other: "Imported {count} posts",
+    },
+    "confirm.replaceAll": {
+      one: "Replace the {count} existing post with the import?",
+      other: "Replace all {count} existing posts with the import?",
+    },
+    "import.notJson": "The file is not valid JSON.",
+    "import.notExport": "The file is not a blog export.",
+    "import.unsupportedVersion": "Unsupported export version: {version}.",
+    "import.noPosts": 'The export has no "posts" list.',
+    "import.notObject": "Record is not an object",
+    "import.fieldRequired": '"{field}" is required',
+    "import.fieldType": '"{field}" must be a {type}',
+    "import.fieldEmpty": '"{field}" must not be empty',
+    "import.fieldOneOf": '"{field}" must be one of: {values}',
+    "import.duplicateId": 'Duplicate id "{id}" in file',
+
+    // Keyboard shortcuts and command palette
+    "shortcuts.heading": "Keyboard shortcuts",
+    "shortcuts.close": "Close keyboard shortcuts",
+    "shortcuts.newPost": "Write a new post",
+    "shortcuts.search": "Search posts",
+    "shortcuts.nextPost": "Select the next post",
+    "shortcuts.previousPost": "Select the previous post",
+    "shortcuts.edit": "Edit the selected post",
+    "shortcuts.delete": "Move the selected post to the trash",
+    "shortcuts.rate": "Rate the selected post",
+    "shortcuts.open": "Open the selected post",
+    "shortcuts.stars": "Pick a rating while rating a post",
+    "shortcuts.palette": "Find a post or action",
+    "shortcuts.undo": "Undo the last change",
+    "shortcuts.redo": "Redo what was undone",
+    "shortcuts.closeDialog": "Close the open dialog",
+    "shortcuts.help": "Show this list",
+    "palette.label": "Command palette",
+    "palette.placeholder": "Find a post or action…",
+    "palette.empty": "No posts or actions match “{query}”",
+    "palette.post": "Post",
+    "palette.list": "Go to the post list",
+    "palette.stats": "Go to stats",
+    "palette.authors": "Go to authors",
+    "palette.trash": "Go to trash",
+    "palette.export": "Export posts",
+    "palette.import": "Import posts",
+    "palette.sync": "Sync settings",
+
+    // Images and errors
+    "image.unreadable": "This image couldn't be read.",
+    "image.unsupported": "Only PNG, JPEG, GIF and WebP images can be added.",
+    "image.tooLarge": "Images must be smaller than {size} MB.",
+    "image.saveFailed": "The image couldn't be saved. Storage may be full.",
+    "error.savePosts":
+      "Failed to save posts. Please check your browser settings.",
+    "error.saveAuthors":
+      "Failed to save author profiles. Please check your browser settings.",
+    "error.postNotFound": "Post not found",
+    "error.authorNotFound": "Author not found",
+    "error.addRating": "Failed to add rating",
+    "error.updatePost": "Failed to update post",
+    "error.publishPost": "Failed to publish post",
+    "error.deletePost": "Failed to delete post",
+    "error.restorePost": "Failed to restore post",
+    "error.restoreRevision": "Failed to restore revision",
+    "error.saveComment": "Failed to save comment",
+    "error.deleteComment": "Failed to delete comment",
+    "error.readFile": "Failed to read the file.",
+    "confirm.deleteComment": "Delete this comment?",
+  },
+  it: {
+    // Shared actions
+    "action.back": "Indietro",
+    "action.cancel": "Annulla",
+    "action.delete": "Elimina",
+    "action.deleteForever": "Elimina per sempre",
+    "action.discard": "Scarta",
+    "action.edit": "Modifica",
+    "action.export": "Esporta",
+    "action.hideForm": "Nascondi modulo",
+    "action.import": "Importa",
+    "action.newPost": "Nuovo articolo",
+    "action.publishNow": "Pubblica ora",
+    "action.rate": "Valuta",
+    "action.readMore": "Leggi tutto",
+    "action.redo": "Ripeti",
+    "action.restore": "Ripristina",
+    "action.save": "Salva",
+    "action.saveChanges": "Salva modifiche",
+    "action.sync": "Sincronizza",
+    "action.undo": "Annulla",
+
+    // Page shell and static site
+    "site.pageTitle":
+      "Piattaforma per blog personali | Scrivi, modifica e condividi i tuoi pensieri",
+    "site.name": "Il mio blog personale",
+    "site.tagline": "Condividi i tuoi pensieri e le tue idee",
+    "site.skipLink": "Vai al contenuto principale",
+    "site.footer":
+      "© 2025 Piattaforma per blog personali. Realizzata in JavaScript puro.",
+    "site.noPosts": "Ancora nessun articolo.",
+    "site.newer": "← Più recenti",
+    "site.older": "Meno recenti →",
+    "site.pageOf": "Pagina {page} di {count}",
+    "site.taggedHeading": "Articoli con il tag #{tag}",
+    "language.label": "Lingua",
+    "reading.progress": "Avanzamento della lettura",
+    "toast.dismiss": "Chiudi la notifica",
+    "toast.region": "Notifiche",
+    "dialog.ok": "OK",
+    "nav.stats": "Statistiche",
+    "nav.authors": "Autori",
+    "nav.trash": "Cestino",
+    "nav.trashCount": "Cestino ({count})",
+
+    // Post forms
+    "form.newHeading": "Crea un nuovo articolo",
+    "form.instructions":
+      "Compila il modulo qui sotto per creare un nuovo articolo. Titolo e contenuto sono obbligatori.",
+    "form.title": "Titolo *",
+    "form.titlePlaceholder": "Scrivi il titolo dell'articolo...",
+    "form.content": "Contenuto *",
+    "form.contentPlaceholder": "Scrivi i tuoi pensieri...",
+    "form.markdownHint":
+      "Markdown supportato: **grassetto**, _corsivo_, # titoli, [link](https://…), ![immagini](https://…), ```codice```, > citazioni e | tabelle |. Trascina o incolla immagini per aggiungerle.",
+    "form.cover": "Immagine di copertina",
+    "form.coverPreview": "Anteprima dell'immagine di copertina",
+    "form.removeCover": "Rimuovi copertina",
+    "form.coverHint":
+      "Scegli o trascina un'immagine. Le immagini vengono ridimensionate e restano solo in questo browser.",
+    "form.author": "Autore",
+    "form.authorHint": "Aggiungi persone in",
+    "form.tags": "Tag",
+    "form.selectedTags": "Tag scelti",
+    "form.tagPlaceholder": "Aggiungi un tag...",
+    "form.tagsHint": "Premi Invio o la virgola per aggiungere un tag.",
+    "form.category": "Categoria",
+    "form.categoryPlaceholder": "es. Viaggi",
+    "form.publishAt": "Pubblica il",
+    "form.publishAtHint": "Serve solo per programmare un articolo.",
+    "form.publish": "Pubblica",
+    "form.saveDraft": "Salva bozza",
+    "form.schedule": "Programma",
+    "edit.heading": "Modifica articolo",
+    "edit.close": "Chiudi la finestra",
+    "edit.status": "Stato",
+    "edit.submit": "Aggiorna articolo",
+    "tags.remove": "Rimuovi il tag {tag}",
+    "validation.titleRequired": "Il titolo è obbligatorio",
+    "validation.titleTooShort": "Il titolo deve avere almeno {count} caratteri",
+    "validation.titleTooLong": "Il titolo deve avere meno di {count} caratteri",
+    "validation.contentRequired": "Il contenuto è obbligatorio",
+    "validation.contentTooShort":
+      "Il contenuto deve avere almeno {count} caratteri",
+    "validation.publishAtRequired": "Scegli quando pubblicare l'articolo",
+    "validation.publishAtPast": "La data di pubblicazione deve essere futura",
+
+    // Post list
+    "list.heading": "I miei articoli",
+    "list.empty": "📭 Ancora nessun articolo. Crea il primo qui sopra!",
+    "list.sort": "Ordina",
+    "list.show": "Mostra",
+    "list.perPage": "{count} per pagina",
+    "list.infinite": "Scorrimento infinito",
+    "list.pages": "Pagine",
+    "list.page": "Pagina {page}",
+    "list.previous": "← Precedente",
+    "list.next": "Successiva →",
+    "list.range": "{first}–{last} di {count}",
+    "list.loadMore": "Carica altri",
+    "list.loadedCount": {
+      one: "{shown} di {count} articolo mostrato",
+      other: "{shown} di {count} articoli mostrati",
+    },
+    "sort.newest": "Più recenti",
+    "sort.oldest": "Meno recenti",
+    "sort.views": "Più letti",
+    "sort.topRated": "Più votati",
+    "sort.title": "Titolo A–Z",
+    "sort.updated": "Aggiornati di recente",
+    "statusTab.published": "Pubblicati",
+    "statusTab.draft": "Bozze",
+    "statusTab.scheduled": "Programmati",
+    "statusTab.archived": "Archiviati",
+    "search.label": "Cerca articoli",
+    "search.placeholder":
+      'Cerca articoli... usa le "virgolette" per le frasi esatte',
+    "search.noResults": "Nessun articolo corrisponde a “{query}”",
+    "search.results": {
+      one: "{count} risultato per “{query}”",
+      other: "{count} risultati per “{query}”",
+    },
+    "filter.byStatus": "Filtra per stato",
+    "filter.byTag": "Filtra per tag",
+    "filter.allCategories": "Tutte le categorie",
+    "filter.showing": {
+      one: "{count} articolo",
+      other: "{count} articoli",
+    },
+    "filter.in": " in {filters}",
+    "filter.by": " di {name}",
+    "filter.category": "categoria “{name}”",
+    "filter.tag": "tag #{name}",
+    "filter.clear": "Rimuovi filtro",
+    "notFound.heading": "Non trovato",
+    "notFound.back": "Torna a tutti gli articoli",
+    "notFound.post": "Questo articolo non esiste o è stato eliminato.",
+    "notFound.trashedPost":
+      "Questo articolo è nel cestino. Ripristinalo per leggerlo di nuovo.",
+    "notFound.page": "La pagina che cerchi non esiste.",
+    "notFound.author": "Questo autore non esiste o è stato eliminato.",
+
+    // Posts
+    "count.posts": { one: "{count} articolo", other: "{count} articoli" },
+    "count.views": {
+      one: "{count} visualizzazione",
+      other: "{count} visualizzazioni",
+    },
+    "status.published": "Pubblicato",
+    "status.draft": "Bozza",
+    "status.scheduled": "Programmato",
+    "status.archived": "Archiviato",
+    "status.scheduledFor": "Programmato per il {date}",
+    "post.views": {
+      one: "{count} visualizzazione",
+      other: "{count} visualizzazioni",
+    },
+    "post.minutesRead": "{count} min di lettura",
+    "post.words": { one: "{count} parola", other: "{count} parole" },
+    "post.comments": { one: "{count} commento", other: "{count} commenti" },
+    "post.updated": "Aggiornato {date}",
+    "post.edited": "(modificato)",
+    "toc.label": "Indice",
+    "toc.title": "Indice",
+
+    // Ratings
+    "rating.heading": "Valuta questo articolo",
+    "rating.close": "Chiudi la valutazione",
+    "rating.none": "Nessun voto",
+    "rating.count": { one: "{count} voto", other: "{count} voti" },
+    "rating.histogramRow": {
+      one: "{count} stella: {ratings} voti su {total}",
+      other: "{count} stelle: {ratings} voti su {total}",
+    },
+    "rating.rateStars": {
+      one: "Dai {count} stella",
+      other: "Dai {count} stelle",
+    },
+    "rating.instruction": "Fai clic su una stella per votare:",
+    "rating.ownRating": {
+      one: "Hai dato {count} stella. Fai clic su una stella per cambiare voto:",
+      other:
+        "Hai dato {count} stelle. Fai clic su una stella per cambiare voto:",
+    },
+
+    // Comments
+    "comments.heading": "Commenti ({count})",
+    "comments.empty": "Ancora nessun commento. Inizia la discussione!",
+    "comments.deleted": "Questo commento è stato eliminato.",
+    "comments.reply": "Rispondi",
+    "comments.post": "Pubblica commento",
+    "comments.name": "Il tuo nome",
+    "comments.label": "Commento",
+    "comments.editLabel": "Modifica commento",
+    "comments.editedAt": "Modificato {date}",
+    "validation.commentName": "Inserisci il tuo nome",
+    "validation.commentRequired": "Scrivi un commento",
+    "validation.commentTooLong":
+      "I commenti possono avere al massimo {count} caratteri",
+
+    // Revision history
+    "revision.history": "Cronologia delle revisioni ({count})",
+    "revision.from": "Da",
+    "revision.to": "A",
+    "revision.revision": "Revisione",
+    "revision.current": "attuale",
+    "revision.restoredFrom": "ripristinata dalla #{number}",
+    "revision.compareFrom": "Confronta dalla revisione {number}",
+    "revision.compareTo": "Confronta con la revisione {number}",
+    "revision.selectTwo": "Scegli due revisioni diverse da confrontare.",
+    "revision.title": "Titolo:",
+    "revision.category": "Categoria:",
+    "revision.tags": "Tag:",
+    "revision.identical": "Queste revisioni sono identiche.",
+    "revision.unchangedLines": {
+      one: "… {count} riga invariata",
+      other: "… {count} righe invariate",
+    },
+
+    // Stats dashboard
+    "stats.heading": "Statistiche del blog",
+    "stats.posts": "Articoli",
+    "stats.published": {
+      one: "{count} pubblicato",
+      other: "{count} pubblicati",
+    },
+    "stats.views": "Visualizzazioni",
+    "stats.recentViews": "{count} negli ultimi {days} giorni",
+    "stats.averageLength": "Lunghezza media",
+    "stats.wordsPerPost": "parole per articolo",
+    "stats.frequency": "Frequenza di pubblicazione",
+    "stats.postsPerMonth": "articoli al mese negli ultimi {months} mesi",
+    "stats.viewsChart": "Visualizzazioni al giorno, ultimi {days} giorni",
+    "stats.viewsChartLabel":
+      "Visualizzazioni al giorno negli ultimi {days} giorni: {count} in totale",
+    "stats.postsChart": "Articoli al mese, ultimi {months} mesi",
+    "stats.postsChartLabel":
+      "Articoli al mese negli ultimi {months} mesi: {count} in totale",
+    "stats.mostViewed": "Più letti",
+    "stats.noViews": "Ancora nessuna visualizzazione.",
+    "stats.topRated": "Più votati",
+    "stats.noRatings": "Ancora nessun voto.",
+
+    // Trash
+    "trash.retention": "Elimina per sempre gli articoli dopo",
+    "trash.days": { one: "{count} giorno", other: "{count} giorni" },
+    "trash.emptyAll": "Svuota il cestino",
+    "trash.empty": "Il cestino è vuoto.",
+    "trash.deleted": "Eliminato {date}",
+    "trash.purgedIn": {
+      one: "eliminato per sempre tra {count} giorno",
+      other: "eliminato per sempre tra {count} giorni",
+    },
+    "trash.onlyAuthor": "Solo {name} può ripristinarlo",
+    "trash.moved": "“{title}” spostato nel cestino",
+    "trash.restored": "“{title}” ripristinato",
+    "trash.purged": {
+      one: "{count} articolo eliminato per sempre",
+      other: "{count} articoli eliminati per sempre",
+    },
+    "confirm.purgePost":
+      "Eliminare per sempre “{title}”?\n\nL'operazione non si può annullare.",
+    "confirm.emptyTrash": {
+      one: "Eliminare per sempre {count} articolo nel cestino?\n\nL'operazione non si può annullare.",
+      other:
+        "Eliminare per sempre {count} articoli nel cestino?\n\nL'operazione non si può annullare.",
+    },
+
+    // Authors
+    "authors.youAre": "Tu sei",
+    "authors.youAreHint":
+      "Scegli te stesso per modificare ed eliminare solo i tuoi articoli in questo browser.",
+    "authors.anyone": "Chiunque",
+    "authors.none": "Nessun autore",
+    "authors.unknown": "Autore sconosciuto",
+    "authors.empty":
+      "Ancora nessun autore. Aggiungi qui sotto le persone che scrivono.",
+    "authors.hasPosts": "Gli autori con articoli non si possono eliminare",
+    "authors.allPosts": "su tutti i suoi articoli",
+    "authors.averageRating": "Voto medio",
+    "authors.addHeading": "Aggiungi un autore",
+    "authors.editHeading": "Modifica {name}",
+    "authors.add": "Aggiungi autore",
+    "authors.name": "Nome *",
+    "authors.namePlaceholder": "es. Ada Lovelace",
+    "authors.colour": "Colore",
+    "authors.bio": "Biografia",
+    "authors.bioPlaceholder": "Qualche parola su questo autore...",
+    "authors.added": "{name} aggiunto",
+    "authors.saved": "{name} salvato",
+    "authors.notYours":
+      "“{title}” appartiene a {name}. Solo chi l'ha scritto può modificarlo o eliminarlo.",
+    "authors.stillHasPosts":
+      "{name} ha ancora degli articoli. Assegnali a qualcun altro o eliminali per sempre prima.",
+    "authors.writingAs":
+      "Scrivi come {name}: puoi modificare o eliminare solo i tuoi articoli",
+    "authors.writingAsAnyone":
+      "Scrivi come chiunque: ogni articolo si può modificare ed eliminare",
+    "confirm.deleteAuthor": "Eliminare l'autore “{name}”?",
+    "validation.nameRequired": "Il nome è obbligatorio",
+    "validation.nameTooLong": "Il nome può avere al massimo {count} caratteri",
+    "validation.nameTaken": "Un altro autore ha già questo nome",
+    "validation.bioTooLong":
+      "La biografia può avere al massimo {count} caratteri",
+
+    // Undo history (labels are stored with each command)
+    "history.add": "Aggiunta di “{title}”",
+    "history.edit": "Modifica di “{title}”",
+    "history.rate": "Voto a “{title}”",
+    "history.delete": "Eliminazione di “{title}”",
+    "history.restore": "Ripristino di “{title}”",
+    "history.publish": "Pubblicazione di “{title}”",
+    "history.restoreRevision":
+      "Ripristino di una versione precedente di “{title}”",
+    "history.import": {
+      one: "Importazione di {count} articolo",
+      other: "Importazione di {count} articoli",
+    },
+    "history.undone": "Annullato: {label}",
+    "history.redone": "Ripetuto: {label}",
+    "history.nothingToUndo": "Niente da annullare",
+    "history.nothingToRedo": "Niente da ripetere",
+
+    // Autosave, conflicts and sync
+    "recovery.newPost":
+      "Un nuovo articolo non finito di {date} può essere recuperato.",
+    "recovery.newPostTitled":
+      "Un nuovo articolo non finito, “{title}”, di {date} può essere recuperato.",
+    "recovery.edit":
+      "Le modifiche non salvate a “{title}” di {date} possono essere recuperate.",
+    "confirm.discardEdits":
+      "Scartare le modifiche non salvate a questo articolo?",
+    "conflict.changed":
+      "Questo articolo è stato modificato in un'altra scheda. Salvando sostituirai quelle modifiche, che resteranno comunque nella cronologia delle revisioni.",
+    "conflict.deleted":
+      "Questo articolo è stato eliminato in un'altra scheda. Non può più essere salvato; copia il testo che vuoi tenere.",
+    "conflict.reload": "Carica l'ultima versione",
+    "sync.off": "Sincronizzazione disattivata",
+    "sync.syncing": "Sincronizzazione…",
+    "sync.synced": "Sincronizzato",
+    "sync.offline": "Offline",
+    "sync.error": "Errore di sincronizzazione",
+    "sync.queued": "{count} in coda",
+    "sync.prompt":
+      "URL del server di sincronizzazione (lascia vuoto per disattivarla):",
+    "sync.invalidUrl": "Inserisci un URL http:// o https://",
+
+    // Export & import
+    "import.heading": "Importa articoli",
+    "import.close": "Chiudi l'importazione",
+    "import.strategy":
+      "Quando un articolo importato ha lo stesso id di uno esistente",
+    "import.merge":
+      "Unisci per id: l'articolo importato sostituisce quello esistente",
+    "import.keepBoth":
+      "Tienili entrambi: l'articolo importato viene aggiunto come copia",
+    "import.replace":
+      "Sostituisci tutto: elimina prima tutti gli articoli esistenti",
+    "import.ready": {
+      one: "{count} articolo è pronto per l'importazione.",
+      other: "{count} articoli sono pronti per l'importazione.",
+    },
+    "import.collisions": {
+      one: "{count} ha lo stesso id di un articolo esistente.",
+      other: "{count} hanno lo stesso id di un articolo esistente.",
+    },
+    "import.skipped": {
+      one: "{count} record è stato saltato:",
+      other: "{count} record sono stati saltati:",
+    },
+    "import.record": "Record {number}",
+    "import.more": "…e altri {count}",
+    "import.failed": "Importazione non riuscita: {reason}",
+    "import.done": {
+      one: "{count} articolo importato",
+      other: "{count} articoli importati",
+    },
+    "confirm.replaceAll": {
+      one: "Sostituire l'articolo esistente con l'importazione?",
+      other:
+        "Sostituire tutti i {count} articoli esistenti con l'importazione?",
+    },
+    "import.notJson": "Il file non è un JSON valido.",
+    "import.notExport": "Il file non è un'esportazione del blog.",
+    "import.unsupportedVersion":
+      "Versione dell'esportazione non supportata: {version}.",
+    "import.noPosts": "L'esportazione non ha un elenco “posts”.",
+    "import.notObject": "Il record non è un oggetto",
+    "import.fieldRequired": "“{field}” è obbligatorio",
+    "import.fieldType": "“{field}” deve essere di tipo {type}",
+    "import.fieldEmpty": "“{field}” non può essere vuoto",
+    "import.fieldOneOf": "“{field}” deve essere uno tra: {values}",
+    "import.duplicateId": "Id “{id}” ripetuto nel file",
+
+    // Keyboard shortcuts and command palette
+    "shortcuts.heading": "Scorciatoie da tastiera",
+    "shortcuts.close": "Chiudi le scorciatoie da tastiera",
+    "shortcuts.newPost": "Scrivi un nuovo articolo",
+    "shortcuts.search": "Cerca articoli",
+    "shortcuts.nextPost": "Seleziona l'articolo successivo",
+    "shortcuts.previousPost": "Seleziona l'articolo precedente",
+    "shortcuts.edit": "Modifica l'articolo selezionato",
+    "shortcuts.delete": "Sposta nel cestino l'articolo selezionato",
+    "shortcuts.rate": "Vota l'articolo selezionato",
+    "shortcuts.open": "Apri l'articolo selezionato",
+    "shortcuts.stars": "Scegli il voto mentre voti un articolo",
+    "shortcuts.palette": "Trova un articolo o un'azione",
+    "shortcuts.undo": "Annulla l'ultima modifica",
+    "shortcuts.redo": "Ripeti ciò che è stato annullato",
+    "shortcuts.closeDialog": "Chiudi la finestra aperta",
+    "shortcuts.help": "Mostra questo elenco",
+    "palette.label": "Tavolozza dei comandi",
+    "palette.placeholder": "Trova un articolo o un'azione…",
+    "palette.empty": "Nessun articolo o azione corrisponde a “{query}”",
+    "palette.post": "Articolo",
+    "palette.list": "Vai all'elenco degli articoli",
+    "palette.stats": "Vai alle statistiche",
+    "palette.authors": "Vai agli autori",
+    "palette.trash": "Vai al cestino",
+    "palette.export": "Esporta gli articoli",
+    "palette.import": "Importa articoli",
+    "palette.sync": "Impostazioni di sincronizzazione",
+
+    // Images and errors
+    "image.unreadable": "Impossibile leggere questa immagine.",
+    "image.unsupported":
+      "Si possono aggiungere solo immagini PNG, JPEG, GIF e WebP.",
+    "image.tooLarge": "Le immagini devono essere più piccole di {size} MB.",
+    "image.saveFailed":
+      "Impossibile salvare l'immagine. Lo spazio potrebbe essere esaurito.",
+    "error.savePosts":
+      "Impossibile salvare gli articoli. Controlla le impostazioni del browser.",
+    "error.saveAuthors":
+      "Impossibile salvare i profili degli autori. Controlla le impostazioni del browser.",
+    "error.postNotFound": "Articolo non trovato",
+    "error.authorNotFound": "Autore non trovato",
+    "error.addRating": "Impossibile aggiungere il voto",
+    "error.updatePost": "Impossibile aggiornare l'articolo",
+    "error.publishPost": "Impossibile pubblicare l'articolo",
+    "error.deletePost": "Impossibile eliminare l'articolo",
+    "error.restorePost": "Impossibile ripristinare l'articolo",
+    "error.restoreRevision": "Impossibile ripristinare la revisione",
+    "error.saveComment": "Impossibile salvare il commento",
+    "error.deleteComment": "Impossibile eliminare il commento",
+    "error.readFile": "Impossibile leggere il file.",
+    "confirm.deleteComment": "Eliminare questo commento?",
+  },
+};
+
+// ============================================
+// LOCALE STATE
+// ============================================
+
+let currentLocale = DEFAULT_LOCALE;
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+let numberFormat = new Intl.NumberFormat(DEFAULT_LOCALE);
+let relativeTimeFormat = new Intl.RelativeTimeFormat(DEFAULT_LOCALE, {
+  numeric: "auto",
+});
+let listFormat = new Intl.ListFormat(DEFAULT_LOCALE);
+
+/**
+ * Check whether there is a catalogue for a locale
+ * @param {string} locale - Locale code, e.g. 'it'
+ * @returns {boolean} True if it can be used
+ */
+function isSupportedLocale(locale) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES, locale);
+}
+
+/**
+ * Pick the first supported language from a list of preferences
+ * @param {string[]} preferred - Language tags, e.g. navigator.languages
+ * @returns {string} Supported locale code (DEFAULT_LOCALE if none match)
+ */
+function matchLocale(preferred) {
+  const match = preferred
+    .map((tag) => String(tag).toLowerCase().split("-")[0])
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the language messages, dates and numbers are formatted in
+ * @param {string} locale - Locale code; unsupported ones use DEFAULT_LOCALE
+ * @returns {string} Locale now in use
+ */
+function setLocale(locale) {
+  currentLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  pluralRules = new Intl.PluralRules(currentLocale);
+  numberFormat = new Intl.NumberFormat(currentLocale);
+  relativeTimeFormat = new Intl.RelativeTimeFormat(currentLocale, {
+    numeric: "auto",
+  });
+  listFormat = new Intl.ListFormat(currentLocale);
+  return currentLocale;
+}
+
+/**
+ * Get the language in use
+ * @returns {string} Locale code, e.g. 'en'
+ */
+function getLocale() {
+  return currentLocale;
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Translate a message into the current language
+ * Falls back to English, then to the key itself
+ * @param {string} key - Message key, e.g. 'post.views'
+ * @param {Object} params - Placeholder values; count also picks the plural
+ *   form. Numbers are formatted for the language.
+ * @returns {string} Translated text
+ */
+function t(key, params = {}) {
+  let message = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key];
+
+  if (message === undefined) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+  if (typeof message === "object") {
+    message = message[pluralRules.select(params.count)] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === "number" ? numberFormat.format(value) : value;
+  });
+}
+
+// ============================================
+// FORMAT HELPERS
+// ============================================
+
+/**
+ * Format a number for the current language
+ * @param {number|string} value - Number (or numeric string, like toFixed gives)
+ * @param {number} digits - Decimal places to show
+ * @returns {string} Formatted number, e.g. "4.5" or "4,5"
+ */
+function formatNumber(value, digits = 0) {
+  return Number(value).toLocaleString(currentLocale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+/**
+ * Join items into a list for the current language
+ * @param {string[]} items - Items
+ * @returns {string} List, e.g. "a, b and c"
+ */
+function formatList(items) {
+  return listFormat.format(items);
+}
+
+/**
+ * Describe a time relative to now
+ * Gaps under a minute are "now"; days are counted in whole days, so
+ * anything from 24 to 47 hours ago is "yesterday"
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} now - Current time
+ * @returns {string} Relative time, e.g. "3 hours ago" or "in 2 days"
+ */
+function formatRelativeTime(timestamp, now = Date.now()) {
+  const elapsed = timestamp - now;
+  const unit = RELATIVE_TIME_UNITS.find(
+    ([, length]) => Math.abs(elapsed) >= length
+  );
+
+  return unit
+    ? relativeTimeFormat.format(Math.trunc(elapsed / unit[1]), unit[0])
+    : relativeTimeFormat.format(0, "second");
+}
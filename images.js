@@ -0,0 +1,151 @@
+// Personal Blog Platform - Images
+// Turns dropped, pasted or chosen image files into small blobs before
+// they are stored: big pictures are scaled down and re-encoded, so a
+// post's images fit comfortably in the browser's storage.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const MAX_IMAGE_FILE_BYTES = 20 * 1024 * 1024; // Larger files are refused
+const MAX_IMAGE_DIMENSION = 1600; // Longest side of a stored image, in pixels
+const IMAGE_QUALITY = 0.82; // WebP/JPEG quality of re-encoded images
+const MAX_ANIMATED_IMAGE_BYTES = 2 * 1024 * 1024; // Bigger GIFs become stills
+
+// ============================================
+// FILE HELPERS
+// ============================================
+
+/**
+ * Check whether a file is an image type posts can hold
+ * @param {File} file - File
+ * @returns {boolean} True for PNG, JPEG, GIF and WebP
+ */
+function isSupportedImage(file) {
+  return IMAGE_TYPES.includes(file.type);
+}
+
+/**
+ * Get the files from a drop or paste
+ * @param {DataTransfer|null} dataTransfer - Event data
+ * @returns {File[]} Files (empty for dragged or pasted text)
+ */
+function getTransferFiles(dataTransfer) {
+  return dataTransfer ? Array.from(dataTransfer.files || []) : [];
+}
+
+/**
+ * Check whether a drag carries files, before they can be read
+ * @param {DataTransfer|null} dataTransfer - Drag event data
+ * @returns {boolean} True if files are being dragged
+ */
+function isFileDrag(dataTransfer) {
+  return Boolean(
+    dataTransfer && Array.from(dataTransfer.types || []).includes("Files")
+  );
+}
+
+/**
+ * Make alt text from a file name, e.g. "my-trip_01.jpg" -> "my trip 01"
+ * Pasted screenshots are usually called "image.png", which says nothing
+ * @param {File} file - Image file
+ * @returns {string} Alt text ('' if the name is meaningless)
+ */
+function getImageAltText(file) {
+  const name = (file.name || "")
+    .replace(/\.[^.]+$/, "")
+    .replace(/[-_]+/g, " ")
+    .replace(/[[\]()]/g, "")
+    .trim();
+  return /^image( \d+)?$/i.test(name) ? "" : name;
+}
+
+// ============================================
+// COMPRESSION
+// ============================================
+
+/**
+ * Decode an image file
+ * @param {Blob} blob - Image data
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(t("image.unreadable")));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Encode a canvas as an image blob
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {string} type - MIME type
+ * @returns {Promise<Blob|null>} Blob; browsers that can't encode the type
+ *   fall back to PNG
+ */
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve) => canvas.toBlob(resolve, type, IMAGE_QUALITY));
+}
+
+/**
+ * Scale an image down to MAX_IMAGE_DIMENSION and re-encode it
+ * WebP keeps transparency and is smallest; browsers that can't write it
+ * get JPEG (or PNG for PNGs, to keep their transparency). GIFs that are
+ * already small enough are kept as they are so animations survive; bigger
+ * ones are re-encoded like any other image, keeping only the first frame.
+ * Other files are kept as they are when re-encoding would only make them
+ * bigger.
+ * @param {File} file - Image file
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Image to store
+ */
+async function compressImage(file) {
+  if (!isSupportedImage(file)) {
+    throw new Error(t("image.unsupported"));
+  }
+  if (file.size > MAX_IMAGE_FILE_BYTES) {
+    throw new Error(
+      t("image.tooLarge", { size: MAX_IMAGE_FILE_BYTES / 1024 / 1024 })
+    );
+  }
+
+  const image = await loadImage(file);
+  const scale = Math.min(
+    1,
+    MAX_IMAGE_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight)
+  );
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+
+  const isGif = file.type === "image/gif";
+  if (isGif && scale === 1 && file.size <= MAX_ANIMATED_IMAGE_BYTES) {
+    return { blob: file, width, height };
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+
+  let blob = await canvasToBlob(canvas, "image/webp");
+  if (!blob || blob.type !== "image/webp") {
+    blob = await canvasToBlob(
+      canvas,
+      file.type === "image/png" ? "image/png" : "image/jpeg"
+    );
+  }
+
+  if (!blob || (!isGif && scale === 1 && blob.size >= file.size)) {
+    return { blob: file, width, height };
+  }
+  return { blob, width, height };
+}
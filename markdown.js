@@ -0,0 +1,533 @@
+// Personal Blog Platform - Markdown Renderer
+// Converts post content written in Markdown into HTML
+// Supports headings, emphasis, links, images, fenced code, blockquotes,
+// lists and tables. Raw HTML in the source is always escaped.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const SAFE_URL_PROTOCOLS = ["http:", "https:", "mailto:"]; // Allowed link schemes
+const SAFE_IMAGE_DATA_URL =
+  /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i;
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g; // Marks already-rendered inline HTML
+const HEADING_ID_PREFIX = "section-"; // Keeps heading ids apart from the page's own
+const IMAGE_REFERENCE_PATTERN = /^image:([a-z0-9]+)$/i; // Images stored with the post
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Escape HTML special characters in a string
+ * @param {string} str - Raw text
+ * @returns {string} Text safe to insert into HTML
+ */
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Get the text of HTML produced by this renderer
+ * Block boundaries become spaces; only the entities it writes are decoded
+ * @param {string} html - Rendered HTML
+ * @returns {string} Text with whitespace collapsed
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(
+      /<(br|hr)\b[^>]*>|<\/(p|li|h[1-6]|pre|blockquote|th|td|tr)>/gi,
+      " "
+    )
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Check a URL against the allowed protocols
+ * @param {string} url - URL taken from the Markdown source
+ * @param {boolean} allowDataImage - Whether base64 image data URLs are allowed
+ * @returns {string|null} The trimmed URL, or null if it is not safe
+ */
+function sanitizeUrl(url, allowDataImage = false) {
+  // Strip whitespace and control characters browsers ignore inside schemes
+  const trimmed = String(url).replace(/[\u0000-\u0020\u007f]/g, "");
+
+  if (allowDataImage && SAFE_IMAGE_DATA_URL.test(trimmed)) {
+    return trimmed;
+  }
+
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  // Relative URLs and anchors have no scheme
+  if (!scheme) {
+    return trimmed;
+  }
+
+  return SAFE_URL_PROTOCOLS.includes(scheme[1].toLowerCase() + ":")
+    ? trimmed
+    : null;
+}
+
+/**
+ * Get the id of a stored image from an image:<id> reference
+ * Stored images have no URL yet when content is rendered; the app fills
+ * in src for every img[data-image-id] once the image is loaded
+ * @param {string} src - Image source from the Markdown
+ * @returns {string|null} Image id, or null for ordinary URLs
+ */
+function getImageReferenceId(src) {
+  const match = String(src).match(IMAGE_REFERENCE_PATTERN);
+  return match ? match[1] : null;
+}
+
+// ============================================
+// INLINE RENDERING
+// ============================================
+
+/**
+ * Render inline Markdown (code, links, images, emphasis)
+ * @param {string} text - Inline Markdown text
+ * @param {string[]} [stash] - Rendered fragments shared with nested calls
+ * @returns {string} HTML string
+ */
+function renderInline(text, stash = []) {
+  // Keep rendered fragments out of the way of later replacements
+  const hold = (html) => {
+    stash.push(html);
+    return `\u0000${stash.length - 1}\u0000`;
+  };
+
+  let out = text;
+
+  // Code spans
+  out = out.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+    hold(`<code>${escapeHTML(code.trim())}</code>`)
+  );
+
+  // Backslash escapes
+  out = out.replace(/\\([\\`*_{}\[\]()#+\-.!|~>])/g, (match, char) =>
+    hold(escapeHTML(char))
+  );
+
+  // Images: ![alt](src "title")
+  out = out.replace(
+    /!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+    (match, alt, src, title) => {
+      const titleAttr = title ? ` title="${escapeHTML(title)}"` : "";
+      const imageId = getImageReferenceId(src);
+      if (imageId) {
+        return hold(
+          `<img data-image-id="${imageId}" alt="${escapeHTML(
+            alt
+          )}"${titleAttr} loading="lazy">`
+        );
+      }
+      const url = sanitizeUrl(src, true);
+      if (!url) return hold(escapeHTML(alt));
+      return hold(
+        `<img src="${escapeHTML(url)}" alt="${escapeHTML(
+          alt
+        )}"${titleAttr} loading="lazy">`
+      );
+    }
+  );
+
+  // Links: [label](href "title")
+  out = out.replace(
+    /\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+    (match, label, href, title) => {
+      const url = sanitizeUrl(href);
+      const labelHTML = renderInline(label, stash);
+      if (!url) return hold(labelHTML);
+      return hold(buildLink(url, labelHTML, title));
+    }
+  );
+
+  // Autolinks: <https://example.com>
+  out = out.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, href) => {
+    const url = sanitizeUrl(href);
+    return url ? hold(buildLink(url, escapeHTML(href))) : match;
+  });
+
+  out = escapeHTML(out);
+
+  // Emphasis
+  out = out
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([\s\S]*?\S)__(?!\w)/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
+
+  // Restore held fragments
+  return out.replace(PLACEHOLDER_PATTERN, (match, index) => stash[index]);
+}
+
+/**
+ * Build an anchor tag, opening external links in a new tab
+ * @param {string} url - Sanitized URL
+ * @param {string} labelHTML - Rendered link label
+ * @param {string} [title] - Optional title attribute
+ * @returns {string} HTML string
+ */
+function buildLink(url, labelHTML, title) {
+  const titleAttr = title ? ` title="${escapeHTML(title)}"` : "";
+  const external = /^https?:/i.test(url)
+    ? ' target="_blank" rel="noopener noreferrer"'
+    : "";
+  return `<a href="${escapeHTML(url)}"${titleAttr}${external}>${labelHTML}</a>`;
+}
+
+// ============================================
+// BLOCK RENDERING
+// ============================================
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {string[]} lines - All lines
+ * @param {number} i - Index of the line to check
+ * @returns {boolean} True if the line opens a new block
+ */
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    LIST_PATTERN.test(line) ||
+    isTableStart(lines, i)
+  );
+}
+
+/**
+ * Check whether a table (header row + delimiter row) starts at a line
+ * @param {string[]} lines - All lines
+ * @param {number} i - Index of the header row
+ * @returns {boolean} True if a table starts here
+ */
+function isTableStart(lines, i) {
+  return (
+    i + 1 < lines.length &&
+    lines[i].includes("|") &&
+    lines[i + 1].includes("|") &&
+    TABLE_DELIMITER_PATTERN.test(lines[i + 1])
+  );
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} row - Table row source
+ * @returns {string[]} Cell contents
+ */
+function splitTableRow(row) {
+  return row
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(^|[^\\])\|$/, "$1")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+}
+
+/**
+ * Render a table starting at a line
+ * @param {string[]} lines - All lines
+ * @param {number} start - Index of the header row
+ * @returns {{html: string, next: number}} Rendered table and next line index
+ */
+function renderTable(lines, start) {
+  const headers = splitTableRow(lines[start]);
+  const aligns = splitTableRow(lines[start + 1]).map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+    if (cell.endsWith(":")) return "right";
+    if (cell.startsWith(":")) return "left";
+    return "";
+  });
+
+  const cellHTML = (tag, content, index) => {
+    const align = aligns[index] ? ` class="align-${aligns[index]}"` : "";
+    return `<${tag}${align}>${renderInline(content || "")}</${tag}>`;
+  };
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+    const cells = splitTableRow(lines[i]);
+    rows.push(
+      `<tr>${headers
+        .map((h, col) => cellHTML("td", cells[col], col))
+        .join("")}</tr>`
+    );
+    i++;
+  }
+
+  const head = `<tr>${headers
+    .map((h, col) => cellHTML("th", h, col))
+    .join("")}</tr>`;
+  const body = rows.length ? `<tbody>${rows.join("")}</tbody>` : "";
+
+  return {
+    html: `<table><thead>${head}</thead>${body}</table>`,
+    next: i,
+  };
+}
+
+/**
+ * Render a list starting at a line, including nested lists
+ * @param {string[]} lines - All lines
+ * @param {number} start - Index of the first item
+ * @returns {{html: string, next: number}} Rendered list and next line index
+ */
+function renderList(lines, start) {
+  const first = lines[start].match(LIST_PATTERN);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+  let loose = false;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_PATTERN);
+    if (
+      !match ||
+      match[1].length !== indent ||
+      /\d/.test(match[2]) !== ordered
+    ) {
+      break;
+    }
+
+    // Collect the item's own lines and any indented continuation
+    const body = [match[3]];
+    const contentIndent = match[1].length + match[2].length + 1;
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const nextLine = lines[i + 1];
+        if (
+          nextLine &&
+          /^\s+/.test(nextLine) &&
+          nextLine.search(/\S/) > indent
+        ) {
+          body.push("");
+          loose = true;
+          i++;
+          continue;
+        }
+        break;
+      }
+      const lineIndent = line.search(/\S/);
+      if (lineIndent > indent) {
+        body.push(line.slice(Math.min(lineIndent, contentIndent)));
+      } else if (!startsBlock(lines, i)) {
+        body.push(line.trim()); // Lazy continuation
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    items.push(body);
+
+    // A blank line between items makes the list loose
+    if (!lines[i] || lines[i].trim()) continue;
+    const after = lines[i + 1] && lines[i + 1].match(LIST_PATTERN);
+    if (
+      after &&
+      after[1].length === indent &&
+      /\d/.test(after[2]) === ordered
+    ) {
+      loose = true;
+      i++;
+    }
+  }
+
+  const itemsHTML = items.map((body) => {
+    const inner = renderBlocks(body.join("\n"));
+    // Tight lists keep their text out of paragraphs
+    return `<li>${
+      loose ? inner : inner.replace(/^<p>([\s\S]*?)<\/p>/, "$1")
+    }</li>`;
+  });
+
+  const tag = ordered ? "ol" : "ul";
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr =
+    ordered && startNumber !== 1 ? ` start="${startNumber}"` : "";
+
+  return {
+    html: `<${tag}${startAttr}>${itemsHTML.join("")}</${tag}>`,
+    next: i,
+  };
+}
+
+/**
+ * Render block-level Markdown
+ * @param {string} source - Markdown source
+ * @returns {string} HTML string
+ */
+function renderBlocks(source) {
+  const lines = source.split("\n");
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Blank lines only separate blocks
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      const langClass = fence[2]
+        ? ` class="language-${escapeHTML(fence[2].toLowerCase())}"`
+        : "";
+      html.push(
+        `<pre><code${langClass}>${escapeHTML(code.join("\n"))}</code></pre>`
+      );
+      continue;
+    }
+
+    // ATX heading
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (RULE_PATTERN.test(line)) {
+      html.push("<hr>");
+      i++;
+      continue;
+    }
+
+    // Blockquote
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        QUOTE_PATTERN.test(lines[i])
+      ) {
+        quoted.push(lines[i].replace(QUOTE_PATTERN, ""));
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    // Lists
+    if (LIST_PATTERN.test(line)) {
+      const list = renderList(lines, i);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    // Tables
+    if (isTableStart(lines, i)) {
+      const table = renderTable(lines, i);
+      html.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    // Paragraph: single newlines are kept as line breaks, like plain text
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html.push(
+      `<p>${paragraph.map((text) => renderInline(text)).join("<br>")}</p>`
+    );
+  }
+
+  return html.join("\n");
+}
+
+// ============================================
+// HEADING ANCHORS
+// ============================================
+
+/**
+ * Turn heading text into an anchor id
+ * @param {string} text - Heading text
+ * @returns {string} Id such as "section-getting-started"
+ */
+function slugifyHeading(text) {
+  const slug = text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return HEADING_ID_PREFIX + (slug || "untitled");
+}
+
+/**
+ * Give every heading in rendered HTML a unique id, for tables of contents
+ * @param {string} html - Rendered HTML
+ * @returns {string} HTML with id attributes on h1-h6
+ */
+function addHeadingIds(html) {
+  const used = new Set();
+  return html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const base = slugifyHeading(htmlToText(inner));
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+}
+
+/**
+ * Render a Markdown document to HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML string (only allow-listed tags are produced)
+ */
+function renderMarkdown(markdown) {
+  const source = String(markdown || "")
+    .replace(/\u0000/g, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\t/g, "    ");
+  return addHeadingIds(renderBlocks(source));
+}
@@ -0,0 +1,132 @@
+// Personal Blog Platform - Keyed List Reconciliation
+// Updates a list of elements in place: each item keeps its element
+// (found by a key attribute such as data-post-id), only items whose
+// markup changed are re-rendered, and elements are only moved when the
+// order changed. The container is never emptied, so the page keeps its
+// scroll position, and focus inside a re-rendered item is put back.
+
+// ============================================
+// STATE
+// ============================================
+
+// Markup and context last written into each element, to skip unchanged items
+const renderedMarkup = new WeakMap();
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+/**
+ * Make a container's children match a list of items
+ * @param {Element} container - Parent of the item elements
+ * @param {Object[]} items - Items in display order
+ * @param {Object} options - How items map to elements
+ * @param {string} options.keyAttribute - Attribute holding each element's key
+ * @param {function(Object): string} options.getKey - Key of an item
+ * @param {function(Object): Element} options.create - New, empty element for an item
+ * @param {function(Object): string} options.render - Inner HTML of an item
+ * @param {string} options.context - Anything else the markup depends on
+ *   (e.g. the search being highlighted); a change re-renders every item
+ * @param {function(Element, Object): void} [options.afterRender] - Called
+ *   after an element's HTML was written, for DOM-level touches
+ * @returns {{created: number, updated: number, moved: number, removed: number}}
+ *   What changed, for benchmarks and debugging
+ */
+function reconcileKeyedList(
+  container,
+  items,
+  { keyAttribute, getKey, create, render, context = "", afterRender = null }
+) {
+  const stats = { created: 0, updated: 0, moved: 0, removed: 0 };
+  const focus = captureFocus(container, keyAttribute);
+
+  const existing = new Map();
+  Array.from(container.children).forEach((element) => {
+    existing.set(element.getAttribute(keyAttribute), element);
+  });
+
+  let cursor = container.firstElementChild;
+  items.forEach((item) => {
+    const key = getKey(item);
+    let element = existing.get(key);
+    const isNew = !element;
+    existing.delete(key);
+
+    if (isNew) {
+      element = create(item);
+      element.setAttribute(keyAttribute, key);
+      stats.created++;
+    }
+
+    const html = render(item);
+    const last = renderedMarkup.get(element);
+    if (!last || last.html !== html || last.context !== context) {
+      element.innerHTML = html;
+      renderedMarkup.set(element, { html, context });
+      if (afterRender) afterRender(element, item);
+      if (!isNew) stats.updated++;
+    }
+
+    // Only elements out of place are moved
+    if (element === cursor) {
+      cursor = cursor.nextElementSibling;
+    } else {
+      if (!isNew) stats.moved++;
+      container.insertBefore(element, cursor);
+    }
+  });
+
+  existing.forEach((element) => {
+    element.remove();
+    stats.removed++;
+  });
+
+  restoreFocus(container, keyAttribute, focus);
+  return stats;
+}
+
+// ============================================
+// FOCUS HELPERS
+// ============================================
+
+const FOCUSABLE_SELECTOR =
+  "a[href], button, input, select, textarea, [tabindex]";
+
+/**
+ * Remember which item element, and which control in it, has focus
+ * @param {Element} container - List container
+ * @param {string} keyAttribute - Key attribute of item elements
+ * @returns {{key: string, index: number}|null} Focus position, if inside the list
+ */
+function captureFocus(container, keyAttribute) {
+  const active = document.activeElement;
+  if (!active || !container.contains(active)) return null;
+
+  const item = active.closest(`[${keyAttribute}]`);
+  if (!item) return null;
+
+  return {
+    key: item.getAttribute(keyAttribute),
+    index: Array.from(item.querySelectorAll(FOCUSABLE_SELECTOR)).indexOf(
+      active
+    ),
+  };
+}
+
+/**
+ * Put focus back on the same control if re-rendering dropped it
+ * @param {Element} container - List container
+ * @param {string} keyAttribute - Key attribute of item elements
+ * @param {{key: string, index: number}|null} focus - From captureFocus
+ */
+function restoreFocus(container, keyAttribute, focus) {
+  if (!focus || container.contains(document.activeElement)) return;
+
+  const item = Array.from(container.children).find(
+    (element) => element.getAttribute(keyAttribute) === focus.key
+  );
+  if (!item) return;
+
+  const target = item.querySelectorAll(FOCUSABLE_SELECTOR)[focus.index] || item;
+  target.focus({ preventScroll: true });
+}
@@ -0,0 +1,176 @@
+// Personal Blog Platform - Hash Router
+// Maps location.hash (e.g. #/post/abc?x=1) to route handlers
+// so views can be deep-linked and browser back/forward work
+
+// ============================================
+// STATE
+// ============================================
+
+const routes = []; // Registered routes in match order
+let notFoundHandler = null; // Called when no route matches
+
+// ============================================
+// ROUTE REGISTRATION
+// ============================================
+
+/**
+ * Register a route
+ * @param {string} pattern - Path pattern, e.g. "/post/:id"
+ * @param {Function} handler - Called with (params, query) on match
+ */
+function addRoute(pattern, handler) {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+
+  routes.push({ regex: new RegExp(`^${source}/?$`), keys, handler });
+}
+
+/**
+ * Register the handler used when no route matches
+ * @param {Function} handler - Called with the unmatched path
+ */
+function setNotFoundHandler(handler) {
+  notFoundHandler = handler;
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+/**
+ * Split a hash into route path and query parameters
+ * Hashes not starting with "#/" (e.g. "#main-content") are not routes
+ * @param {string} hash - location.hash
+ * @returns {{path: string, query: URLSearchParams}|null} Parsed route or null
+ */
+function parseHash(hash) {
+  if (!hash || hash === "#") {
+    return { path: "/", query: new URLSearchParams() };
+  }
+
+  if (!hash.startsWith("#/")) {
+    return null;
+  }
+
+  const [path, queryString = ""] = hash.slice(1).split("?");
+  return { path, query: new URLSearchParams(queryString) };
+}
+
+/**
+ * Run the handler for the current location.hash
+ */
+function handleRouteChange() {
+  const route = parseHash(window.location.hash);
+
+  // In-page anchors such as the skip link are left to the browser
+  if (!route) return;
+
+  for (const { regex, keys, handler } of routes) {
+    const match = route.path.match(regex);
+    if (match) {
+      const params = {};
+      try {
+        keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(match[i + 1]);
+        });
+      } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        break; // A malformed escape such as "%" names nothing: not found
+      }
+      handler(params, route.query);
+      return;
+    }
+  }
+
+  if (notFoundHandler) {
+    notFoundHandler(route.path);
+  }
+}
+
+/**
+ * Navigate to a route path
+ * @param {string} path - Route path, e.g. "/tag/travel"
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.replace - Replace the current history entry
+ */
+function navigate(path, { replace = false } = {}) {
+  const hash = `#${path}`;
+
+  if (window.location.hash === hash) {
+    handleRouteChange();
+    return;
+  }
+
+  // Entries created here are marked so "back" knows it stays in the app
+  const state = { inApp: true };
+  if (replace) {
+    history.replaceState(
+      history.state && history.state.inApp ? state : null,
+      "",
+      hash
+    );
+  } else {
+    history.pushState(state, "", hash);
+  }
+
+  handleRouteChange();
+}
+
+/**
+ * Rewrite the current hash without adding history or running its route
+ * Used when a view fills in defaults the URL didn't spell out
+ * @param {string} path - Route path
+ */
+function replacePath(path) {
+  const hash = `#${path}`;
+  if (window.location.hash !== hash) {
+    history.replaceState(history.state, "", hash);
+  }
+}
+
+/**
+ * Go back one entry if it belongs to the app, else navigate to a fallback
+ * @param {string} fallbackPath - Route used when there is no in-app history
+ */
+function navigateBack(fallbackPath) {
+  if (history.state && history.state.inApp) {
+    history.back();
+  } else {
+    navigate(fallbackPath, { replace: true });
+  }
+}
+
+/**
+ * Build a route path from segments and optional query parameters
+ * @param {string[]} segments - Path segments (encoded automatically)
+ * @param {Object} [query] - Query parameters ('' values are dropped)
+ * @returns {string} Route path
+ */
+function buildPath(segments, query = {}) {
+  const path = `/${segments.map(encodeURIComponent).join("/")}`;
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  });
+  const queryString = params.toString();
+  return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Start listening for hash changes and handle the initial hash
+ */
+function startRouter() {
+  window.addEventListener("hashchange", handleRouteChange);
+  handleRouteChange();
+}
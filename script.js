@@ -1,5 +1,5 @@
 // Personal Blog Platform - JavaScript
-// Interactive blog with DOM manipulation, event handling, and localStorage
+// Interactive blog with DOM manipulation, event handling, and IndexedDB/localStorage
 // Author: Ervin
 // Date: November 8, 2025
 // Per Scholas - JavaScript SBA
@@ -9,10 +9,124 @@
 // ============================================
 
 const STORAGE_KEY = "personalBlogPosts"; // localStorage key for posts data
+let storage = null; // Active StorageAdapter (see storage.js), opened in init
+let tabChannel = null; // Messages to other open tabs (see tabs.js), opened in init
 let posts = []; // Array to store all blog posts
 let currentEditId = null; // Track which post is being edited
-let currentView = "list"; // Track current view: 'list' or 'detail'
+let currentView = "list"; // Track current view: 'list', 'detail', 'stats', 'trash', 'authors' or 'not-found'
 let currentDetailPostId = null; // Track which post is in detail view
+let currentSearchQuery = ""; // Active search query ('' shows every post)
+const SEARCH_DEBOUNCE_MS = 150; // Delay before a keystroke triggers a search
+let currentTagFilter = null; // Active tag filter (null shows every tag)
+let currentCategoryFilter = null; // Active category filter (null shows all)
+let currentAuthorFilter = null; // Author whose page the list shows (null shows everyone's)
+const MAX_TAG_LENGTH = 30; // Longest allowed tag or category name
+const TAG_CLOUD_SIZES = 4; // Number of font-size steps in the tag cloud
+let currentStatusFilter = "published"; // Which lifecycle status the list shows
+const POST_STATUSES = ["published", "draft", "scheduled", "archived"];
+const STATUS_LABELS = {
+  published: "statusTab.published",
+  draft: "statusTab.draft",
+  scheduled: "statusTab.scheduled",
+  archived: "statusTab.archived",
+}; // Message keys of the status tab names
+const SCHEDULE_CHECK_MS = 30000; // How often scheduled posts are checked
+const DIFF_CONTEXT_LINES = 2; // Unchanged lines kept around each change
+const AUTOSAVE_STORAGE_KEY = "personalBlogAutosave"; // In-progress form text
+const AUTOSAVE_DEBOUNCE_MS = 500; // Delay before typing is autosaved
+const VISITOR_STORAGE_KEY = "personalBlogVisitor"; // This browser's id and name
+const VIEWED_SESSION_KEY = "personalBlogViewed"; // sessionStorage: posts viewed this session
+const HISTORY_STORAGE_KEY = "personalBlogHistory"; // Undo and redo stacks
+const MAX_HISTORY_STEPS = 20; // Undo steps kept, also across reloads
+const TRASH_SETTINGS_KEY = "personalBlogTrashRetention"; // Days the trash keeps posts
+const TRASH_RETENTION_DAYS = [7, 30, 90]; // Choices for how long the trash keeps posts
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUTHORS_STORAGE_KEY = "personalBlogAuthors"; // Author profiles
+const CURRENT_AUTHOR_KEY = "personalBlogCurrentAuthor"; // Who writes in this browser
+const AUTHOR_COLORS = [
+  "#2563eb",
+  "#db2777",
+  "#059669",
+  "#d97706",
+  "#7c3aed",
+  "#0891b2",
+]; // Avatar colours offered to new authors in turn
+const MAX_AUTHOR_NAME_LENGTH = 50;
+const MAX_AUTHOR_BIO_LENGTH = 300;
+const LANGUAGE_STORAGE_KEY = "personalBlogLanguage"; // Interface language chosen here
+let authors = []; // Author profiles of { id, name, bio, color }, loaded in init
+let undoStack = []; // Commands that can be undone, oldest first
+let redoStack = []; // Undone commands that can be redone, oldest first
+const MAX_COMMENT_DEPTH = 3; // Nesting levels, counting top-level comments
+const MAX_COMMENT_LENGTH = 2000; // Longest allowed comment
+const MAX_COMMENT_AUTHOR_LENGTH = 50; // Longest allowed commenter name
+const RATING_PRIOR_WEIGHT = 5; // Ratings' worth of the site average in sort scores
+const SORT_ORDERS = {
+  newest: "sort.newest",
+  oldest: "sort.oldest",
+  views: "sort.views",
+  "top-rated": "sort.topRated",
+  title: "sort.title",
+  updated: "sort.updated",
+}; // Message keys of the sort order names
+let currentSortOrder = "newest"; // Key of SORT_ORDERS used for the list
+const LIST_SETTINGS_KEY = "personalBlogListSettings"; // Sort, page size, last list
+const PAGE_SIZES = [10, 20, 50]; // Posts per page in paged mode
+const INFINITE_BATCH_SIZE = 20; // Posts added per infinite-scroll step
+let listSettings = { sort: "newest", pageSize: 10, lastListPath: "/" }; // pageSize may be 'infinite'
+let currentPage = 1; // Page of the list shown in paged mode
+let listPosts = []; // Filtered and sorted posts of the current list
+let renderedListKey = ""; // Which list (path without page) is in the DOM
+let renderedCount = 0; // How many of listPosts have cards in the DOM
+let listObserver = null; // Watches the load-more row in infinite mode
+const renderedContentCache = new Map(); // Post id -> { source, html, summary } of its content
+const imageUrls = new Map(); // Image id -> promise of its object URL (null if missing)
+let newPostDraftId = null; // Id the post in the new post form will get; its images are stored under it
+let readingProgressFrame = null; // Pending animation frame for the progress bar
+let syncStatus = { status: "off", queueLength: 0 }; // Last state shown in the sync indicator
+
+// Tags and attributes allowed in rendered Markdown content
+const ALLOWED_TAGS = {
+  a: ["href", "title", "target", "rel"],
+  img: ["src", "alt", "title", "loading", "data-image-id"],
+  p: [],
+  br: [],
+  hr: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: ["class"],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ["start"],
+  li: [],
+  h1: ["id"],
+  h2: ["id"],
+  h3: ["id"],
+  h4: ["id"],
+  h5: ["id"],
+  h6: ["id"],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ["class"],
+  td: ["class"],
+};
+const DROPPED_TAGS = [
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "embed",
+  "template",
+];
+const ALLOWED_CLASS_PATTERN =
+  /^(language-[\w+#.-]+|align-(left|center|right))$/;
+const ALLOWED_ID_PATTERN = /^section-[\p{L}\p{N}-]+$/u; // Heading anchors only
+const ALLOWED_IMAGE_ID_PATTERN = /^[a-z0-9]+$/i; // Stored image references
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -26,852 +140,5910 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-/**
- * Format timestamp to readable date
- * @param {number} timestamp - Unix timestamp
- * @returns {string} Formatted date string
- */
-function formatDate(timestamp) {
-  const date = new Date(timestamp);
-  const options = {
-    year: "numeric",
-    month: "short",
-    day: "numeric",
-    hour: "2-digit",
-    minute: "2-digit",
-  };
-  return date.toLocaleDateString("en-US", options);
-}
-
 function sanitizeHTML(str) {
   const div = document.createElement("div");
   div.textContent = str;
   return div.innerHTML;
 }
 
-// ============================================
-// LOCALSTORAGE FUNCTIONS
-// ============================================
-
 /**
- * Save posts array to localStorage
+ * Sanitize an HTML string against the ALLOWED_TAGS allow-list
+ * @param {string} html - HTML string to clean
+ * @returns {string} HTML containing only allowed tags and attributes
  */
-function savePosts() {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(posts));
-  } catch (error) {
-    console.error("Error saving to localStorage:", error);
-    alert("Failed to save posts. Please check your browser settings.");
-  }
+function sanitizeRichHTML(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  cleanNode(template.content);
+  return template.innerHTML;
 }
 
 /**
- * Load posts from localStorage
+ * Recursively remove disallowed elements and attributes from a node
+ * @param {Node} node - Parent node whose children are cleaned
  */
-function loadPosts() {
-  try {
-    const storedPosts = localStorage.getItem(STORAGE_KEY);
-    const loadedPosts = storedPosts ? JSON.parse(storedPosts) : [];
-    
-    // Migration: Add views field to existing posts that don't have it
-    const migratedPosts = loadedPosts.map(post => {
-      if (typeof post.views !== 'number') {
-        post.views = 0;
+function cleanNode(node) {
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      return;
+    }
+
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove(); // Comments and processing instructions
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+
+    if (DROPPED_TAGS.includes(tag)) {
+      child.remove();
+      return;
+    }
+
+    cleanNode(child);
+
+    // Unknown tags are unwrapped so their text is kept
+    if (!ALLOWED_TAGS[tag]) {
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    Array.from(child.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      let keep = ALLOWED_TAGS[tag].includes(name);
+
+      if (keep && (name === "href" || name === "src")) {
+        keep = sanitizeUrl(attr.value, tag === "img") !== null;
+      } else if (keep && name === "class") {
+        keep = ALLOWED_CLASS_PATTERN.test(attr.value);
+      } else if (keep && name === "id") {
+        keep = ALLOWED_ID_PATTERN.test(attr.value);
+      } else if (keep && name === "data-image-id") {
+        keep = ALLOWED_IMAGE_ID_PATTERN.test(attr.value);
+      } else if (keep && name === "target") {
+        keep = attr.value === "_blank";
       }
-      if (!Array.isArray(post.ratings)) {
-        post.ratings = [];
+
+      if (!keep) {
+        child.removeAttribute(attr.name);
       }
-      return post;
     });
-    
-    return migratedPosts;
-  } catch (error) {
-    console.error("Error loading from localStorage:", error);
-    return [];
-  }
+
+    // Links opened in a new tab must not get access to this page
+    if (tag === "a" && child.hasAttribute("target")) {
+      child.setAttribute("rel", "noopener noreferrer");
+    }
+  });
 }
 
 /**
- * Add a new post
+ * Convert a timestamp to the value format of a datetime-local input
+ * @param {number} timestamp - Unix timestamp
+ * @returns {string} Local date and time as YYYY-MM-DDTHH:MM
+ */
+function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
+/**
+ * Delay a function until calls have stopped for a while
+ * @param {Function} fn - Function to debounce
+ * @param {number} delay - Quiet period in milliseconds
+ * @returns {Function} Debounced function
  */
-function addPost(title, content) {
-  const post = {
-    id: generateId(),
-    title: title.trim(),
-    content: content.trim(),
-    timestamp: Date.now(),
-    ratings: [], // Array to store individual ratings (1-5)
-    views: 0, // Counter for number of times post detail is opened
+function debounce(fn, delay) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), delay);
   };
-
-  posts.unshift(post); // Add to beginning of array
-  savePosts();
-  return post;
 }
 
 /**
-
+ * Render a post's content as HTML
+ * Legacy plain-text posts are escaped, Markdown posts are rendered and sanitized
+ * @param {Object} post - Post object
+ * @returns {string} Safe HTML string
  */
-function updatePost(id, title, content) {
-  const postIndex = posts.findIndex((post) => post.id === id);
-
-  if (postIndex !== -1) {
-    posts[postIndex].title = title.trim();
-    posts[postIndex].content = content.trim();
-    posts[postIndex].timestamp = Date.now(); // Update timestamp
-    savePosts();
-    return true;
+function renderPostContent(post) {
+  // Rendering and sanitizing is the slow part of a card, so it's cached
+  const source = `${post.format}:${post.content}`;
+  const cached = renderedContentCache.get(post.id);
+  if (cached && cached.source === source) {
+    return cached.html;
   }
 
-  return false;
+  const html =
+    post.format === "plain"
+      ? sanitizeHTML(post.content)
+      : sanitizeRichHTML(renderMarkdown(post.content));
+  renderedContentCache.set(post.id, { source, html, summary: null });
+  return html;
 }
 
 /**
- * Delete a post
+ * Get the word count, reading time, excerpt and headings of a post
+ * @param {Object} post - Post object
+ * @returns {Object} Content summary (see summarizeContent), cached with the HTML
+ */
+function getPostSummary(post) {
+  const html = renderPostContent(post);
+  const cached = renderedContentCache.get(post.id);
+  if (!cached.summary) {
+    cached.summary = summarizeContent(html);
+  }
+  return cached.summary;
+}
 
+// ============================================
+// STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Report a failed write to the post storage
+ * @param {Error} error - Storage error
  */
-function deletePost(id) {
-  const postIndex = posts.findIndex((post) => post.id === id);
+function handleStorageError(error) {
+  console.error(`Error saving to ${storage.name}:`, error);
+  showError(t("error.savePosts"));
+}
 
-  if (postIndex !== -1) {
-    posts.splice(postIndex, 1);
-    savePosts();
-    return true;
-  }
+/**
+ * Replace every stored post with the posts array (bulk changes only)
+ * @returns {Promise<void>} Resolves once written
+ */
+function savePosts() {
+  return storage
+    .replaceAll(posts)
+    .then(() => notifyOtherTabs({ type: "reload" }))
+    .catch(handleStorageError);
+}
 
-  return false;
+/**
+ * Write a single post to storage
+ * @param {Object} post - Post object
+ * @returns {Promise<void>} Resolves once written
+ */
+function savePost(post) {
+  notifyOtherTabs({ type: "put", post });
+  return storage.put(post).catch(handleStorageError);
 }
 
 /**
- * Get a post by ID
+ * Remove a single post from storage
+ * @param {string} id - Post ID
+ * @returns {Promise<void>} Resolves once removed
+ */
+function removeStoredPost(id) {
+  notifyOtherTabs({ type: "remove", id });
+  return storage.remove(id).catch(handleStorageError);
+}
 
+/**
+ * Remove every stored image of a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<void>} Resolves once removed
  */
-function getPostById(id) {
-  return posts.find((post) => post.id === id) || null;
+function removeStoredImages(postId) {
+  return storage.removeImages(postId).catch(handleStorageError);
 }
 
-// ============================================
-// DOM ELEMENT REFERENCES
-// ============================================
+/**
+ * Load autosaved form text from localStorage
+ * @returns {Object} Snapshots keyed by form ('newPost' or 'edit')
+ */
+function loadAutosaves() {
+  try {
+    const stored = localStorage.getItem(AUTOSAVE_STORAGE_KEY);
+    const autosaves = stored ? JSON.parse(stored) : {};
+    return autosaves && typeof autosaves === "object" ? autosaves : {};
+  } catch (error) {
+    console.error("Error loading autosaved text:", error);
+    return {};
+  }
+}
 
-// Form elements
-const postForm = document.getElementById("postForm");
-const postTitleInput = document.getElementById("postTitle");
-const postContentInput = document.getElementById("postContent");
-const titleError = document.getElementById("titleError");
-const contentError = document.getElementById("contentError");
-const newPostSection = document.querySelector(".new-post-section");
-const btnAddPost = document.getElementById("btnAddPost");
+/**
+ * Store or remove one form's autosaved text
+ * Failures are only logged: autosave must never interrupt typing
+ * @param {string} formKey - 'newPost' or 'edit'
+ * @param {Object|null} snapshot - Form snapshot, or null to remove it
+ */
+function saveAutosave(formKey, snapshot) {
+  const autosaves = loadAutosaves();
 
-// Posts display
-const postsContainer = document.getElementById("postsContainer");
-const postsCount = document.getElementById("postsCount");
-const emptyState = document.getElementById("emptyState");
-const postDetail = document.getElementById("postDetail");
+  if (snapshot) {
+    autosaves[formKey] = { ...snapshot, savedAt: Date.now() };
+  } else if (formKey in autosaves) {
+    delete autosaves[formKey];
+  } else {
+    return;
+  }
 
-// Modal elements
-const editModal = document.getElementById("editModal");
-const editForm = document.getElementById("editForm");
-const editPostId = document.getElementById("editPostId");
-const editPostTitleInput = document.getElementById("editPostTitle");
-const editPostContentInput = document.getElementById("editPostContent");
-const editTitleError = document.getElementById("editTitleError");
-const editContentError = document.getElementById("editContentError");
-const closeModalBtn = document.getElementById("closeModal");
-const cancelEditBtn = document.getElementById("cancelEdit");
+  try {
+    if (Object.keys(autosaves).length > 0) {
+      localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify(autosaves));
+    } else {
+      localStorage.removeItem(AUTOSAVE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("Error autosaving form text:", error);
+  }
+}
 
-// Rating modal elements
-const ratingModal = document.getElementById("ratingModal");
-const ratingStars = document.getElementById("ratingStars");
-const closeRatingBtn = document.getElementById("closeRating");
-const cancelRatingBtn = document.getElementById("cancelRating");
-let currentRatingPostId = null;
+/**
+ * Get this browser's visitor profile, creating its id on first use
+ * The id marks comments as "yours" so only you can edit or delete them,
+ * and lets each browser rate a post once
+ * @returns {{id: string, name: string}} Visitor profile
+ */
+function getVisitor() {
+  let visitor = null;
+  try {
+    visitor = JSON.parse(localStorage.getItem(VISITOR_STORAGE_KEY));
+  } catch (error) {
+    console.error("Error loading visitor profile:", error);
+  }
 
-// ============================================
-// RATING FUNCTIONS
-// ============================================
+  if (!visitor || typeof visitor.id !== "string") {
+    visitor = { id: generateId(), name: "" };
+    saveVisitor(visitor);
+  }
+  return visitor;
+}
 
 /**
- * Add a rating to a post
- * @param {string} postId - Post ID
- * @param {number} rating - Rating value (1-5)
- * @returns {boolean} Success status
+ * Store the visitor profile
+ * @param {{id: string, name: string}} visitor - Visitor profile
  */
-function addRating(postId, rating) {
-  const postIndex = posts.findIndex((post) => post.id === postId);
+function saveVisitor(visitor) {
+  try {
+    localStorage.setItem(VISITOR_STORAGE_KEY, JSON.stringify(visitor));
+  } catch (error) {
+    console.error("Error saving visitor profile:", error);
+  }
+}
 
-  if (postIndex !== -1) {
-    // Initialize ratings array if it doesn't exist
-    if (!posts[postIndex].ratings) {
-      posts[postIndex].ratings = [];
+/**
+ * Load the list settings (sort, page size, last list URL)
+ * @returns {Object} Settings, with defaults for anything missing or invalid
+ */
+function loadListSettings() {
+  const settings = { sort: "newest", pageSize: 10, lastListPath: "/" };
+  try {
+    const stored = JSON.parse(localStorage.getItem(LIST_SETTINGS_KEY)) || {};
+    if (stored.sort in SORT_ORDERS) settings.sort = stored.sort;
+    if (
+      stored.pageSize === "infinite" ||
+      PAGE_SIZES.includes(stored.pageSize)
+    ) {
+      settings.pageSize = stored.pageSize;
+    }
+    if (typeof stored.lastListPath === "string") {
+      settings.lastListPath = stored.lastListPath;
     }
+  } catch (error) {
+    console.error("Error loading list settings:", error);
+  }
+  return settings;
+}
 
-    posts[postIndex].ratings.push(rating);
-    savePosts();
-    return true;
+/**
+ * Store the list settings
+ */
+function saveListSettings() {
+  try {
+    localStorage.setItem(LIST_SETTINGS_KEY, JSON.stringify(listSettings));
+  } catch (error) {
+    console.error("Error saving list settings:", error);
   }
+}
 
-  return false;
+/**
+ * Load how many days the trash keeps posts
+ * Read each time it is needed, so every open tab uses the latest choice
+ * @returns {number} One of TRASH_RETENTION_DAYS
+ */
+function loadTrashRetention() {
+  const stored = Number(localStorage.getItem(TRASH_SETTINGS_KEY));
+  return TRASH_RETENTION_DAYS.includes(stored)
+    ? stored
+    : DEFAULT_TRASH_RETENTION_DAYS;
 }
 
 /**
- * Calculate average rating for a post
- * @param {Object} post - Post object
- * @returns {number} Average rating (0 if no ratings)
+ * Store how many days the trash keeps posts
+ * @param {number} days - One of TRASH_RETENTION_DAYS
  */
-function getAverageRating(post) {
-  if (!post.ratings || post.ratings.length === 0) {
-    return 0;
+function saveTrashRetention(days) {
+  try {
+    localStorage.setItem(TRASH_SETTINGS_KEY, String(days));
+  } catch (error) {
+    console.error("Error saving trash settings:", error);
   }
-
-  const sum = post.ratings.reduce((acc, rating) => acc + rating, 0);
-  return (sum / post.ratings.length).toFixed(1);
 }
 
 /**
- * Get rating count for a post
- * @param {Object} post - Post object
- * @returns {number} Number of ratings
+ * Load the author profiles
+ * Profiles that don't pass the import check are skipped
+ * @returns {Object[]} Profiles of { id, name, bio, color }
  */
-function getRatingCount(post) {
-  return post.ratings ? post.ratings.length : 0;
+function loadAuthors() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUTHORS_STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter((author) => matchesType(author, "author"))
+      : [];
+  } catch (error) {
+    console.error("Error loading author profiles:", error);
+    return [];
+  }
 }
 
 /**
- * Increment view count for a post
- * @param {string} postId - ID of the post
+ * Store the author profiles and tell the other tabs
  * @returns {boolean} Success status
  */
-function incrementViews(postId) {
-  const postIndex = posts.findIndex((post) => post.id === postId);
-  if (postIndex !== -1) {
-    if (typeof posts[postIndex].views !== "number") {
-      posts[postIndex].views = 0;
-    }
-    posts[postIndex].views++;
-    savePosts();
-    return true;
+function saveAuthors() {
+  try {
+    localStorage.setItem(AUTHORS_STORAGE_KEY, JSON.stringify(authors));
+  } catch (error) {
+    console.error("Error saving author profiles:", error);
+    showError(t("error.saveAuthors"));
+    return false;
   }
-  return false;
+  notifyOtherTabs({ type: "authors" });
+  return true;
 }
 
 /**
- * Generate star HTML for display
- * @param {number} rating - Average rating
- * @returns {string} HTML string with stars
+ * Load who is writing in this browser
+ * @returns {string|null} Author ID (null if nobody was chosen)
  */
-function generateStarDisplay(rating) {
-  const fullStars = Math.floor(rating);
-  const hasHalfStar = rating % 1 >= 0.5;
-  let html = "";
+function loadCurrentAuthorId() {
+  return localStorage.getItem(CURRENT_AUTHOR_KEY) || null;
+}
 
-  for (let i = 0; i < 5; i++) {
-    if (i < fullStars) {
-      html += '<span class="star filled">★</span>';
-    } else if (i === fullStars && hasHalfStar) {
-      html += '<span class="star half">★</span>';
+/**
+ * Store who is writing in this browser and tell the other tabs
+ * @param {string|null} id - Author ID, or null for nobody
+ */
+function saveCurrentAuthorId(id) {
+  try {
+    if (id) {
+      localStorage.setItem(CURRENT_AUTHOR_KEY, id);
     } else {
-      html += '<span class="star empty">☆</span>';
+      localStorage.removeItem(CURRENT_AUTHOR_KEY);
     }
+  } catch (error) {
+    console.error("Error saving current author:", error);
   }
+  notifyOtherTabs({ type: "authors" });
+}
 
-  return html;
+/**
+ * Load the interface language
+ * Until one is chosen, the browser's preferred languages decide
+ * @returns {string} Supported locale code
+ */
+function loadLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  return isSupportedLocale(stored)
+    ? stored
+    : matchLocale(navigator.languages || [navigator.language]);
 }
 
-// ============================================
-// VALIDATION FUNCTIONS
-// ============================================
+/**
+ * Store the interface language and tell the other tabs
+ * @param {string} locale - Locale code
+ */
+function saveLanguage(locale) {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.error("Error saving language:", error);
+  }
+  notifyOtherTabs({ type: "language" });
+}
 
 /**
- * Validate form inputs
+ * Bring a stored or imported post up to the current shape
+ * @param {Object} post - Post object (changed in place)
+ * @returns {Object} The migrated post
+ */
+function migratePost(post) {
+  // Add views field to existing posts that don't have it
+  if (typeof post.views !== "number") {
+    post.views = 0;
+  }
+  // Daily view history; views from before it existed only count in the total
+  if (
+    !post.viewsByDay ||
+    typeof post.viewsByDay !== "object" ||
+    Array.isArray(post.viewsByDay)
+  ) {
+    post.viewsByDay = {};
+  }
+  if (!Array.isArray(post.ratings)) {
+    post.ratings = [];
+  }
+  if (!Array.isArray(post.comments)) {
+    post.comments = [];
+  }
+  // Posts written before Markdown support keep rendering as plain text
+  if (!post.format) {
+    post.format = "plain";
+  }
+  if (!Array.isArray(post.tags)) {
+    post.tags = [];
+  }
+  if (typeof post.category !== "string") {
+    post.category = "";
+  }
+  // Posts from before the draft workflow were published immediately
+  if (!POST_STATUSES.includes(post.status)) {
+    post.status = "published";
+  }
+  if (typeof post.publishAt !== "number") {
+    post.publishAt = null;
+  }
+  // When the post was moved to the trash (null = not in the trash)
+  if (typeof post.deletedAt !== "number") {
+    post.deletedAt = null;
+  }
+  if (typeof post.coverImageId !== "string") {
+    post.coverImageId = null;
+  }
+  // Posts from before author profiles have nobody's byline
+  if (typeof post.authorId !== "string") {
+    post.authorId = null;
+  }
+  // Split the old single timestamp into creation and update times.
+  // Older edits overwrote it, so it is the best guess for both.
+  if (typeof post.createdAt !== "number") {
+    post.createdAt = post.timestamp || Date.now();
+  }
+  if (typeof post.updatedAt !== "number") {
+    post.updatedAt = post.timestamp || post.createdAt;
+  }
+  delete post.timestamp;
+  post.ratings = migrateRatings(post.ratings, post.createdAt);
+  // Server version from the last sync (0 = never synced)
+  if (typeof post.version !== "number") {
+    post.version = 0;
+  }
+  // Start the history of older posts from their current state
+  if (!Array.isArray(post.revisions) || post.revisions.length === 0) {
+    post.revisions = [createRevision(post, post.updatedAt)];
+  }
+  // Imported revisions may predate some fields
+  post.revisions = post.revisions.map((revision) =>
+    freezeRevision({
+      format: post.format,
+      tags: [],
+      category: "",
+      restoredFrom: null,
+      ...revision,
+    })
+  );
+  return post;
+}
+
+/**
+ * Load posts from storage
+ * Posts that migration changed are written back one record at a time;
+ * the rest are left alone so other tabs' writes aren't raced
+ * @returns {Promise<Object[]|null>} Migrated posts, newest first, or null on failure
+ */
+async function loadPosts() {
+  try {
+    const loadedPosts = await storage.getAll();
+
+    // Not every store keeps insertion order, so order by creation time
+    return loadedPosts
+      .map((storedPost) => {
+        const stored = JSON.stringify(storedPost);
+        const post = migratePost(storedPost);
+        if (JSON.stringify(post) !== stored) {
+          savePost(post);
+        }
+        return post;
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+  } catch (error) {
+    console.error(`Error loading from ${storage.name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Add a new post
  * @param {string} title - Post title
- * @param {string} content - Post content
- * @param {HTMLElement} titleErrorEl - Title error element
- * @param {HTMLElement} contentErrorEl - Content error element
- * @param {HTMLElement} titleInput - Title input element
- * @param {HTMLElement} contentInput - Content input element
- * @returns {boolean} Validation status
+ * @param {string} content - Post content (Markdown)
+ * @param {Object} details - Optional post details
+ * @param {string[]} details.tags - Free-form tags
+ * @param {string} details.category - Single category name
+ * @param {string} details.status - Lifecycle status (default 'published')
+ * @param {number|null} details.publishAt - When a scheduled post goes live
+ * @param {string|null} details.coverImageId - Stored image shown as the cover
+ * @param {string|null} details.authorId - Author profile of the byline
+ * @param {string} details.id - Post ID, when images were stored under it
+ *   before the post was saved
+ * @returns {Object} The new post
  */
-function validatePost(
+function addPost(
   title,
   content,
-  titleErrorEl,
-  contentErrorEl,
-  titleInput,
-  contentInput
+  {
+    tags = [],
+    category = "",
+    status = "published",
+    publishAt = null,
+    coverImageId = null,
+    authorId = null,
+    id = generateId(),
+  } = {}
 ) {
-  let isValid = true;
-
-  // Clear previous errors
-  titleErrorEl.textContent = "";
-  contentErrorEl.textContent = "";
-  titleInput.classList.remove("error");
-  contentInput.classList.remove("error");
-  titleInput.setAttribute("aria-invalid", "false");
-  contentInput.setAttribute("aria-invalid", "false");
+  const now = Date.now();
+  const post = {
+    id,
+    title: title.trim(),
+    content: content.trim(),
+    createdAt: now, // When the post was first saved
+    updatedAt: now, // When the post was last edited
+    format: "markdown", // Content format: 'markdown' or legacy 'plain'
+    tags: normalizeTags(tags), // Free-form tags, lowercase and unique
+    category: normalizeCategory(category), // One category ('' if none)
+    status, // 'draft', 'scheduled', 'published' or 'archived'
+    publishAt, // Timestamp a scheduled post goes live (null if unscheduled)
+    coverImageId, // Stored image shown on cards and above the post (null if none)
+    authorId, // Author profile shown in the byline (null if none)
+    ratings: [], // Array to store individual ratings (1-5)
+    comments: [], // Threaded comments
+    views: 0, // Counter for number of times post detail is opened
+    viewsByDay: {}, // Views per local day, e.g. {"2025-11-08": 3}
+    deletedAt: null, // When the post was moved to the trash (null if not)
+  };
+  post.revisions = [createRevision(post, now)]; // Immutable edit history
 
-  // Validate title
-  if (!title.trim()) {
-    titleErrorEl.textContent = "Title is required";
-    titleInput.classList.add("error");
-    titleInput.setAttribute("aria-invalid", "true");
-    isValid = false;
-  } else if (title.trim().length < 3) {
-    titleErrorEl.textContent = "Title must be at least 3 characters";
-    titleInput.classList.add("error");
-    titleInput.setAttribute("aria-invalid", "true");
-    isValid = false;
-  } else if (title.trim().length > 100) {
-    titleErrorEl.textContent = "Title must be less than 100 characters";
-    titleInput.classList.add("error");
-    titleInput.setAttribute("aria-invalid", "true");
-    isValid = false;
+  posts.unshift(post); // Add to beginning of array
+  savePost(post);
+  indexPost(post);
+  queueSyncOperation({ type: "put", id: post.id });
+  return post;
+}
+
+/**
+ * Update an existing post
+ * @param {string} id - Post ID
+ * @param {string} title - New title
+ * @param {string} content - New content, in the post's format
+ * @param {Object} details - Optional post details
+ * @param {string} details.format - New content format, 'markdown' or
+ *   'plain' (unchanged if omitted, so legacy plain-text posts stay plain)
+ * @param {string[]} details.tags - New tags
+ * @param {string} details.category - New category
+ * @param {string} details.status - New lifecycle status (unchanged if omitted)
+ * @param {number|null} details.publishAt - New publish time
+ * @param {string|null} details.coverImageId - New cover (unchanged if omitted)
+ * @param {string|null} details.authorId - New author (unchanged if omitted)
+ * @returns {boolean} Success status
+ */
+function updatePost(
+  id,
+  title,
+  content,
+  {
+    format,
+    tags = [],
+    category = "",
+    status,
+    publishAt = null,
+    coverImageId,
+    authorId,
+  } = {}
+) {
+  const postIndex = posts.findIndex((post) => post.id === id);
+
+  if (postIndex !== -1) {
+    posts[postIndex].title = title.trim();
+    posts[postIndex].content = content.trim();
+    if (format) {
+      posts[postIndex].format = format;
+    }
+    posts[postIndex].tags = normalizeTags(tags);
+    posts[postIndex].category = normalizeCategory(category);
+    if (status) {
+      posts[postIndex].status = status;
+      posts[postIndex].publishAt = status === "scheduled" ? publishAt : null;
+    }
+    if (coverImageId !== undefined) {
+      posts[postIndex].coverImageId = coverImageId;
+    }
+    if (authorId !== undefined) {
+      posts[postIndex].authorId = authorId;
+    }
+    recordRevision(posts[postIndex]);
+    savePost(posts[postIndex]);
+    queueSyncOperation({ type: "put", id });
+    indexPost(posts[postIndex]);
+    return true;
   }
 
-  // Validate content
-  if (!content.trim()) {
-    contentErrorEl.textContent = "Content is required";
-    contentInput.classList.add("error");
-    contentInput.setAttribute("aria-invalid", "true");
-    isValid = false;
-  } else if (content.trim().length < 10) {
-    contentErrorEl.textContent = "Content must be at least 10 characters";
-    contentInput.classList.add("error");
-    contentInput.setAttribute("aria-invalid", "true");
-    isValid = false;
+  return false;
+}
+
+/**
+ * Delete a post for good, skipping the trash
+ * @param {string} id - Post ID
+ * @returns {boolean} Success status
+ */
+function deletePost(id) {
+  const postIndex = posts.findIndex((post) => post.id === id);
+
+  if (postIndex !== -1) {
+    const [post] = posts.splice(postIndex, 1);
+    removeStoredPost(id);
+    removeStoredImages(id);
+    removeFromIndex(id);
+    queueSyncOperation({ type: "delete", id, baseVersion: post.version });
+    return true;
   }
 
-  return isValid;
+  return false;
 }
 
-// ============================================
-// RENDER FUNCTIONS
-// ============================================
+/**
+ * Move a post to the trash
+ * It keeps its status, so restoring it puts it back where it was
+ * @param {string} id - Post ID
+ * @param {number} now - Time of the move
+ * @returns {boolean} Success status
+ */
+function trashPost(id, now = Date.now()) {
+  const post = getPostById(id);
+
+  if (!post || isTrashed(post)) {
+    return false;
+  }
+
+  post.deletedAt = now;
+  savePost(post);
+  queueSyncOperation({ type: "put", id });
+  return true;
+}
 
 /**
- * Render all posts to the DOM
+ * Take a post back out of the trash
+ * @param {string} id - Post ID
+ * @returns {boolean} Success status
  */
-function renderPosts() {
-  // Clear container
-  postsContainer.innerHTML = "";
+function restorePost(id) {
+  const post = getPostById(id);
 
-  // Update posts count
-  postsCount.textContent = `${posts.length} ${
-    posts.length === 1 ? "post" : "posts"
-  }`;
+  if (!post || !isTrashed(post)) {
+    return false;
+  }
 
-  // Show/hide empty state
-  if (posts.length === 0) {
-    emptyState.classList.remove("hidden");
-    return;
-  } else {
-    emptyState.classList.add("hidden");
+  post.deletedAt = null;
+  savePost(post);
+  queueSyncOperation({ type: "put", id });
+  return true;
+}
+
+/**
+ * Permanently delete posts from the trash
+ * They can't be undone, so they are dropped from the undo history too
+ * @param {string[]} ids - IDs of trashed posts
+ * @returns {number} Number of posts deleted
+ */
+function purgePosts(ids) {
+  const purged = ids.filter((id) => {
+    const post = getPostById(id);
+    return post && isTrashed(post) && deletePost(id);
+  });
+  forgetHistory(purged);
+  return purged.length;
+}
+
+/**
+ * Permanently delete the posts that have been in the trash too long
+ * @param {number} now - Current time
+ * @returns {number} Number of posts deleted
+ */
+function purgeExpiredTrash(now = Date.now()) {
+  const expired = getTrashedPosts()
+    .filter((post) => getPurgeTime(post) <= now)
+    .map((post) => post.id);
+  return purgePosts(expired);
+}
+
+/**
+ * Change a post's lifecycle status
+ * @param {string} id - Post ID
+ * @param {string} status - New status
+ * @returns {boolean} Success status
+ */
+function setPostStatus(id, status) {
+  const post = getPostById(id);
+
+  if (!post || !POST_STATUSES.includes(status)) {
+    return false;
+  }
+
+  post.status = status;
+  if (status !== "scheduled") {
+    post.publishAt = null;
   }
+  savePost(post);
+  queueSyncOperation({ type: "put", id });
+  return true;
+}
+
+/**
+ * Publish every scheduled post whose time has come
+ * @returns {number} Number of posts published
+ */
+function promoteScheduledPosts() {
+  const now = Date.now();
+  let promoted = 0;
 
-  // Render each post
   posts.forEach((post) => {
-    const postCard = createPostCard(post);
-    postsContainer.appendChild(postCard);
+    if (post.status === "scheduled" && post.publishAt <= now) {
+      post.status = "published";
+      savePost(post);
+      queueSyncOperation({ type: "put", id: post.id });
+      promoted++;
+    }
   });
+
+  return promoted;
+}
+
+/**
+ * Restore an older revision of a post as a new revision
+ * @param {string} postId - Post ID
+ * @param {string} revisionId - ID of the revision to restore
+ * @returns {boolean} Success status
+ */
+function restoreRevision(postId, revisionId) {
+  const post = getPostById(postId);
+  const revision = post
+    ? post.revisions.find((rev) => rev.id === revisionId)
+    : null;
+
+  if (!revision) {
+    return false;
+  }
+
+  post.title = revision.title;
+  post.content = revision.content;
+  post.format = revision.format;
+  post.tags = [...revision.tags];
+  post.category = revision.category;
+  recordRevision(post, revisionId);
+  savePost(post);
+  queueSyncOperation({ type: "put", id: postId });
+  indexPost(post);
+  return true;
+}
+
+/**
+ * Get a post by ID
+
+ */
+function getPostById(id) {
+  return posts.find((post) => post.id === id) || null;
 }
 
 /**
- * Create a post card element
+ * Check whether a post is in the trash
  * @param {Object} post - Post object
- * @returns {HTMLElement} Post card element
+ * @returns {boolean} True if trashed
  */
-function createPostCard(post) {
-  const card = document.createElement("article");
-  card.className = "post-card";
-  card.setAttribute("data-post-id", post.id);
+function isTrashed(post) {
+  return typeof post.deletedAt === "number";
+}
 
-  // Check if content is long (more than 200 characters)
-  const isLongContent = post.content.length > 200;
-  const contentClass = isLongContent
-    ? "post-content truncated"
-    : "post-content";
-
-  const avgRating = getAverageRating(post);
-  const ratingCount = getRatingCount(post);
-  const viewCount = post.views || 0;
-
-  card.innerHTML = `
-        <div class="post-header">
-            <h3 class="post-title">${sanitizeHTML(post.title)}</h3>
-            <div class="post-meta-row">
-                <div class="post-timestamp">${formatDate(post.timestamp)}</div>
-                <div class="post-views">
-                    <span class="view-icon">👁</span>
-                    <span class="view-count">${viewCount} ${
-    viewCount === 1 ? "view" : "views"
-  }</span>
-                </div>
-            </div>
-        </div>
-        <div class="${contentClass}">${sanitizeHTML(post.content)}</div>
-        <div class="post-footer">
-            <div class="post-rating-display">
-                <div class="stars-display">${generateStarDisplay(
-                  avgRating
-                )}</div>
-                <span class="rating-info">${
-                  avgRating > 0 ? avgRating : "No ratings"
-                } ${
-    ratingCount > 0
-      ? `(${ratingCount} ${ratingCount === 1 ? "rating" : "ratings"})`
-      : ""
-  }</span>
-            </div>
-            <div class="post-actions">
-                <button class="btn btn-rate btn-icon" data-action="rate" data-id="${
-                  post.id
-                }">
-                    Rate
-                </button>
-                ${
-                  isLongContent
-                    ? `
-                    <button class="btn btn-read-more btn-icon" data-action="view" data-id="${post.id}">
-                    Read More
-                    </button>
-                `
-                    : ""
-                }
-                <button class="btn btn-edit btn-icon" data-action="edit" data-id="${
-                  post.id
-                }">
-                    Edit
-                </button>
-                <button class="btn btn-delete btn-icon" data-action="delete" data-id="${
-                  post.id
-                }">
-                    Delete
-                </button>
-            </div>
-        </div>
-    `;
+/**
+ * Get the posts that are not in the trash
+ * Lists, counts, tags and stats only ever look at these
+ * @returns {Object[]} Posts
+ */
+function getActivePosts() {
+  return posts.filter((post) => !isTrashed(post));
+}
 
-  return card;
+/**
+ * Get the posts in the trash, most recently trashed first
+ * @returns {Object[]} Posts
+ */
+function getTrashedPosts() {
+  return posts.filter(isTrashed).sort((a, b) => b.deletedAt - a.deletedAt);
 }
 
 /**
- * Update posts count display
+ * Get when a trashed post will be deleted for good
+ * @param {Object} post - Trashed post
+ * @returns {number} Time in milliseconds
  */
-function updatePostsCount() {
-  postsCount.textContent = `${posts.length} ${
-    posts.length === 1 ? "post" : "posts"
-  }`;
+function getPurgeTime(post) {
+  return post.deletedAt + loadTrashRetention() * DAY_MS;
 }
 
 // ============================================
-// FORM TOGGLE FUNCTIONS
+// REVISION FUNCTIONS
 // ============================================
 
 /**
- * Toggle new post form visibility
+ * Snapshot a post's editable fields as a revision
+ * @param {Object} post - Post object
+ * @param {number} savedAt - When the revision was authored
+ * @param {string|null} restoredFrom - ID of the revision this one restores
+ * @returns {Object} Frozen revision
  */
-function toggleNewPostForm() {
-  const isCollapsed = newPostSection.classList.contains("collapsed");
+function createRevision(post, savedAt, restoredFrom = null) {
+  return freezeRevision({
+    id: generateId(),
+    title: post.title,
+    content: post.content,
+    format: post.format,
+    tags: [...post.tags],
+    category: post.category,
+    savedAt,
+    restoredFrom,
+  });
+}
 
-  if (isCollapsed) {
-    // Show form
-    newPostSection.classList.remove("collapsed");
-    btnAddPost.textContent = "Hide Form";
-    // Focus on title input after animation
-    setTimeout(() => {
-      postTitleInput.focus();
-    }, 300);
-  } else {
-    // Hide form
-    newPostSection.classList.add("collapsed");
-    btnAddPost.textContent = "New Post";
-    // Clear form
-    postForm.reset();
-    // Clear errors
-    titleError.textContent = "";
-    contentError.textContent = "";
-    postTitleInput.classList.remove("error");
-    postContentInput.classList.remove("error");
-  }
+/**
+ * Freeze a revision so it can't be changed after it is written
+ * @param {Object} revision - Revision object
+ * @returns {Object} The same revision, frozen
+ */
+function freezeRevision(revision) {
+  Object.freeze(revision.tags);
+  return Object.freeze(revision);
 }
 
-// ============================================
-// DETAIL VIEW FUNCTIONS
-// ============================================
+/**
+ * Check whether a post's fields match a revision
+ * @param {Object} post - Post object
+ * @param {Object} revision - Revision object
+ * @returns {boolean} True if nothing changed
+ */
+function matchesRevision(post, revision) {
+  return (
+    post.title === revision.title &&
+    post.content === revision.content &&
+    post.format === revision.format &&
+    post.category === revision.category &&
+    post.tags.join(",") === revision.tags.join(",")
+  );
+}
 
 /**
- * Show post detail view
- * @param {string} postId - ID of post to view
+ * Record a post's current state as a new revision and bump updatedAt
+ * Saves that change nothing are not recorded twice
+ * @param {Object} post - Post object (already updated)
+ * @param {string|null} restoredFrom - ID of a restored revision
  */
-function showPostDetail(postId) {
-  const post = getPostById(postId);
+function recordRevision(post, restoredFrom = null) {
+  const latest = post.revisions[post.revisions.length - 1];
 
-  if (!post) {
-    alert("Post not found");
+  if (!restoredFrom && latest && matchesRevision(post, latest)) {
     return;
   }
 
-  // Increment view count when opening detail
-  incrementViews(postId);
+  post.updatedAt = Date.now();
+  post.revisions.push(createRevision(post, post.updatedAt, restoredFrom));
+}
+
+/**
+ * Get the 1-based number of a revision
+ * @param {Object} post - Post object
+ * @param {string} revisionId - Revision ID
+ * @returns {number} Revision number (0 if not found)
+ */
+function getRevisionNumber(post, revisionId) {
+  return post.revisions.findIndex((rev) => rev.id === revisionId) + 1;
+}
 
-  currentView = "detail";
-  currentDetailPostId = postId;
+// ============================================
+// UNDO HISTORY FUNCTIONS
+// ============================================
 
-  const avgRating = getAverageRating(post);
-  const ratingCount = getRatingCount(post);
-  const viewCount = post.views || 0;
-
-  // Create detail view HTML
-  postDetail.innerHTML = `
-        <div class="post-detail-header">
-            <h2 class="post-detail-title">${sanitizeHTML(post.title)}</h2>
-            <div class="post-detail-meta">
-                <span class="post-timestamp">${formatDate(
-                  post.timestamp
-                )}</span>
-                <span class="post-views">
-                    <span class="view-icon">👁</span>
-                    <span class="view-count">${viewCount} ${
-    viewCount === 1 ? "view" : "views"
-  }</span>
-                </span>
-            </div>
-            <div class="post-rating-display">
-                <div class="stars-display">${generateStarDisplay(
-                  avgRating
-                )}</div>
-                <span class="rating-info">${
-                  avgRating > 0 ? avgRating : "No ratings"
-                } ${
-    ratingCount > 0
-      ? `(${ratingCount} ${ratingCount === 1 ? "rating" : "ratings"})`
-      : ""
-  }</span>
-            </div>
-        </div>
-        <div class="post-detail-content">${sanitizeHTML(post.content)}</div>
-        <div class="post-detail-actions">
-            <button class="btn btn-back" data-action="back">
-                Indietro
-            </button>
-            <button class="btn btn-rate btn-icon" data-action="rate" data-id="${
-              post.id
-            }">
-                Rate
-            </button>
-            <button class="btn btn-edit btn-icon" data-action="edit" data-id="${
-              post.id
-            }">
-                Edit
-            </button>
-            <button class="btn btn-delete btn-icon" data-action="delete" data-id="${
-              post.id
-            }">
-                Delete
-            </button>
-        </div>
-    `;
+// A command is { label, changes: [{ id, before, after }] } where before and
+// after are copies of a post (null when it didn't exist). Undo writes the
+// "before" side back and redo the "after" side, so commands are plain data
+// and survive a reload.
 
-  // Show detail, hide list
-  postDetail.classList.add("active");
-  postsContainer.style.display = "none";
-  emptyState.style.display = "none";
+/**
+ * Copy a post so later changes to it don't reach the copy
+ * @param {Object|null} post - Post object
+ * @returns {Object|null} Deep copy
+ */
+function copyPost(post) {
+  return post ? JSON.parse(JSON.stringify(post)) : null;
+}
 
-  // Scroll to top
-  postDetail.scrollIntoView({ behavior: "smooth", block: "start" });
+/**
+ * Copy the current state of some posts before changing them
+ * @param {string[]} ids - Post IDs
+ * @returns {Map<string, Object|null>} Post ID -> copy (null if missing)
+ */
+function snapshotPosts(ids) {
+  return new Map(ids.map((id) => [id, copyPost(getPostById(id))]));
 }
 
 /**
- * Hide post detail view and show list
+ * List the fields that differ between two versions of a post
+ * The sync version is the server's business and never undone
+ * @param {Object|null} from - One version
+ * @param {Object} to - Other version
+ * @returns {string[]} Field names
  */
-function hidePostDetail() {
-  currentView = "list";
-  currentDetailPostId = null;
+function getChangedFields(from, to) {
+  const fields = new Set([...Object.keys(from || {}), ...Object.keys(to)]);
+  return [...fields].filter(
+    (field) =>
+      field !== "version" &&
+      (!from || JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+  );
+}
 
-  // Hide detail, show list
-  postDetail.classList.remove("active");
-  postsContainer.style.display = "flex";
+/**
+ * Record a finished change as an undoable command
+ * @param {string} label - What was done, e.g. 'Delete “My post”', in the
+ *   language of the moment; it is stored as it is
+ * @param {Map<string, Object|null>} before - From snapshotPosts, taken before the change
+ * @param {string[]} extraIds - Posts created by the change
+ * @returns {boolean} True if anything changed and was recorded
+ */
+function recordCommand(label, before, extraIds = []) {
+  const changes = [...new Set([...before.keys(), ...extraIds])]
+    .map((id) => ({
+      id,
+      before: before.get(id) || null,
+      after: copyPost(getPostById(id)),
+    }))
+    .filter(
+      (change) => JSON.stringify(change.before) !== JSON.stringify(change.after)
+    );
 
-  // Show empty state if no posts
-  if (posts.length === 0) {
-    emptyState.style.display = "block";
+  if (changes.length === 0) {
+    return false;
   }
 
-  // Scroll to posts section
-  postsContainer.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  undoStack.push({ label, changes });
+  undoStack = undoStack.slice(-MAX_HISTORY_STEPS);
+  redoStack = [];
+  saveHistory();
+  return true;
 }
 
-// ============================================
-// MODAL FUNCTIONS
-// ============================================
-
 /**
- * Open the edit modal
- * @param {string} postId - ID of post to edit
+ * Write one side of a command back into the posts
+ * Only the fields the command changed are written, so views, comments
+ * and other changes made since are kept
+ * @param {Object} command - Command to apply
+ * @param {string} side - 'before' to undo, 'after' to redo
  */
-function openEditModal(postId) {
-  const post = getPostById(postId);
+function applyCommand(command, side) {
+  const otherSide = side === "before" ? "after" : "before";
 
-  if (!post) {
-    alert("Post not found");
-    return;
-  }
+  command.changes.forEach((change) => {
+    const target = change[side];
+    const index = posts.findIndex((post) => post.id === change.id);
 
-  // Populate modal with post data
-  currentEditId = postId;
-  editPostId.value = postId;
-  editPostTitleInput.value = post.title;
-  editPostContentInput.value = post.content;
+    if (!target) {
+      if (index !== -1) {
+        const [post] = posts.splice(index, 1);
+        removeStoredPost(post.id);
+        removeFromIndex(post.id);
+        queueSyncOperation({
+          type: "delete",
+          id: post.id,
+          baseVersion: post.version,
+        });
+      }
+      return;
+    }
 
-  // Clear any previous errors
-  editTitleError.textContent = "";
-  editContentError.textContent = "";
+    let post;
+    if (index === -1) {
+      post = copyPost(target);
+      posts.unshift(post);
+    } else {
+      post = posts[index];
+      const fields = getChangedFields(change[otherSide], target);
+      if (fields.includes("ratings")) {
+        queueRatingChanges(post.id, post.ratings, target.ratings);
+      }
+      fields.forEach((field) => {
+        if (target[field] === undefined) {
+          delete post[field];
+        } else {
+          post[field] = copyPost(target[field]);
+        }
+      });
+    }
+
+    savePost(post);
+    indexPost(post);
+    queueSyncOperation({ type: "put", id: post.id });
+  });
+}
+
+/**
+ * Queue the rating changes an undo or redo makes
+ * The server only changes ratings through its ratings endpoint
+ * @param {string} id - Post ID
+ * @param {Object[]} fromRatings - Ratings before the undo or redo
+ * @param {Object[]} toRatings - Ratings after it
+ */
+function queueRatingChanges(id, fromRatings, toRatings) {
+  const from = new Map(fromRatings.map((entry) => [entry.raterId, entry]));
+  const to = new Map(toRatings.map((entry) => [entry.raterId, entry]));
+
+  to.forEach((entry, raterId) => {
+    if (JSON.stringify(from.get(raterId)) !== JSON.stringify(entry)) {
+      queueSyncOperation({ type: "rate", id, rating: entry });
+    }
+  });
+  from.forEach((entry, raterId) => {
+    if (!to.has(raterId)) {
+      queueSyncOperation({ type: "unrate", id, raterId });
+    }
+  });
+}
+
+/**
+ * Undo the last command
+ * @returns {boolean} True if there was something to undo
+ */
+function undo() {
+  const command = undoStack.pop();
+  if (!command) {
+    showToast(t("history.nothingToUndo"));
+    return false;
+  }
+
+  applyCommand(command, "before");
+  redoStack.push(command);
+  saveHistory();
+  refreshCurrentView();
+  showToast(t("history.undone", { label: command.label }), {
+    label: t("action.redo"),
+    run: redo,
+  });
+  return true;
+}
+
+/**
+ * Redo the last undone command
+ * @returns {boolean} True if there was something to redo
+ */
+function redo() {
+  const command = redoStack.pop();
+  if (!command) {
+    showToast(t("history.nothingToRedo"));
+    return false;
+  }
+
+  applyCommand(command, "after");
+  undoStack.push(command);
+  saveHistory();
+  refreshCurrentView();
+  showToast(t("history.redone", { label: command.label }), {
+    label: t("action.undo"),
+    run: undo,
+  });
+  return true;
+}
+
+/**
+ * Drop every command that involves some posts
+ * Used once posts are deleted for good, so undo can't bring them back
+ * @param {string[]} ids - Post IDs
+ */
+function forgetHistory(ids) {
+  if (ids.length === 0) return;
+
+  const forgotten = new Set(ids);
+  const isKept = (command) =>
+    !command.changes.some((change) => forgotten.has(change.id));
+  undoStack = undoStack.filter(isKept);
+  redoStack = redoStack.filter(isKept);
+  saveHistory();
+}
+
+/**
+ * Load the undo and redo stacks saved by an earlier page load
+ */
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+      undoStack = saved.undo;
+      redoStack = saved.redo;
+    }
+  } catch (error) {
+    console.error("Error loading undo history:", error);
+  }
+}
+
+/**
+ * Save the undo and redo stacks
+ * Commands holding big imports may not fit; the oldest steps go first
+ */
+function saveHistory() {
+  for (let skipped = 0; skipped <= undoStack.length; skipped++) {
+    try {
+      localStorage.setItem(
+        HISTORY_STORAGE_KEY,
+        JSON.stringify({ undo: undoStack.slice(skipped), redo: redoStack })
+      );
+      return;
+    } catch (error) {
+      if (skipped === undoStack.length) {
+        console.error("Error saving undo history:", error);
+      }
+    }
+  }
+}
+
+// ============================================
+// DOM ELEMENT REFERENCES
+// ============================================
+
+// Form elements
+const postForm = document.getElementById("postForm");
+const postTitleInput = document.getElementById("postTitle");
+const postContentInput = document.getElementById("postContent");
+const titleError = document.getElementById("titleError");
+const contentError = document.getElementById("contentError");
+const newPostSection = document.querySelector(".new-post-section");
+const btnAddPost = document.getElementById("btnAddPost");
+
+// Search elements
+const searchInput = document.getElementById("searchInput");
+const searchStatus = document.getElementById("searchStatus");
+
+// Tag & category elements
+const postTagsInput = document.getElementById("postTags");
+const postTagsChips = document.getElementById("postTagsChips");
+const postCategoryInput = document.getElementById("postCategory");
+const editPostTagsInput = document.getElementById("editPostTags");
+const editPostTagsChips = document.getElementById("editPostTagsChips");
+const editPostCategoryInput = document.getElementById("editPostCategory");
+const tagSuggestions = document.getElementById("tagSuggestions");
+const categorySuggestions = document.getElementById("categorySuggestions");
+const taxonomyBar = document.getElementById("taxonomyBar");
+const tagCloud = document.getElementById("tagCloud");
+const categoryFilter = document.getElementById("categoryFilter");
+const sortOrderSelect = document.getElementById("sortOrder");
+const pageSizeSelect = document.getElementById("pageSize");
+const listPagination = document.getElementById("listPagination");
+const loadMore = document.getElementById("loadMore");
+const loadMoreStatus = document.getElementById("loadMoreStatus");
+const loadMoreBtn = document.getElementById("loadMoreBtn");
+const activeFilter = document.getElementById("activeFilter");
+
+// Image elements
+const postCoverImage = document.getElementById("postCoverImage");
+const postCoverInput = document.getElementById("postCoverInput");
+const postCoverPreview = document.getElementById("postCoverPreview");
+const postCoverFile = document.getElementById("postCoverFile");
+const postCoverRemove = document.getElementById("postCoverRemove");
+const postCoverError = document.getElementById("postCoverError");
+const editCoverImage = document.getElementById("editCoverImage");
+const editCoverInput = document.getElementById("editCoverInput");
+const editCoverPreview = document.getElementById("editCoverPreview");
+const editCoverFile = document.getElementById("editCoverFile");
+const editCoverRemove = document.getElementById("editCoverRemove");
+const editCoverError = document.getElementById("editCoverError");
+
+// Lifecycle elements
+const postPublishAtInput = document.getElementById("postPublishAt");
+const publishAtError = document.getElementById("publishAtError");
+const editPostStatusInput = document.getElementById("editPostStatus");
+const editPublishAtInput = document.getElementById("editPublishAt");
+const editPublishAtError = document.getElementById("editPublishAtError");
+const statusTabs = document.getElementById("statusTabs");
+
+// Posts display
+const postsContainer = document.getElementById("postsContainer");
+const postsCount = document.getElementById("postsCount");
+const emptyState = document.getElementById("emptyState");
+const postDetail = document.getElementById("postDetail");
+const readingProgress = document.getElementById("readingProgress");
+const readingProgressBar = document.getElementById("readingProgressBar");
+const notFound = document.getElementById("notFound");
+const notFoundMessage = document.getElementById("notFoundMessage");
+const statsView = document.getElementById("statsView");
+const statsContent = document.getElementById("statsContent");
+const btnTrash = document.getElementById("btnTrash");
+const trashView = document.getElementById("trashView");
+const trashContent = document.getElementById("trashContent");
+const trashRetentionSelect = document.getElementById("trashRetention");
+const btnEmptyTrash = document.getElementById("btnEmptyTrash");
+
+// Author elements
+const postAuthorSelect = document.getElementById("postAuthor");
+const editPostAuthorSelect = document.getElementById("editPostAuthor");
+const authorProfile = document.getElementById("authorProfile");
+const authorsView = document.getElementById("authorsView");
+const authorsContent = document.getElementById("authorsContent");
+const currentAuthorSelect = document.getElementById("currentAuthor");
+const authorForm = document.getElementById("authorForm");
+const authorFormHeading = document.getElementById("authorFormHeading");
+const authorIdInput = document.getElementById("authorId");
+const authorNameInput = document.getElementById("authorName");
+const authorNameError = document.getElementById("authorNameError");
+const authorColorInput = document.getElementById("authorColor");
+const authorBioInput = document.getElementById("authorBio");
+const authorBioError = document.getElementById("authorBioError");
+const saveAuthorBtn = document.getElementById("saveAuthor");
+const cancelAuthorEditBtn = document.getElementById("cancelAuthorEdit");
+
+// Modal elements
+const editModal = document.getElementById("editModal");
+const editForm = document.getElementById("editForm");
+const editPostId = document.getElementById("editPostId");
+const editPostTitleInput = document.getElementById("editPostTitle");
+const editPostContentInput = document.getElementById("editPostContent");
+const editTitleError = document.getElementById("editTitleError");
+const editContentError = document.getElementById("editContentError");
+const closeModalBtn = document.getElementById("closeModal");
+const cancelEditBtn = document.getElementById("cancelEdit");
+const recoveryBanner = document.getElementById("recoveryBanner");
+const editConflict = document.getElementById("editConflict");
+const editConflictMessage = document.getElementById("editConflictMessage");
+const reloadEditBtn = document.getElementById("reloadEdit");
+
+// Sync elements
+const btnSync = document.getElementById("btnSync");
+const syncStatusEl = document.getElementById("syncStatus");
+
+// Language elements
+const languageSelect = document.getElementById("language");
+
+// Export & import elements
+const btnExport = document.getElementById("btnExport");
+const btnImport = document.getElementById("btnImport");
+const importFileInput = document.getElementById("importFile");
+const importModal = document.getElementById("importModal");
+const importSummary = document.getElementById("importSummary");
+const importErrors = document.getElementById("importErrors");
+const importStrategy = document.getElementById("importStrategy");
+const confirmImportBtn = document.getElementById("confirmImport");
+const cancelImportBtn = document.getElementById("cancelImport");
+const closeImportBtn = document.getElementById("closeImport");
+let pendingImport = null; // Validated import (see parseImportDocument) waiting for the user to confirm
+const MAX_LISTED_IMPORT_ERRORS = 50; // Longer error lists are cut short
+
+// Rating modal elements
+const ratingModal = document.getElementById("ratingModal");
+const ratingStars = document.getElementById("ratingStars");
+const ratingInstruction = document.getElementById("ratingInstruction");
+const closeRatingBtn = document.getElementById("closeRating");
+const cancelRatingBtn = document.getElementById("cancelRating");
+let currentRatingPostId = null;
+
+// Keyboard shortcut elements
+const shortcutsDialog = document.getElementById("shortcutsDialog");
+const closeShortcutsBtn = document.getElementById("closeShortcuts");
+const commandPalette = document.getElementById("commandPalette");
+const commandInput = document.getElementById("commandInput");
+const commandResults = document.getElementById("commandResults");
+const commandEmpty = document.getElementById("commandEmpty");
+let paletteCommands = []; // Everything the open palette can run
+let paletteMatches = []; // Commands shown for the typed query, best first
+let paletteIndex = 0; // Highlighted entry in paletteMatches
+const MAX_PALETTE_RESULTS = 8; // Entries shown in the command palette
+
+// ============================================
+// RATING FUNCTIONS
+// ============================================
+
+/**
+ * Rate a post as this visitor, replacing any earlier rating of theirs
+ * @param {string} postId - Post ID
+ * @param {number} rating - Rating value (1-5)
+ * @returns {boolean} Success status
+ */
+function addRating(postId, rating) {
+  const postIndex = posts.findIndex((post) => post.id === postId);
+
+  if (postIndex !== -1) {
+    const post = posts[postIndex];
+    const record = { raterId: getVisitor().id, rating, ratedAt: Date.now() };
+
+    post.ratings = post.ratings
+      .filter((entry) => entry.raterId !== record.raterId)
+      .concat(record);
+    savePost(post);
+    queueSyncOperation({ type: "rate", id: postId, rating: record });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Get this visitor's rating of a post
+ * @param {Object} post - Post object
+ * @returns {number|null} Rating value, or null if not rated yet
+ */
+function getOwnRating(post) {
+  const raterId = getVisitor().id;
+  const record = post.ratings.find((entry) => entry.raterId === raterId);
+  return record ? record.rating : null;
+}
+
+/**
+ * Get the site-wide prior used for Bayesian rating scores
+ * @param {Object[]} allPosts - Posts to average over
+ * @returns {{mean: number, weight: number}} Average rating and its weight
+ */
+function getRatingPrior(allPosts) {
+  const ratings = allPosts.flatMap((post) => post.ratings);
+  const sum = ratings.reduce((acc, entry) => acc + entry.rating, 0);
+  return {
+    mean: ratings.length > 0 ? sum / ratings.length : 3,
+    weight: RATING_PRIOR_WEIGHT,
+  };
+}
+
+/**
+ * Score a post for "top rated" sorting
+ * The post's ratings are blended with the site average as if it had
+ * RATING_PRIOR_WEIGHT extra average ratings, so posts with only a few
+ * ratings stay close to the average instead of topping the list
+ * @param {Object} post - Post object
+ * @param {{mean: number, weight: number}} prior - From getRatingPrior
+ * @returns {number} Weighted score
+ */
+function getBayesianRating(post, prior) {
+  const sum = post.ratings.reduce((acc, entry) => acc + entry.rating, 0);
+  return (
+    (prior.weight * prior.mean + sum) / (prior.weight + post.ratings.length)
+  );
+}
+
+/**
+ * Increment view count for a post, in total and for today
+ * @param {string} postId - ID of the post
+ * @param {number} now - Time of the view
+ * @returns {boolean} Success status
+ */
+function incrementViews(postId, now = Date.now()) {
+  const postIndex = posts.findIndex((post) => post.id === postId);
+  if (postIndex !== -1) {
+    const post = posts[postIndex];
+    const day = getDayKey(now);
+    post.views++;
+    post.viewsByDay[day] = (post.viewsByDay[day] || 0) + 1;
+    savePost(post);
+    queueSyncOperation({ type: "view", id: postId, count: 1, day });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Count a view of a post unless it was already viewed this session
+ * Reopening a post, going back and forth or reloading the tab
+ * therefore doesn't inflate its views
+ * @param {string} postId - ID of the post
+ * @returns {boolean} True if a view was counted
+ */
+function recordView(postId) {
+  let viewed = [];
+  try {
+    viewed = JSON.parse(sessionStorage.getItem(VIEWED_SESSION_KEY)) || [];
+  } catch (error) {
+    console.error("Error loading viewed posts:", error);
+  }
+
+  if (viewed.includes(postId) || !incrementViews(postId)) {
+    return false;
+  }
+
+  try {
+    sessionStorage.setItem(
+      VIEWED_SESSION_KEY,
+      JSON.stringify([...viewed, postId])
+    );
+  } catch (error) {
+    console.error("Error saving viewed posts:", error);
+  }
+  return true;
+}
+
+// ============================================
+// COMMENT FUNCTIONS
+// ============================================
+
+/**
+ * Add a comment or reply to a post
+ * Replies deeper than MAX_COMMENT_DEPTH go under the deepest allowed parent
+ * @param {string} postId - ID of the post
+ * @param {Object} fields - Comment fields
+ * @param {string|null} fields.parentId - ID of the comment replied to
+ * @param {string} fields.author - Commenter name
+ * @param {string} fields.content - Comment text
+ * @returns {Object|null} The new comment, or null if the post is gone
+ */
+function addComment(postId, { parentId = null, author, content }) {
+  const post = getPostById(postId);
+  if (!post) return null;
+
+  let parent = parentId ? getCommentById(post, parentId) : null;
+  while (parent && getCommentDepth(post, parent) >= MAX_COMMENT_DEPTH) {
+    parent = getCommentById(post, parent.parentId);
+  }
+
+  const now = Date.now();
+  const comment = {
+    id: generateId(),
+    parentId: parent ? parent.id : null,
+    author: author.trim(),
+    authorId: getVisitor().id,
+    content: content.trim(),
+    createdAt: now,
+    updatedAt: now,
+    deleted: false,
+  };
+
+  post.comments.push(comment);
+  savePost(post);
+  queueSyncOperation({ type: "put", id: postId });
+  return comment;
+}
+
+/**
+ * Change the text of one of this visitor's comments
+ * @param {string} postId - ID of the post
+ * @param {string} commentId - ID of the comment
+ * @param {string} content - New comment text
+ * @returns {boolean} Success status
+ */
+function updateComment(postId, commentId, content) {
+  const post = getPostById(postId);
+  const comment = post && getCommentById(post, commentId);
+  if (!comment || !isOwnComment(comment)) return false;
+
+  comment.content = content.trim();
+  comment.updatedAt = Date.now();
+  savePost(post);
+  queueSyncOperation({ type: "put", id: postId });
+  return true;
+}
+
+/**
+ * Delete one of this visitor's comments
+ * The record stays as a marker so replies keep their place and the
+ * deletion survives merging with other copies of the post
+ * @param {string} postId - ID of the post
+ * @param {string} commentId - ID of the comment
+ * @returns {boolean} Success status
+ */
+function deleteComment(postId, commentId) {
+  const post = getPostById(postId);
+  const comment = post && getCommentById(post, commentId);
+  if (!comment || !isOwnComment(comment)) return false;
+
+  comment.content = "";
+  comment.deleted = true;
+  comment.updatedAt = Date.now();
+  savePost(post);
+  queueSyncOperation({ type: "put", id: postId });
+  return true;
+}
+
+/**
+ * Find a comment on a post
+ * @param {Object} post - Post object
+ * @param {string} commentId - ID of the comment
+ * @returns {Object|null} Comment
+ */
+function getCommentById(post, commentId) {
+  return post.comments.find((comment) => comment.id === commentId) || null;
+}
+
+/**
+ * Get how deeply a comment is nested (top-level comments are 1)
+ * @param {Object} post - Post object
+ * @param {Object} comment - Comment
+ * @returns {number} Depth
+ */
+function getCommentDepth(post, comment) {
+  let depth = 1;
+  let parent = getCommentById(post, comment.parentId);
+  while (parent) {
+    depth++;
+    parent = getCommentById(post, parent.parentId);
+  }
+  return depth;
+}
+
+/**
+ * Check whether a comment was written in this browser
+ * @param {Object} comment - Comment
+ * @returns {boolean} True if this visitor may edit or delete it
+ */
+function isOwnComment(comment) {
+  return comment.authorId === getVisitor().id;
+}
+
+// ============================================
+// TAG & CATEGORY FUNCTIONS
+// ============================================
+
+/**
+ * Normalize a tag: lowercase, no leading '#', single spaces
+ * @param {string} tag - Raw tag text
+ * @returns {string} Normalized tag ('' if empty)
+ */
+function normalizeTag(tag) {
+  return String(tag || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize a list of tags, dropping empties and duplicates
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Unique normalized tags
+ */
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Normalize a category name, keeping its capitalization
+ * @param {string} category - Raw category text
+ * @returns {string} Normalized category ('' if none)
+ */
+function normalizeCategory(category) {
+  return String(category || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Count how many posts use each tag
+ * @returns {{name: string, count: number}[]} Tags sorted by name
+ */
+function getTagCounts() {
+  const counts = new Map();
+  getActivePosts().forEach((post) => {
+    post.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Count how many posts are in each category
+ * Categories differing only by case are grouped under the first spelling
+ * @returns {{name: string, count: number}[]} Categories sorted by name
+ */
+function getCategoryCounts() {
+  const counts = new Map();
+  getActivePosts().forEach((post) => {
+    if (!post.category) return;
+    const key = post.category.toLowerCase();
+    const entry = counts.get(key) || { name: post.category, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a category name matches another (case-insensitive)
+ * @param {string} category - Category to check
+ * @param {string} filter - Category being filtered on
+ * @returns {boolean} True if they name the same category
+ */
+function isSameCategory(category, filter) {
+  return category.toLowerCase() === filter.toLowerCase();
+}
+
+// ============================================
+// VALIDATION FUNCTIONS
+// ============================================
+
+/**
+ * Validate form inputs
+ * @param {string} title - Post title
+ * @param {string} content - Post content
+ * @param {HTMLElement} titleErrorEl - Title error element
+ * @param {HTMLElement} contentErrorEl - Content error element
+ * @param {HTMLElement} titleInput - Title input element
+ * @param {HTMLElement} contentInput - Content input element
+ * @returns {boolean} Validation status
+ */
+function validatePost(
+  title,
+  content,
+  titleErrorEl,
+  contentErrorEl,
+  titleInput,
+  contentInput
+) {
+  let isValid = true;
+
+  // Clear previous errors
+  titleErrorEl.textContent = "";
+  contentErrorEl.textContent = "";
+  titleInput.classList.remove("error");
+  contentInput.classList.remove("error");
+  titleInput.setAttribute("aria-invalid", "false");
+  contentInput.setAttribute("aria-invalid", "false");
+
+  // Validate title
+  if (!title.trim()) {
+    titleErrorEl.textContent = t("validation.titleRequired");
+    titleInput.classList.add("error");
+    titleInput.setAttribute("aria-invalid", "true");
+    isValid = false;
+  } else if (title.trim().length < 3) {
+    titleErrorEl.textContent = t("validation.titleTooShort", { count: 3 });
+    titleInput.classList.add("error");
+    titleInput.setAttribute("aria-invalid", "true");
+    isValid = false;
+  } else if (title.trim().length > 100) {
+    titleErrorEl.textContent = t("validation.titleTooLong", { count: 100 });
+    titleInput.classList.add("error");
+    titleInput.setAttribute("aria-invalid", "true");
+    isValid = false;
+  }
+
+  // Validate content
+  if (!content.trim()) {
+    contentErrorEl.textContent = t("validation.contentRequired");
+    contentInput.classList.add("error");
+    contentInput.setAttribute("aria-invalid", "true");
+    isValid = false;
+  } else if (content.trim().length < 10) {
+    contentErrorEl.textContent = t("validation.contentTooShort", {
+      count: 10,
+    });
+    contentInput.classList.add("error");
+    contentInput.setAttribute("aria-invalid", "true");
+    isValid = false;
+  }
+
+  return isValid;
+}
+
+/**
+ * Validate the publish time of a scheduled post
+ * @param {string} value - datetime-local input value
+ * @param {HTMLElement} errorEl - Error element
+ * @param {HTMLElement} input - Publish time input
+ * @returns {boolean} Validation status
+ */
+function validatePublishAt(value, errorEl, input) {
+  let error = "";
+
+  if (!value) {
+    error = t("validation.publishAtRequired");
+  } else if (new Date(value).getTime() <= Date.now()) {
+    error = t("validation.publishAtPast");
+  }
+
+  errorEl.textContent = error;
+  input.classList.toggle("error", Boolean(error));
+  input.setAttribute("aria-invalid", String(Boolean(error)));
+  return !error;
+}
+
+/**
+ * Validate the author form
+ * @param {string} name - Author name
+ * @param {string} bio - Short bio
+ * @param {string} authorId - ID of the profile being edited ('' for a new one)
+ * @returns {boolean} Validation status
+ */
+function validateAuthor(name, bio, authorId) {
+  let nameError = "";
+  let bioError = "";
+  const isTaken = authors.some(
+    (author) =>
+      author.id !== authorId &&
+      author.name.toLowerCase() === name.trim().toLowerCase()
+  );
+
+  if (!name.trim()) {
+    nameError = t("validation.nameRequired");
+  } else if (name.trim().length > MAX_AUTHOR_NAME_LENGTH) {
+    nameError = t("validation.nameTooLong", {
+      count: MAX_AUTHOR_NAME_LENGTH,
+    });
+  } else if (isTaken) {
+    nameError = t("validation.nameTaken");
+  }
+
+  if (bio.trim().length > MAX_AUTHOR_BIO_LENGTH) {
+    bioError = t("validation.bioTooLong", { count: MAX_AUTHOR_BIO_LENGTH });
+  }
+
+  authorNameError.textContent = nameError;
+  authorNameInput.classList.toggle("error", Boolean(nameError));
+  authorNameInput.setAttribute("aria-invalid", String(Boolean(nameError)));
+  authorBioError.textContent = bioError;
+  authorBioInput.classList.toggle("error", Boolean(bioError));
+  authorBioInput.setAttribute("aria-invalid", String(Boolean(bioError)));
+  return !nameError && !bioError;
+}
+
+/**
+ * Clear the author form's validation errors
+ */
+function clearAuthorErrors() {
+  [
+    [authorNameError, authorNameInput],
+    [authorBioError, authorBioInput],
+  ].forEach(([errorEl, input]) => {
+    errorEl.textContent = "";
+    input.classList.remove("error");
+    input.setAttribute("aria-invalid", "false");
+  });
+}
+
+/**
+ * Clear a publish time validation error
+ * @param {HTMLElement} errorEl - Error element
+ * @param {HTMLElement} input - Publish time input
+ */
+function clearPublishAtError(errorEl, input) {
+  errorEl.textContent = "";
+  input.classList.remove("error");
+  input.setAttribute("aria-invalid", "false");
+}
+
+// ============================================
+// RENDER FUNCTIONS
+// ============================================
+
+/**
+ * Render the posts list: one page of it, or the loaded part of an
+ * infinite-scroll list. The cards already on screen are patched in
+ * place (see reconcile.js), so only posts that changed are rebuilt.
+ */
+function renderPosts() {
+  updatePostsCount();
+
+  // Refresh status tabs, tag cloud, category filter and autocomplete lists
+  renderStatusTabs();
+  renderTaxonomyFilters();
+  renderAuthorProfile();
+
+  // Show/hide empty state
+  if (getActivePosts().length === 0) {
+    renderPostCards([]);
+    emptyState.classList.remove("hidden");
+    listPagination.classList.add("hidden");
+    loadMore.classList.add("hidden");
+    return;
+  } else {
+    emptyState.classList.add("hidden");
+  }
+
+  listPosts = getVisiblePosts();
+  updateSearchStatus(listPosts.length);
+  renderActiveFilter(listPosts.length);
+
+  // Infinite scroll keeps what was loaded while the same list re-renders
+  const listKey = `${getListPath()} ${listSettings.pageSize}`;
+  const keptCount = listKey === renderedListKey ? renderedCount : 0;
+  renderedListKey = listKey;
+
+  if (listSettings.pageSize === "infinite") {
+    listPagination.classList.add("hidden");
+    showListRange(0, Math.max(keptCount, INFINITE_BATCH_SIZE));
+    return;
+  }
+
+  // Out-of-range pages show the last page
+  const pageCount = Math.max(
+    1,
+    Math.ceil(listPosts.length / listSettings.pageSize)
+  );
+  if (currentPage > pageCount) {
+    currentPage = pageCount;
+    if (currentView === "list") {
+      replacePath(getListPath());
+    }
+  }
+  const start = (currentPage - 1) * listSettings.pageSize;
+  showListRange(start, start + listSettings.pageSize);
+  renderPagination(pageCount);
+}
+
+/**
+ * Show one slice of the current list
+ * @param {number} start - Index of the first post shown
+ * @param {number} end - Index after the last post shown
+ */
+function showListRange(start, end) {
+  renderedCount = Math.min(end, listPosts.length);
+  renderPostCards(listPosts.slice(start, renderedCount));
+  renderLoadMore();
+}
+
+/**
+ * Patch the list so it shows exactly these posts, in this order
+ * @param {Object[]} shownPosts - Posts to show
+ * @returns {Object} What changed (see reconcileKeyedList)
+ */
+function renderPostCards(shownPosts) {
+  const highlightPattern = buildHighlightPattern(currentSearchQuery);
+
+  return reconcileKeyedList(postsContainer, shownPosts, {
+    keyAttribute: "data-post-id",
+    getKey: (post) => post.id,
+    create: createPostCard,
+    render: (post) =>
+      generatePostCardHTML(post, {
+        renderContent: renderPostContent,
+        getSummary: getPostSummary,
+        getAuthor: getPostAuthor,
+        canManage: canManagePost,
+      }),
+    context: highlightPattern ? String(highlightPattern) : "",
+    afterRender: (card) => {
+      hydrateImages(card);
+      if (highlightPattern) {
+        card
+          .querySelectorAll(".post-title, .post-content")
+          .forEach((el) => highlightMatches(el, highlightPattern));
+      }
+    },
+  });
+}
+
+/**
+ * Show or hide the infinite-scroll row below the list
+ */
+function renderLoadMore() {
+  const hasMore =
+    listSettings.pageSize === "infinite" && renderedCount < listPosts.length;
+
+  loadMore.classList.toggle("hidden", !hasMore || currentView !== "list");
+  loadMoreStatus.textContent = t("list.loadedCount", {
+    shown: renderedCount,
+    count: listPosts.length,
+  });
+
+  // Re-observing reports the row again if it is still on screen,
+  // so short batches keep loading until the screen is full
+  if (listObserver) {
+    listObserver.unobserve(loadMore);
+    if (hasMore) {
+      listObserver.observe(loadMore);
+    }
+  }
+}
+
+/**
+ * Load the next batch in infinite-scroll mode
+ */
+function loadMorePosts() {
+  if (
+    currentView === "list" &&
+    listSettings.pageSize === "infinite" &&
+    renderedCount < listPosts.length
+  ) {
+    showListRange(0, renderedCount + INFINITE_BATCH_SIZE);
+  }
+}
+
+/**
+ * Render the page links below the list
+ * Shows the first and last page and two on each side of the current one
+ * @param {number} pageCount - Number of pages
+ */
+function renderPagination(pageCount) {
+  listPagination.classList.toggle(
+    "hidden",
+    pageCount <= 1 || currentView !== "list"
+  );
+  if (pageCount <= 1) {
+    listPagination.innerHTML = "";
+    return;
+  }
+
+  const pageButton = (page, label, attrs = "") =>
+    `<button type="button" class="btn btn-secondary" data-action="go-page" data-page="${page}" ${attrs}>${label}</button>`;
+
+  const items = [];
+  let previous = 0;
+  for (let page = 1; page <= pageCount; page++) {
+    const isShown =
+      page === 1 || page === pageCount || Math.abs(page - currentPage) <= 2;
+    if (!isShown) continue;
+    if (page - previous > 1) {
+      items.push('<span class="pagination-gap">…</span>');
+    }
+    items.push(
+      pageButton(
+        page,
+        page,
+        page === currentPage
+          ? 'aria-current="page"'
+          : `aria-label="${t("list.page", { page })}"`
+      )
+    );
+    previous = page;
+  }
+
+  const first = (currentPage - 1) * listSettings.pageSize + 1;
+  const last = Math.min(currentPage * listSettings.pageSize, listPosts.length);
+
+  listPagination.innerHTML = `
+        ${
+          currentPage > 1
+            ? pageButton(currentPage - 1, t("list.previous"), 'rel="prev"')
+            : ""
+        }
+        ${items.join("")}
+        ${
+          currentPage < pageCount
+            ? pageButton(currentPage + 1, t("list.next"), 'rel="next"')
+            : ""
+        }
+        <span class="pagination-status">${t("list.range", {
+          first,
+          last,
+          count: listPosts.length,
+        })}</span>
+    `;
+}
+
+/**
+ * Go to a page of the list
+ * @param {number} page - Page number
+ */
+function goToPage(page) {
+  currentPage = page;
+  navigate(getListPath());
+  postsContainer.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Change the list order and go back to the first page
+ * @param {string} order - Key of SORT_ORDERS
+ */
+function setSortOrder(order) {
+  currentSortOrder = order in SORT_ORDERS ? order : "newest";
+  listSettings.sort = currentSortOrder;
+  saveListSettings();
+  currentPage = 1;
+  navigate(getListPath());
+}
+
+/**
+ * Switch between page sizes and infinite scroll
+ * @param {string} value - A number from PAGE_SIZES, or 'infinite'
+ */
+function setPageSize(value) {
+  listSettings.pageSize =
+    value === "infinite" ? "infinite" : Number(value) || PAGE_SIZES[0];
+  saveListSettings();
+  currentPage = 1;
+  navigate(getListPath());
+}
+
+/**
+ * Get the posts to show in the list, ranked when a search is active
+ * and narrowed by the tag, category and author filters
+ * @returns {Object[]} Posts to render
+ */
+function getVisiblePosts() {
+  const isShown = (post) =>
+    post && !isTrashed(post) && post.status === currentStatusFilter;
+  let visible = posts.filter(isShown);
+
+  if (currentSearchQuery.trim()) {
+    visible = searchPosts(currentSearchQuery)
+      .map((result) => getPostById(result.id))
+      .filter(isShown);
+  }
+
+  if (currentTagFilter) {
+    visible = visible.filter((post) => post.tags.includes(currentTagFilter));
+  }
+
+  if (currentCategoryFilter) {
+    visible = visible.filter((post) =>
+      isSameCategory(post.category, currentCategoryFilter)
+    );
+  }
+
+  if (currentAuthorFilter) {
+    visible = visible.filter((post) => post.authorId === currentAuthorFilter);
+  }
+
+  // Search results keep their relevance order
+  return currentSearchQuery.trim()
+    ? visible
+    : sortPosts(visible, currentSortOrder);
+}
+
+/**
+ * Sort posts for the list
+ * @param {Object[]} list - Posts to sort
+ * @param {string} order - Key of SORT_ORDERS
+ * @returns {Object[]} New sorted array
+ */
+function sortPosts(list, order) {
+  const newest = (a, b) => b.createdAt - a.createdAt;
+  let compare = newest;
+
+  if (order === "oldest") {
+    compare = (a, b) => a.createdAt - b.createdAt;
+  } else if (order === "views") {
+    compare = (a, b) => b.views - a.views || newest(a, b);
+  } else if (order === "top-rated") {
+    // Scores are worked out once, not on every comparison
+    const prior = getRatingPrior(getActivePosts());
+    const scores = new Map(
+      list.map((post) => [post.id, getBayesianRating(post, prior)])
+    );
+    compare = (a, b) => scores.get(b.id) - scores.get(a.id) || newest(a, b);
+  } else if (order === "title") {
+    const collator = new Intl.Collator(getLocale(), {
+      sensitivity: "base",
+      numeric: true,
+    });
+    compare = (a, b) => collator.compare(a.title, b.title) || newest(a, b);
+  } else if (order === "updated") {
+    compare = (a, b) => b.updatedAt - a.updatedAt || newest(a, b);
+  }
+
+  return [...list].sort(compare);
+}
+
+/**
+ * Render the status tabs with a post count for each status
+ */
+function renderStatusTabs() {
+  const activePosts = getActivePosts();
+  statusTabs.innerHTML = POST_STATUSES.map((status) => {
+    const count = activePosts.filter((post) => post.status === status).length;
+    const isActive = status === currentStatusFilter;
+    return `<button type="button" class="status-tab${
+      isActive ? " active" : ""
+    }" data-action="filter-status" data-status="${status}" aria-pressed="${isActive}">${t(
+      STATUS_LABELS[status]
+    )} <span class="status-count">${count}</span></button>`;
+  }).join("");
+}
+
+/**
+ * Render the tag cloud, category filter and autocomplete suggestions
+ */
+function renderTaxonomyFilters() {
+  const tagCounts = getTagCounts();
+  const categoryCounts = getCategoryCounts();
+
+  // Drop filters whose last post is gone
+  if (
+    currentTagFilter &&
+    !tagCounts.some((tag) => tag.name === currentTagFilter)
+  ) {
+    currentTagFilter = null;
+  }
+  const selectedCategory = currentCategoryFilter
+    ? categoryCounts.find((category) =>
+        isSameCategory(category.name, currentCategoryFilter)
+      )
+    : null;
+  if (!selectedCategory) {
+    currentCategoryFilter = null;
+  }
+
+  taxonomyBar.classList.toggle(
+    "hidden",
+    tagCounts.length === 0 && categoryCounts.length === 0
+  );
+
+  // Tag cloud: bigger chips for more-used tags
+  const maxCount = Math.max(1, ...tagCounts.map((tag) => tag.count));
+  tagCloud.innerHTML = tagCounts
+    .map((tag) => {
+      const size = Math.ceil((tag.count / maxCount) * TAG_CLOUD_SIZES);
+      const isActive = tag.name === currentTagFilter;
+      return `<button type="button" class="tag-chip tag-size-${size}${
+        isActive ? " active" : ""
+      }" data-action="filter-tag" data-tag="${sanitizeHTML(
+        tag.name
+      )}" aria-pressed="${isActive}">#${sanitizeHTML(
+        tag.name
+      )} <span class="tag-count">${tag.count}</span></button>`;
+    })
+    .join("");
+
+  // Category select
+  categoryFilter.innerHTML =
+    `<option value="">${t("filter.allCategories")}</option>` +
+    categoryCounts
+      .map(
+        (category) =>
+          `<option value="${sanitizeHTML(category.name)}">${sanitizeHTML(
+            category.name
+          )} (${category.count})</option>`
+      )
+      .join("");
+  categoryFilter.value = selectedCategory ? selectedCategory.name : "";
+
+  // Autocomplete lists shared by both forms
+  tagSuggestions.innerHTML = tagCounts
+    .map((tag) => `<option value="${sanitizeHTML(tag.name)}"></option>`)
+    .join("");
+  categorySuggestions.innerHTML = categoryCounts
+    .map(
+      (category) => `<option value="${sanitizeHTML(category.name)}"></option>`
+    )
+    .join("");
+}
+
+/**
+ * Show which tag/category filter is active
+ * @param {number} resultCount - Number of posts shown
+ */
+function renderActiveFilter(resultCount) {
+  const labels = [];
+  if (currentStatusFilter !== "published") {
+    labels.push(t(STATUS_LABELS[currentStatusFilter]).toLowerCase());
+  }
+  if (currentCategoryFilter) {
+    labels.push(
+      t("filter.category", { name: sanitizeHTML(currentCategoryFilter) })
+    );
+  }
+  if (currentTagFilter) {
+    labels.push(t("filter.tag", { name: sanitizeHTML(currentTagFilter) }));
+  }
+  const author = currentAuthorFilter
+    ? getAuthorById(currentAuthorFilter)
+    : null;
+
+  if (labels.length === 0 && !author) {
+    activeFilter.classList.add("hidden");
+    activeFilter.innerHTML = "";
+    return;
+  }
+
+  activeFilter.classList.remove("hidden");
+  activeFilter.innerHTML = `
+        <span>${t("filter.showing", { count: resultCount })}${
+    labels.length > 0 ? t("filter.in", { filters: formatList(labels) }) : ""
+  }${author ? t("filter.by", { name: sanitizeHTML(author.name) }) : ""}</span>
+        <button type="button" class="btn-clear-filter" data-action="clear-filters">
+            ${t("filter.clear")}
+        </button>
+    `;
+}
+
+/**
+ * Filter the list by a tag (clicking the active tag clears it)
+ * @param {string} tag - Tag to filter by
+ */
+function setTagFilter(tag) {
+  navigate(
+    currentTagFilter === tag
+      ? buildPath([], getSortQuery())
+      : buildPath(["tag", tag], getSortQuery())
+  );
+}
+
+/**
+ * Show the posts with a lifecycle status
+ * @param {string} status - Status to show
+ */
+function setStatusFilter(status) {
+  navigate(
+    status === "published"
+      ? buildPath([], getSortQuery())
+      : buildPath(["status", status], getSortQuery())
+  );
+}
+
+/**
+ * Filter the list by a category ('' clears it)
+ * @param {string} category - Category to filter by
+ */
+function setCategoryFilter(category) {
+  navigate(
+    category
+      ? buildPath(["category", category], getSortQuery())
+      : buildPath([], getSortQuery())
+  );
+}
+
+/**
+ * Remove the tag and category filters
+ */
+function clearFilters() {
+  navigate(buildPath([], getSortQuery()));
+}
+
+/**
+ * Update the search result summary
+ * @param {number} resultCount - Number of matching posts
+ */
+function updateSearchStatus(resultCount) {
+  if (!currentSearchQuery.trim()) {
+    searchStatus.textContent = "";
+    return;
+  }
+  const query = currentSearchQuery.trim();
+  searchStatus.textContent =
+    resultCount === 0
+      ? t("search.noResults", { query })
+      : t("search.results", { count: resultCount, query });
+}
+
+/**
+ * Wrap search matches inside an element's text in <mark> tags
+ * @param {HTMLElement} element - Element whose text nodes are searched
+ * @param {RegExp} pattern - Global highlight pattern
+ */
+function highlightMatches(element, pattern) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach((node) => {
+    const text = node.nodeValue;
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    text.replace(pattern, (match, offset) => {
+      fragment.appendChild(
+        document.createTextNode(text.slice(lastIndex, offset))
+      );
+      const mark = document.createElement("mark");
+      mark.className = "search-highlight";
+      mark.textContent = match;
+      fragment.appendChild(mark);
+      lastIndex = offset + match.length;
+      return match;
+    });
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Create an empty post card element; renderPostCards fills it in
+ * @param {Object} post - Post object
+ * @returns {HTMLElement} Post card element
+ */
+function createPostCard(post) {
+  const card = document.createElement("article");
+  card.className = "post-card";
+  card.setAttribute("data-post-id", post.id);
+  card.tabIndex = -1; // Focused by the j and k shortcuts
+  return card;
+}
+
+/**
+ * Update the posts count and the number on the trash link
+ * Posts in the trash are not counted as posts
+ */
+function updatePostsCount() {
+  const count = getActivePosts().length;
+  const trashCount = posts.length - count;
+  postsCount.textContent = t("count.posts", { count });
+  btnTrash.textContent =
+    trashCount > 0
+      ? t("nav.trashCount", { count: trashCount })
+      : t("nav.trash");
+}
+
+// ============================================
+// FORM TOGGLE FUNCTIONS
+// ============================================
+
+/**
+ * Label the new post button for whether the form is open
+ */
+function renderAddPostButton() {
+  btnAddPost.textContent = newPostSection.classList.contains("collapsed")
+    ? t("action.newPost")
+    : t("action.hideForm");
+}
+
+/**
+ * Toggle new post form visibility
+ */
+function toggleNewPostForm() {
+  const isCollapsed = newPostSection.classList.contains("collapsed");
+
+  if (isCollapsed) {
+    // Show form
+    newPostSection.classList.remove("collapsed");
+    renderAddPostButton();
+    // Focus on title input after animation
+    setTimeout(() => {
+      postTitleInput.focus();
+    }, 300);
+  } else {
+    // Hide form
+    newPostSection.classList.add("collapsed");
+    renderAddPostButton();
+    // Text is kept (and autosaved) so hiding the form loses nothing
+    // Clear errors
+    titleError.textContent = "";
+    contentError.textContent = "";
+    postTitleInput.classList.remove("error");
+    postContentInput.classList.remove("error");
+  }
+}
+
+// ============================================
+// TAG INPUT FUNCTIONS
+// ============================================
+
+/**
+ * Get the tags shown as chips in a tag input
+ * @param {HTMLElement} chipsEl - Chip list element
+ * @returns {string[]} Tags in the order they were added
+ */
+function getTagInputTags(chipsEl) {
+  return Array.from(chipsEl.querySelectorAll("[data-tag]")).map((chip) =>
+    chip.getAttribute("data-tag")
+  );
+}
+
+/**
+ * Replace the chips in a tag input
+ * @param {HTMLElement} chipsEl - Chip list element
+ * @param {string[]} tags - Tags to show
+ */
+function setTagInputTags(chipsEl, tags) {
+  chipsEl.innerHTML = "";
+  tags.forEach((tag) => addTagChip(chipsEl, tag));
+}
+
+/**
+ * Add a chip to a tag input, ignoring empty and duplicate tags
+ * @param {HTMLElement} chipsEl - Chip list element
+ * @param {string} tag - Raw tag text
+ */
+function addTagChip(chipsEl, tag) {
+  const normalized = normalizeTag(tag);
+
+  if (!normalized || getTagInputTags(chipsEl).includes(normalized)) {
+    return;
+  }
+
+  const chip = document.createElement("li");
+  chip.className = "tag-chip";
+  chip.setAttribute("data-tag", normalized);
+  chip.innerHTML = `#${sanitizeHTML(normalized)}
+        <button type="button" class="tag-chip-remove" data-action="remove-tag" aria-label="${t(
+          "tags.remove",
+          {
+            tag: sanitizeHTML(normalized),
+          }
+        )}">&times;</button>`;
+  chipsEl.appendChild(chip);
+}
+
+/**
+ * Turn the text typed in a tag input into chips
+ * @param {HTMLInputElement} input - Tag text input
+ * @returns {string[]} All tags in the input after committing
+ */
+function commitTagInput(input) {
+  const chipsEl = document.getElementById(input.getAttribute("data-chips"));
+  input.value.split(",").forEach((tag) => addTagChip(chipsEl, tag));
+  input.value = "";
+  return getTagInputTags(chipsEl);
+}
+
+/**
+ * Handle keys in a tag input: Enter/comma add, Backspace removes
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleTagInputKeydown(e) {
+  const input = e.target;
+
+  if (e.key === "Enter" || e.key === ",") {
+    // Enter adds a tag instead of submitting the form
+    e.preventDefault();
+    commitTagInput(input);
+  } else if (e.key === "Backspace" && !input.value) {
+    const chipsEl = document.getElementById(input.getAttribute("data-chips"));
+    const lastChip = chipsEl.lastElementChild;
+    if (lastChip) {
+      lastChip.remove();
+    }
+  }
+}
+
+/**
+ * Commit a tag picked from the autocomplete list or left on blur
+ * @param {Event} e - Change event
+ */
+function handleTagInputChange(e) {
+  if (e.target.value.trim()) {
+    commitTagInput(e.target);
+  }
+}
+
+/**
+ * Remove a chip when its × button is clicked
+ * @param {Event} e - Click event
+ */
+function handleTagChipClick(e) {
+  const removeBtn = e.target.closest('[data-action="remove-tag"]');
+
+  if (!removeBtn) return;
+
+  const chipsEl = e.currentTarget;
+  removeBtn.closest(".tag-chip").remove();
+  chipsEl.parentElement.querySelector(".tag-input-field").focus();
+}
+
+// ============================================
+// IMAGE FUNCTIONS
+// ============================================
+
+/**
+ * Compress an image file and store it under a post
+ * @param {string} postId - Post the image belongs to
+ * @param {File} file - Image file
+ * @returns {Promise<string>} ID of the stored image
+ */
+async function storeImage(postId, file) {
+  const { blob, width, height } = await compressImage(file);
+  const id = generateId();
+
+  try {
+    await storage.putImage({ id, postId, blob, width, height });
+  } catch (error) {
+    console.error(`Error saving image to ${storage.name}:`, error);
+    throw new Error(t("image.saveFailed"));
+  }
+  return id;
+}
+
+/**
+ * Get an object URL for a stored image, loading it only once
+ * @param {string} id - Image ID
+ * @returns {Promise<string|null>} URL, or null if the image is gone
+ */
+function getImageUrl(id) {
+  if (!imageUrls.has(id)) {
+    imageUrls.set(
+      id,
+      storage
+        .getImage(id)
+        .then((image) => (image ? URL.createObjectURL(image.blob) : null))
+        .catch((error) => {
+          console.error("Error loading image:", error);
+          return null;
+        })
+    );
+  }
+  return imageUrls.get(id);
+}
+
+/**
+ * Fill in the src of every stored image inside an element
+ * Images that are gone get the image-missing class instead
+ * @param {Element} root - Element holding rendered content
+ */
+function hydrateImages(root) {
+  root.querySelectorAll("img[data-image-id]:not([src])").forEach((img) => {
+    const id = img.getAttribute("data-image-id");
+    getImageUrl(id).then((url) => {
+      // The element may show another image by now
+      if (img.getAttribute("data-image-id") !== id) return;
+      if (url) {
+        img.src = url;
+      } else {
+        img.classList.add("image-missing");
+      }
+    });
+  });
+}
+
+/**
+ * Remove stored images whose post no longer exists
+ * Images are stored as soon as they are added to a form, so a new post
+ * that was never saved leaves some behind. Posts the undo history can
+ * bring back, and an autosaved new post, keep theirs.
+ * @returns {Promise<void>} Resolves once done
+ */
+async function removeOrphanedImages() {
+  const keep = new Set(posts.map((post) => post.id));
+  [...undoStack, ...redoStack].forEach((command) =>
+    command.changes.forEach((change) => keep.add(change.id))
+  );
+  const autosave = loadAutosaves().newPost;
+  if (autosave && autosave.draftId) keep.add(autosave.draftId);
+  if (newPostDraftId) keep.add(newPostDraftId);
+
+  try {
+    const postIds = await storage.getImagePostIds();
+    await Promise.all(
+      postIds
+        .filter((postId) => !keep.has(postId))
+        .map((postId) => storage.removeImages(postId))
+    );
+  } catch (error) {
+    console.error("Error removing unused images:", error);
+  }
+}
+
+/**
+ * Get the image fields of a form
+ * @param {HTMLFormElement} form - postForm or editForm
+ * @returns {Object} Content textarea, cover fields and their error elements
+ */
+function getImageFields(form) {
+  return form === postForm
+    ? {
+        content: postContentInput,
+        contentError,
+        cover: postCoverImage,
+        preview: postCoverPreview,
+        fileInput: postCoverFile,
+        removeBtn: postCoverRemove,
+        coverError: postCoverError,
+      }
+    : {
+        content: editPostContentInput,
+        contentError: editContentError,
+        cover: editCoverImage,
+        preview: editCoverPreview,
+        fileInput: editCoverFile,
+        removeBtn: editCoverRemove,
+        coverError: editCoverError,
+      };
+}
+
+/**
+ * Get the ID of the post a form's images are stored under
+ * A new post gets its ID now, so its images can be stored before it is saved
+ * @param {HTMLFormElement} form - postForm or editForm
+ * @returns {string} Post ID
+ */
+function getFormPostId(form) {
+  if (form === editForm) {
+    return currentEditId;
+  }
+  if (!newPostDraftId) {
+    newPostDraftId = generateId();
+  }
+  return newPostDraftId;
+}
+
+/**
+ * Store images and add them to a form's content at the cursor
+ * @param {HTMLFormElement} form - postForm or editForm
+ * @param {File[]} files - Image files
+ */
+async function insertImages(form, files) {
+  const { content, contentError: errorEl } = getImageFields(form);
+  const postId = getFormPostId(form);
+  const start = content.selectionStart;
+  const end = content.selectionEnd;
+  const references = [];
+
+  errorEl.textContent = "";
+  content.setAttribute("aria-busy", "true");
+
+  // One at a time, so only one decoded image is in memory
+  for (const file of files) {
+    try {
+      const id = await storeImage(postId, file);
+      references.push(`![${getImageAltText(file)}](image:${id})`);
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  }
+
+  content.removeAttribute("aria-busy");
+  if (references.length > 0) {
+    content.setRangeText(references.join("\n\n"), start, end, "end");
+    // Let autosave and anything else listening know the text changed
+    content.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+}
+
+/**
+ * Show a cover image (or none) in a form
+ * @param {HTMLFormElement} form - postForm or editForm
+ * @param {string|null} imageId - Stored image ID
+ */
+function setCoverImage(form, imageId) {
+  const { cover, preview, fileInput, removeBtn, coverError } =
+    getImageFields(form);
+
+  cover.value = imageId || "";
+  fileInput.value = "";
+  coverError.textContent = "";
+  preview.removeAttribute("src");
+  preview.classList.remove("image-missing");
+  preview.hidden = !imageId;
+  removeBtn.hidden = !imageId;
+
+  if (imageId) {
+    preview.setAttribute("data-image-id", imageId);
+    hydrateImages(preview.parentElement);
+  } else {
+    preview.removeAttribute("data-image-id");
+  }
+}
+
+/**
+ * Store an image file as a form's cover
+ * @param {HTMLFormElement} form - postForm or editForm
+ * @param {File} file - Image file
+ */
+async function addCoverImage(form, file) {
+  const { coverError } = getImageFields(form);
+
+  try {
+    setCoverImage(form, await storeImage(getFormPostId(form), file));
+    autosaveForm(form);
+  } catch (error) {
+    coverError.textContent = error.message;
+  }
+}
+
+/**
+ * Highlight a drop target while files are dragged over it
+ * @param {DragEvent} e - dragover event
+ */
+function handleImageDragOver(e) {
+  if (!isFileDrag(e.dataTransfer)) return;
+
+  e.preventDefault(); // Allows the drop
+  e.currentTarget.classList.add("drag-over");
+}
+
+/**
+ * Remove the drop target highlight
+ * @param {DragEvent} e - dragleave or drop event
+ */
+function handleImageDragLeave(e) {
+  e.currentTarget.classList.remove("drag-over");
+}
+
+/**
+ * Add images dropped on a content textarea
+ * Dropped text is left to the browser
+ * @param {DragEvent} e - drop event
+ */
+function handleContentDrop(e) {
+  handleImageDragLeave(e);
+  const files = getTransferFiles(e.dataTransfer);
+  if (files.length === 0) return;
+
+  e.preventDefault();
+  e.currentTarget.focus();
+  insertImages(e.currentTarget.form, files);
+}
+
+/**
+ * Add images pasted into a content textarea
+ * Pasted text is left to the browser
+ * @param {ClipboardEvent} e - paste event
+ */
+function handleContentPaste(e) {
+  const files = getTransferFiles(e.clipboardData);
+  if (files.length === 0) return;
+
+  e.preventDefault();
+  insertImages(e.currentTarget.form, files);
+}
+
+/**
+ * Use an image dropped on the cover field as the cover
+ * @param {DragEvent} e - drop event
+ */
+function handleCoverDrop(e) {
+  handleImageDragLeave(e);
+  const [file] = getTransferFiles(e.dataTransfer);
+  if (!file) return;
+
+  e.preventDefault();
+  addCoverImage(e.currentTarget.closest("form"), file);
+}
+
+/**
+ * Use the chosen file as the cover
+ * @param {Event} e - change event of the cover file input
+ */
+function handleCoverFileChange(e) {
+  const [file] = e.target.files;
+  if (file) {
+    addCoverImage(e.target.form, file);
+  }
+}
+
+/**
+ * Take the cover off a form
+ * @param {Event} e - Click event of the remove button
+ */
+function handleCoverRemove(e) {
+  const form = e.currentTarget.form;
+  setCoverImage(form, null);
+  autosaveForm(form);
+}
+
+// ============================================
+// DETAIL VIEW FUNCTIONS
+// ============================================
+
+/**
+ * Show post detail view
+ * @param {string} postId - ID of post to view
+ */
+function showPostDetail(postId) {
+  const post = getPostById(postId);
+
+  if (!post) {
+    showNotFound("notFound.post");
+    return;
+  }
+  if (isTrashed(post)) {
+    showNotFound("notFound.trashedPost");
+    return;
+  }
+
+  hideNotFound();
+  hideStatsView();
+  hideTrashView();
+  hideAuthorsView();
+
+  // Count the view once per session
+  recordView(postId);
+
+  currentView = "detail";
+  currentDetailPostId = postId;
+
+  renderPostDetail(post);
+
+  // Show detail, hide list
+  postDetail.classList.add("active");
+  postsContainer.style.display = "none";
+  listPagination.classList.add("hidden");
+  loadMore.classList.add("hidden");
+  emptyState.style.display = "none";
+
+  // Scroll to top
+  postDetail.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Render a post into the detail view without counting a view
+ * @param {Object} post - Post object
+ * @param {Object} options - Render options
+ * @param {boolean} options.historyOpen - Keep the revision history expanded
+ */
+function renderPostDetail(post, { historyOpen = false } = {}) {
+  postDetail.innerHTML =
+    generatePostDetailHTML(post, {
+      renderContent: renderPostContent,
+      getSummary: getPostSummary,
+      getAuthor: getPostAuthor,
+      canManage: canManagePost,
+    }) +
+    generateCommentSection(post) +
+    generateRevisionHistory(post, historyOpen);
+  hydrateImages(postDetail);
+
+  readingProgress.classList.toggle("hidden", !isLongPost(getPostSummary(post)));
+  updateReadingProgress();
+}
+
+// ============================================
+// READING AID FUNCTIONS
+// ============================================
+
+/**
+ * Move the reading progress bar to how far the post content is scrolled
+ * Full once the end of the content is in view
+ */
+function updateReadingProgress() {
+  readingProgressFrame = null;
+  const content = postDetail.querySelector(".post-detail-content");
+  if (readingProgress.classList.contains("hidden") || !content) return;
+
+  const rect = content.getBoundingClientRect();
+  const read =
+    rect.height > 0 ? (window.innerHeight - rect.top) / rect.height : 1;
+  const progress = Math.min(1, Math.max(0, read));
+
+  readingProgressBar.style.transform = `scaleX(${progress})`;
+  readingProgress.setAttribute("aria-valuenow", Math.round(progress * 100));
+}
+
+/**
+ * Update the reading progress at most once per frame while scrolling
+ */
+function handleReadingScroll() {
+  if (currentView === "detail" && readingProgressFrame === null) {
+    readingProgressFrame = requestAnimationFrame(updateReadingProgress);
+  }
+}
+
+/**
+ * Scroll the detail view to a heading from its table of contents
+ * The hash is left alone since it holds the current route
+ * @param {string} id - Heading id
+ */
+function scrollToSection(id) {
+  const heading = postDetail.querySelector(`.post-detail-content [id="${id}"]`);
+  if (!heading) return;
+
+  // Move focus too, so keyboard users continue reading from there
+  heading.setAttribute("tabindex", "-1");
+  heading.focus({ preventScroll: true });
+  heading.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// ============================================
+// REVISION HISTORY FUNCTIONS
+// ============================================
+
+/**
+ * Generate the revision history panel for the detail view
+ * Compares the previous revision with the latest one by default
+ * @param {Object} post - Post object
+ * @param {boolean} isOpen - Whether the panel starts expanded
+ * @returns {string} HTML string
+ */
+function generateRevisionHistory(post, isOpen) {
+  const revisions = post.revisions;
+  const latest = revisions[revisions.length - 1];
+  const previous = revisions[revisions.length - 2] || latest;
+
+  const rows = revisions
+    .map((revision, index) => {
+      const number = index + 1;
+      const isLatest = revision === latest;
+      const restored = revision.restoredFrom
+        ? ` · ${t("revision.restoredFrom", {
+            number: getRevisionNumber(post, revision.restoredFrom),
+          })}`
+        : "";
+      return `
+            <tr>
+                <td><input type="radio" name="revisionFrom" value="${
+                  revision.id
+                }" aria-label="${t("revision.compareFrom", { number })}" ${
+        revision === previous ? "checked" : ""
+      }></td>
+                <td><input type="radio" name="revisionTo" value="${
+                  revision.id
+                }" aria-label="${t("revision.compareTo", { number })}" ${
+        isLatest ? "checked" : ""
+      }></td>
+                <td class="revision-label">#${number} · ${formatDate(
+        revision.savedAt
+      )}${restored}${
+        isLatest
+          ? ` <span class="revision-current">${t("revision.current")}</span>`
+          : ""
+      }</td>
+                <td>${
+                  isLatest || !canManagePost(post)
+                    ? ""
+                    : `<button type="button" class="btn-restore" data-action="restore-revision" data-id="${
+                        post.id
+                      }" data-revision="${revision.id}">${t(
+                        "action.restore"
+                      )}</button>`
+                }</td>
+            </tr>`;
+    })
+    .reverse()
+    .join("");
+
+  return `
+        <details class="revision-history" ${isOpen ? "open" : ""}>
+            <summary>${t("revision.history", {
+              count: revisions.length,
+            })}</summary>
+            <table class="revision-list">
+                <thead>
+                    <tr><th>${t("revision.from")}</th><th>${t(
+    "revision.to"
+  )}</th><th>${t("revision.revision")}</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="revision-diff" aria-live="polite">${generateRevisionDiff(
+              previous,
+              latest
+            )}</div>
+        </details>
+    `;
+}
+
+/**
+ * Generate the diff between two revisions
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {string} HTML string
+ */
+function generateRevisionDiff(from, to) {
+  if (from === to) {
+    return `<p class="diff-empty">${t("revision.selectTwo")}</p>`;
+  }
+
+  const parts = [];
+
+  if (from.title !== to.title) {
+    parts.push(
+      `<div class="diff-field"><strong>${t(
+        "revision.title"
+      )}</strong> ${generateWordDiff(diffWords(from.title, to.title))}</div>`
+    );
+  }
+  if (from.category !== to.category) {
+    parts.push(
+      `<div class="diff-field"><strong>${t(
+        "revision.category"
+      )}</strong> ${generateWordDiff([
+        { type: "delete", value: from.category },
+        { type: "insert", value: to.category },
+      ])}</div>`
+    );
+  }
+  if (from.tags.join(",") !== to.tags.join(",")) {
+    const ops = [
+      ...from.tags
+        .filter((tag) => !to.tags.includes(tag))
+        .map((tag) => ({ type: "delete", value: `#${tag} ` })),
+      ...to.tags
+        .filter((tag) => !from.tags.includes(tag))
+        .map((tag) => ({ type: "insert", value: `#${tag} ` })),
+    ];
+    parts.push(
+      `<div class="diff-field"><strong>${t(
+        "revision.tags"
+      )}</strong> ${generateWordDiff(ops)}</div>`
+    );
+  }
+  if (from.content !== to.content) {
+    parts.push(generateLineDiff(diffLines(from.content, to.content)));
+  }
+
+  return parts.length
+    ? parts.join("")
+    : `<p class="diff-empty">${t("revision.identical")}</p>`;
+}
+
+/**
+ * Generate inline HTML for a word diff
+ * @param {{type: string, value: string}[]} ops - Word operations
+ * @returns {string} HTML string
+ */
+function generateWordDiff(ops) {
+  // Merge neighbouring operations of the same type into one mark
+  const merged = [];
+  ops.forEach((op) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  });
+
+  return merged
+    .map((op) => {
+      const text = sanitizeHTML(op.value);
+      if (op.type === "insert") return `<ins>${text}</ins>`;
+      if (op.type === "delete") return `<del>${text}</del>`;
+      return text;
+    })
+    .join("");
+}
+
+/**
+ * Generate HTML for a line diff, collapsing long unchanged runs
+ * @param {Object[]} lines - Line operations from diffLines
+ * @returns {string} HTML string
+ */
+function generateLineDiff(lines) {
+  const isChanged = (line) => line && line.type !== "equal";
+  const skipLine = (count) =>
+    `<div class="diff-line diff-skip">${t("revision.unchangedLines", {
+      count,
+    })}</div>`;
+  const html = [];
+  let skipped = 0;
+
+  lines.forEach((line, index) => {
+    // Keep unchanged lines only near a change
+    if (line.type === "equal") {
+      let nearChange = false;
+      for (let k = 1; k <= DIFF_CONTEXT_LINES; k++) {
+        if (isChanged(lines[index - k]) || isChanged(lines[index + k])) {
+          nearChange = true;
+        }
+      }
+      if (!nearChange) {
+        skipped++;
+        return;
+      }
+    }
+
+    if (skipped > 0) {
+      html.push(skipLine(skipped));
+      skipped = 0;
+    }
+
+    const marker = { equal: " ", insert: "+", delete: "-", change: "~" }[
+      line.type
+    ];
+    const text =
+      line.type === "change"
+        ? generateWordDiff(line.words)
+        : sanitizeHTML(line.value);
+    html.push(
+      `<div class="diff-line diff-${line.type}"><span class="diff-marker" aria-hidden="true">${marker}</span>${text}</div>`
+    );
+  });
+
+  if (skipped > 0) {
+    html.push(skipLine(skipped));
+  }
+
+  return `<div class="diff-lines">${html.join("")}</div>`;
+}
+
+/**
+ * Re-render the diff when a different pair of revisions is picked
+ * @param {Event} e - Change event from the detail view
+ */
+function handleRevisionSelect(e) {
+  if (e.target.name !== "revisionFrom" && e.target.name !== "revisionTo") {
+    return;
+  }
+
+  const post = getPostById(currentDetailPostId);
+  if (!post) return;
+
+  const history = e.target.closest(".revision-history");
+  const fromId = history.querySelector('[name="revisionFrom"]:checked').value;
+  const toId = history.querySelector('[name="revisionTo"]:checked').value;
+  const from = post.revisions.find((rev) => rev.id === fromId);
+  const to = post.revisions.find((rev) => rev.id === toId);
+
+  // Always diff older against newer, whichever column was used
+  const [older, newer] =
+    post.revisions.indexOf(from) <= post.revisions.indexOf(to)
+      ? [from, to]
+      : [to, from];
+
+  history.querySelector(".revision-diff").innerHTML = generateRevisionDiff(
+    older,
+    newer
+  );
+}
+
+/**
+ * Restore an older revision and refresh the views
+ * @param {string} postId - Post ID
+ * @param {string} revisionId - Revision to restore
+ */
+function handleRestoreRevision(postId, revisionId) {
+  const post = getPostById(postId);
+  if (post && !checkCanManage(post)) return;
+
+  const before = snapshotPosts([postId]);
+  const success = restoreRevision(postId, revisionId);
+
+  if (success) {
+    recordCommand(
+      t("history.restoreRevision", { title: getPostById(postId).title }),
+      before
+    );
+    renderPostDetail(getPostById(postId), { historyOpen: true });
+    renderPosts();
+  } else {
+    showError(t("error.restoreRevision"));
+  }
+}
+
+/**
+ * Hide post detail view and show list
+ */
+function hidePostDetail() {
+  currentView = "list";
+  currentDetailPostId = null;
+
+  // Hide detail, show list
+  postDetail.classList.remove("active");
+  readingProgress.classList.add("hidden");
+  postsContainer.style.display = "flex";
+
+  // Show empty state if no posts
+  if (getActivePosts().length === 0) {
+    emptyState.style.display = "block";
+  }
+
+  // Scroll to posts section
+  postsContainer.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+/**
+ * Show the not-found view in place of the list and detail
+ * @param {string} messageKey - Message key of the explanation shown to the
+ *   user; kept on the element so a language switch translates it again
+ */
+function showNotFound(messageKey) {
+  currentView = "not-found";
+  currentDetailPostId = null;
+
+  notFoundMessage.setAttribute("data-i18n", messageKey);
+  notFoundMessage.textContent = t(messageKey);
+  notFound.classList.remove("hidden");
+  hideStatsView();
+  hideTrashView();
+  hideAuthorsView();
+  postDetail.classList.remove("active");
+  readingProgress.classList.add("hidden");
+  postsContainer.style.display = "none";
+  listPagination.classList.add("hidden");
+  loadMore.classList.add("hidden");
+  emptyState.style.display = "none";
+}
+
+/**
+ * Hide the not-found view
+ */
+function hideNotFound() {
+  notFound.classList.add("hidden");
+}
+
+// ============================================
+// STATS DASHBOARD FUNCTIONS
+// ============================================
+
+/**
+ * Show the stats dashboard in place of the list and detail
+ */
+function showStatsView() {
+  currentView = "stats";
+  currentDetailPostId = null;
+
+  hideNotFound();
+  hideTrashView();
+  hideAuthorsView();
+  postDetail.classList.remove("active");
+  readingProgress.classList.add("hidden");
+  postsContainer.style.display = "none";
+  listPagination.classList.add("hidden");
+  loadMore.classList.add("hidden");
+  emptyState.style.display = "none";
+  statsView.classList.remove("hidden");
+
+  renderStats();
+}
+
+/**
+ * Hide the stats dashboard
+ */
+function hideStatsView() {
+  statsView.classList.add("hidden");
+}
+
+/**
+ * Render the dashboard figures, charts and top posts from all posts
+ */
+function renderStats() {
+  const posts = getActivePosts();
+  const viewsPerDay = getViewsPerDay(posts, getRecentDays(STATS_DAYS));
+  const postsPerMonth = getPostsPerMonth(posts, getRecentMonths(STATS_MONTHS));
+  const recentViews = sumCounts(viewsPerDay);
+  const totalViews = posts.reduce((sum, post) => sum + post.views, 0);
+  const publishedCount = posts.filter(
+    (post) => post.status === "published"
+  ).length;
+  const averageWords =
+    posts.length > 0
+      ? Math.round(
+          posts.reduce((sum, post) => sum + getPostSummary(post).words, 0) /
+            posts.length
+        )
+      : 0;
+  const postsPerMonthAverage = (
+    sumCounts(postsPerMonth) / STATS_MONTHS
+  ).toFixed(1);
+
+  const prior = getRatingPrior(posts);
+  const topViewed = getTopPosts(posts, (post) => post.views);
+  const topRated = getTopPosts(posts, (post) =>
+    post.ratings.length > 0 ? getBayesianRating(post, prior) : 0
+  );
+
+  statsContent.innerHTML = `
+        <div class="stats-tiles">
+            ${generateStatTile(
+              t("stats.posts"),
+              formatNumber(posts.length),
+              t("stats.published", { count: publishedCount })
+            )}
+            ${generateStatTile(
+              t("stats.views"),
+              formatNumber(totalViews),
+              t("stats.recentViews", { count: recentViews, days: STATS_DAYS })
+            )}
+            ${generateStatTile(
+              t("stats.averageLength"),
+              formatNumber(averageWords),
+              t("stats.wordsPerPost")
+            )}
+            ${generateStatTile(
+              t("stats.frequency"),
+              formatNumber(postsPerMonthAverage, 1),
+              t("stats.postsPerMonth", { months: STATS_MONTHS })
+            )}
+        </div>
+        <figure class="stats-chart">
+            <figcaption>${t("stats.viewsChart", {
+              days: STATS_DAYS,
+            })}</figcaption>
+            ${generateBarChart(viewsPerDay, {
+              label: t("stats.viewsChartLabel", {
+                days: STATS_DAYS,
+                count: recentViews,
+              }),
+              unit: "count.views",
+            })}
+        </figure>
+        <figure class="stats-chart">
+            <figcaption>${t("stats.postsChart", {
+              months: STATS_MONTHS,
+            })}</figcaption>
+            ${generateBarChart(postsPerMonth, {
+              label: t("stats.postsChartLabel", {
+                months: STATS_MONTHS,
+                count: sumCounts(postsPerMonth),
+              }),
+              unit: "count.posts",
+            })}
+        </figure>
+        <div class="stats-lists">
+            <section>
+                <h3>${t("stats.mostViewed")}</h3>
+                ${generateTopPostList(
+                  topViewed,
+                  (entry) => t("count.views", { count: entry.score }),
+                  t("stats.noViews")
+                )}
+            </section>
+            <section>
+                <h3>${t("stats.topRated")}</h3>
+                ${generateTopPostList(
+                  topRated,
+                  (entry) =>
+                    `${formatNumber(getAverageRating(entry.post), 1)} ★ (${t(
+                      "rating.count",
+                      {
+                        count: getRatingCount(entry.post),
+                      }
+                    )})`,
+                  t("stats.noRatings")
+                )}
+            </section>
+        </div>`;
+}
+
+/**
+ * Generate one figure tile of the dashboard
+ * @param {string} label - What the figure is
+ * @param {number|string} value - The figure
+ * @param {string} detail - Smaller text below it
+ * @returns {string} HTML string
+ */
+function generateStatTile(label, value, detail) {
+  return `
+            <div class="stats-tile">
+                <span class="stats-tile-label">${label}</span>
+                <span class="stats-tile-value">${value}</span>
+                <span class="stats-tile-detail">${detail}</span>
+            </div>`;
+}
+
+/**
+ * Generate a ranked list of posts linking to each one
+ * @param {{post: Object, score: number}[]} entries - From getTopPosts
+ * @param {function(Object): string} describe - Text shown next to a post
+ * @param {string} emptyText - Shown when there are no entries
+ * @returns {string} HTML string
+ */
+function generateTopPostList(entries, describe, emptyText) {
+  if (entries.length === 0) {
+    return `<p class="stats-empty">${emptyText}</p>`;
+  }
+
+  const items = entries
+    .map(
+      (entry) => `
+                    <li>
+                        <a href="#${buildPath([
+                          "post",
+                          entry.post.id,
+                        ])}">${escapeHTML(entry.post.title)}</a>
+                        <span class="stats-top-detail">${describe(entry)}</span>
+                    </li>`
+    )
+    .join("");
+  return `<ol class="stats-top-list">${items}
+                </ol>`;
+}
+
+// ============================================
+// TRASH FUNCTIONS
+// ============================================
+
+/**
+ * Show the trash in place of the list and detail
+ */
+function showTrashView() {
+  currentView = "trash";
+  currentDetailPostId = null;
+
+  hideNotFound();
+  hideStatsView();
+  hideAuthorsView();
+  postDetail.classList.remove("active");
+  readingProgress.classList.add("hidden");
+  postsContainer.style.display = "none";
+  listPagination.classList.add("hidden");
+  loadMore.classList.add("hidden");
+  emptyState.style.display = "none";
+  trashView.classList.remove("hidden");
+
+  renderTrash();
+}
+
+/**
+ * Hide the trash
+ */
+function hideTrashView() {
+  trashView.classList.add("hidden");
+}
+
+/**
+ * Render the trashed posts with their restore and delete buttons
+ */
+function renderTrash() {
+  const trashed = getTrashedPosts();
+  const now = Date.now();
+
+  trashRetentionSelect.value = String(loadTrashRetention());
+  btnEmptyTrash.disabled = !trashed.some(canManagePost);
+  trashContent.innerHTML =
+    trashed.length === 0
+      ? `<p class="trash-empty">${t("trash.empty")}</p>`
+      : `<ul class="trash-list">${trashed
+          .map((post) => generateTrashItem(post, now))
+          .join("")}
+            </ul>`;
+}
+
+/**
+ * Generate one row of the trash
+ * @param {Object} post - Trashed post
+ * @param {number} now - Current time
+ * @returns {string} HTML string
+ */
+function generateTrashItem(post, now) {
+  const daysLeft = Math.max(1, Math.ceil((getPurgeTime(post) - now) / DAY_MS));
+  return `
+                <li class="trash-item">
+                    <div class="trash-item-info">
+                        <span class="trash-item-title">${escapeHTML(
+                          post.title
+                        )}</span>
+                        <span class="trash-item-detail">${t("trash.deleted", {
+                          date: generateTime(post.deletedAt, true),
+                        })} · ${t("trash.purgedIn", { count: daysLeft })}</span>
+                    </div>
+                    <div class="trash-item-actions">${
+                      canManagePost(post)
+                        ? `
+                        <button type="button" class="btn btn-secondary" data-action="restore" data-id="${
+                          post.id
+                        }">${t("action.restore")}</button>
+                        <button type="button" class="btn btn-delete" data-action="purge" data-id="${
+                          post.id
+                        }">${t("action.deleteForever")}</button>`
+                        : `
+                        <span class="trash-item-detail">${t(
+                          "trash.onlyAuthor",
+                          { name: escapeHTML(getPostAuthor(post).name) }
+                        )}</span>`
+                    }
+                    </div>
+                </li>`;
+}
+
+// ============================================
+// AUTHOR FUNCTIONS
+// ============================================
+
+/**
+ * Get an author profile by ID
+ * @param {string|null} id - Author ID
+ * @returns {Object|null} Profile or null if not found
+ */
+function getAuthorById(id) {
+  return authors.find((author) => author.id === id) || null;
+}
+
+/**
+ * Get the author profile of a post's byline
+ * @param {Object} post - Post object
+ * @returns {Object|null} Profile, or null if the post has none or its
+ *   profile isn't in this browser
+ */
+function getPostAuthor(post) {
+  return post.authorId ? getAuthorById(post.authorId) : null;
+}
+
+/**
+ * Get who is writing in this browser
+ * @returns {Object|null} Profile, or null if nobody was chosen
+ */
+function getCurrentAuthor() {
+  return getAuthorById(loadCurrentAuthorId());
+}
+
+/**
+ * Get the author profiles in name order
+ * @returns {Object[]} Profiles
+ */
+function getSortedAuthors() {
+  const collator = new Intl.Collator(getLocale(), { sensitivity: "base" });
+  return [...authors].sort((a, b) => collator.compare(a.name, b.name));
+}
+
+/**
+ * Check whether the current user may edit, publish or delete a post
+ * Anyone may while nobody is chosen, and posts without a known author
+ * stay open to everyone
+ * @param {Object} post - Post object
+ * @returns {boolean} True if the post may be changed here
+ */
+function canManagePost(post) {
+  const current = getCurrentAuthor();
+  return !current || !getPostAuthor(post) || post.authorId === current.id;
+}
+
+/**
+ * Stop a change to someone else's post, telling the user why
+ * @param {Object} post - Post about to be changed
+ * @returns {boolean} True if the change may go ahead
+ */
+function checkCanManage(post) {
+  if (canManagePost(post)) {
+    return true;
+  }
+  showAlert(
+    t("authors.notYours", {
+      title: post.title,
+      name: getPostAuthor(post).name,
+    })
+  );
+  return false;
+}
+
+/**
+ * Add up an author's posts, views and ratings, leaving out the trash
+ * @param {string} authorId - Author ID
+ * @returns {{postCount: number, publishedCount: number, views: number,
+ *   ratingCount: number, averageRating: string}} Totals; the average is
+ *   taken over every rating of every post
+ */
+function getAuthorStats(authorId) {
+  const authored = getActivePosts().filter(
+    (post) => post.authorId === authorId
+  );
+  const ratings = authored.flatMap((post) => post.ratings);
+  const ratingSum = ratings.reduce((sum, entry) => sum + entry.rating, 0);
+
+  return {
+    postCount: authored.length,
+    publishedCount: authored.filter((post) => post.status === "published")
+      .length,
+    views: authored.reduce((sum, post) => sum + post.views, 0),
+    ratingCount: ratings.length,
+    averageRating:
+      ratings.length > 0 ? (ratingSum / ratings.length).toFixed(1) : "0",
+  };
+}
+
+/**
+ * Show the profile and totals of the author whose page the list shows
+ */
+function renderAuthorProfile() {
+  const author = getAuthorById(currentAuthorFilter);
+
+  // Drop the filter if the profile was deleted
+  if (!author) {
+    currentAuthorFilter = null;
+    authorProfile.classList.add("hidden");
+    authorProfile.innerHTML = "";
+    return;
+  }
+
+  const stats = getAuthorStats(author.id);
+  authorProfile.classList.remove("hidden");
+  authorProfile.innerHTML = `
+        <div class="author-profile-header">
+            ${generateAuthorAvatar(author, "author-avatar-large")}
+            <div class="author-profile-info">
+                <h3 class="author-profile-name">${escapeHTML(author.name)}</h3>
+                ${
+                  author.bio
+                    ? `<p class="author-profile-bio">${escapeHTML(
+                        author.bio
+                      )}</p>`
+                    : ""
+                }
+            </div>
+        </div>
+        <div class="stats-tiles">
+            ${generateStatTile(
+              t("stats.posts"),
+              formatNumber(stats.postCount),
+              t("stats.published", { count: stats.publishedCount })
+            )}
+            ${generateStatTile(
+              t("stats.views"),
+              formatNumber(stats.views),
+              t("authors.allPosts")
+            )}
+            ${generateStatTile(
+              t("authors.averageRating"),
+              stats.ratingCount > 0
+                ? `${formatNumber(stats.averageRating, 1)} ★`
+                : "–",
+              t("rating.count", { count: stats.ratingCount })
+            )}
+        </div>`;
+}
+
+/**
+ * Select an author in one of the post forms
+ * A profile this browser doesn't have gets an "Unknown author" option,
+ * so saving the form doesn't drop the byline
+ * @param {HTMLSelectElement} select - postAuthorSelect or editPostAuthorSelect
+ * @param {string|null} authorId - Author ID ('' or null for none)
+ */
+function setAuthorSelectValue(select, authorId) {
+  select.querySelectorAll("[data-unknown]").forEach((option) => {
+    option.remove();
+  });
+  if (authorId && !getAuthorById(authorId)) {
+    select.insertAdjacentHTML(
+      "beforeend",
+      `<option value="${escapeHTML(authorId)}" data-unknown>${t(
+        "authors.unknown"
+      )}</option>`
+    );
+  }
+  select.value = authorId || "";
+}
+
+/**
+ * Fill the author selectors of the post forms and the "You are" menu,
+ * keeping what each one had selected
+ */
+function renderAuthorOptions() {
+  const options = getSortedAuthors()
+    .map(
+      (author) =>
+        `<option value="${escapeHTML(author.id)}">${escapeHTML(
+          author.name
+        )}</option>`
+    )
+    .join("");
+
+  [postAuthorSelect, editPostAuthorSelect].forEach((select) => {
+    const selected = select.value;
+    select.innerHTML = `<option value="">${t(
+      "authors.none"
+    )}</option>${options}`;
+    setAuthorSelectValue(select, selected);
+  });
+
+  const current = getCurrentAuthor();
+  currentAuthorSelect.innerHTML = `<option value="">${t(
+    "authors.anyone"
+  )}</option>${options}`;
+  currentAuthorSelect.value = current ? current.id : "";
+}
+
+/**
+ * Add imported author profiles this browser doesn't have yet
+ * Profiles already here are kept as they are
+ * @param {Object[]} imported - Profiles from parseImportDocument
+ * @returns {number} Number of profiles added
+ */
+function addImportedAuthors(imported) {
+  const knownIds = new Set(authors.map((author) => author.id));
+  const added = imported.filter((author) => !knownIds.has(author.id));
+
+  if (added.length > 0) {
+    authors = [...authors, ...added];
+    saveAuthors();
+    renderAuthorOptions();
+  }
+  return added.length;
+}
+
+/**
+ * Show the author profiles in place of the list and detail
+ */
+function showAuthorsView() {
+  currentView = "authors";
+  currentDetailPostId = null;
+
+  hideNotFound();
+  hideStatsView();
+  hideTrashView();
+  postDetail.classList.remove("active");
+  readingProgress.classList.add("hidden");
+  postsContainer.style.display = "none";
+  listPagination.classList.add("hidden");
+  loadMore.classList.add("hidden");
+  emptyState.style.display = "none";
+  authorsView.classList.remove("hidden");
+
+  renderAuthors();
+}
+
+/**
+ * Hide the author profiles
+ */
+function hideAuthorsView() {
+  authorsView.classList.add("hidden");
+}
+
+/**
+ * Render the list of author profiles
+ */
+function renderAuthors() {
+  renderAuthorOptions();
+  authorsContent.innerHTML =
+    authors.length === 0
+      ? `<p class="authors-empty">${t("authors.empty")}</p>`
+      : `<ul class="author-list">${getSortedAuthors()
+          .map(generateAuthorItem)
+          .join("")}
+            </ul>`;
+}
+
+/**
+ * Generate one row of the author list
+ * Authors with posts, even ones in the trash, can't be deleted
+ * @param {Object} author - Author profile
+ * @returns {string} HTML string
+ */
+function generateAuthorItem(author) {
+  const { postCount } = getAuthorStats(author.id);
+  const hasPosts = posts.some((post) => post.authorId === author.id);
+  const id = escapeHTML(author.id);
+
+  return `
+                <li class="author-item">
+                    ${generateAuthorAvatar(author)}
+                    <div class="author-item-info">
+                        <a class="author-item-name" href="#${escapeHTML(
+                          buildPath(["author", author.id])
+                        )}">${escapeHTML(author.name)}</a>
+                        <span class="author-item-detail">${t("count.posts", {
+                          count: postCount,
+                        })}${
+    author.bio ? ` · ${escapeHTML(author.bio)}` : ""
+  }</span>
+                    </div>
+                    <div class="author-item-actions">
+                        <button type="button" class="btn btn-secondary" data-action="edit-author" data-id="${id}">${t(
+    "action.edit"
+  )}</button>
+                        <button type="button" class="btn btn-delete" data-action="delete-author" data-id="${id}"${
+    hasPosts ? ` disabled title="${t("authors.hasPosts")}"` : ""
+  }>${t("action.delete")}</button>
+                    </div>
+                </li>`;
+}
+
+/**
+ * Empty the author form for adding a new profile
+ * The colour picker suggests the next colour in AUTHOR_COLORS
+ */
+function resetAuthorForm() {
+  authorForm.reset();
+  authorIdInput.value = "";
+  authorColorInput.value = AUTHOR_COLORS[authors.length % AUTHOR_COLORS.length];
+  cancelAuthorEditBtn.hidden = true;
+  renderAuthorFormLabels();
+  clearAuthorErrors();
+}
+
+/**
+ * Load a profile into the author form for editing
+ * @param {string} authorId - Author ID
+ */
+function startAuthorEdit(authorId) {
+  const author = getAuthorById(authorId);
+  if (!author) return;
+
+  clearAuthorErrors();
+  authorIdInput.value = author.id;
+  authorNameInput.value = author.name;
+  authorBioInput.value = author.bio;
+  authorColorInput.value = author.color;
+  cancelAuthorEditBtn.hidden = false;
+  renderAuthorFormLabels();
+  authorNameInput.focus();
+}
+
+/**
+ * Title the author form for adding a profile or editing the loaded one
+ */
+function renderAuthorFormLabels() {
+  const author = getAuthorById(authorIdInput.value);
+  authorFormHeading.textContent = author
+    ? t("authors.editHeading", { name: author.name })
+    : t("authors.addHeading");
+  saveAuthorBtn.textContent = author
+    ? t("action.saveChanges")
+    : t("authors.add");
+}
+
+// ============================================
+// COMMENT SECTION FUNCTIONS
+// ============================================
+
+/**
+ * Generate the comment section for the detail view
+ * @param {Object} post - Post object
+ * @returns {string} HTML string
+ */
+function generateCommentSection(post) {
+  const count = getCommentCount(post);
+  const thread = generateCommentThread(post, null, 1);
+
+  return `
+        <section class="comment-section" aria-labelledby="commentsHeading">
+            <h3 id="commentsHeading">${t("comments.heading", { count })}</h3>
+            ${
+              thread
+                ? `<ol class="comment-list">${thread}</ol>`
+                : `<p class="comment-empty">${t("comments.empty")}</p>`
+            }
+            ${generateCommentForm(post.id, { mode: "new" })}
+        </section>
+    `;
+}
+
+/**
+ * Generate the comments replying to one parent, with their replies
+ * Deleted comments are only shown while they still have replies
+ * @param {Object} post - Post object
+ * @param {string|null} parentId - Parent comment ID (null for top level)
+ * @param {number} depth - Nesting depth of these comments
+ * @returns {string} HTML string ('' if there are none)
+ */
+function generateCommentThread(post, parentId, depth) {
+  return post.comments
+    .filter((comment) => comment.parentId === parentId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((comment) => {
+      const replies = generateCommentThread(post, comment.id, depth + 1);
+      if (comment.deleted && !replies) return "";
+
+      return `
+            <li class="comment" id="comment-${comment.id}">
+                ${generateCommentBody(post, comment, depth)}
+                ${replies ? `<ol class="comment-replies">${replies}</ol>` : ""}
+            </li>`;
+    })
+    .join("");
+}
+
+/**
+ * Generate one comment's header, text and actions
+ * @param {Object} post - Post object
+ * @param {Object} comment - Comment
+ * @param {number} depth - Nesting depth of the comment
+ * @returns {string} HTML string
+ */
+function generateCommentBody(post, comment, depth) {
+  if (comment.deleted) {
+    return `<p class="comment-deleted">${t("comments.deleted")}</p>`;
+  }
+
+  const attrs = `data-id="${post.id}" data-comment-id="${comment.id}"`;
+  const actions = [];
+  if (depth < MAX_COMMENT_DEPTH) {
+    actions.push(
+      `<button type="button" class="btn-comment" data-action="reply-comment" ${attrs}>${t(
+        "comments.reply"
+      )}</button>`
+    );
+  }
+  if (isOwnComment(comment)) {
+    actions.push(
+      `<button type="button" class="btn-comment" data-action="edit-comment" ${attrs}>${t(
+        "action.edit"
+      )}</button>`,
+      `<button type="button" class="btn-comment" data-action="delete-comment" ${attrs}>${t(
+        "action.delete"
+      )}</button>`
+    );
+  }
+
+  return `
+                <div class="comment-header">
+                    <strong class="comment-author">${escapeHTML(
+                      comment.author
+                    )}</strong>
+                    <span class="comment-date">${generateTime(
+                      comment.createdAt,
+                      true
+                    )}</span>
+                    ${
+                      comment.updatedAt !== comment.createdAt
+                        ? `<span class="post-edited" title="${t(
+                            "comments.editedAt",
+                            { date: formatDate(comment.updatedAt) }
+                          )}">${t("post.edited")}</span>`
+                        : ""
+                    }
+                </div>
+                <p class="comment-content">${escapeHTML(comment.content)}</p>
+                <div class="comment-actions">${actions.join("")}</div>`;
+}
+
+/**
+ * Generate a form for a new comment, a reply or an edit
+ * @param {string} postId - ID of the post
+ * @param {Object} options - Form options
+ * @param {string} options.mode - 'new', 'reply' or 'edit'
+ * @param {string|null} options.commentId - Comment replied to or edited
+ * @param {string} options.content - Text to start with (edits)
+ * @returns {string} HTML string
+ */
+function generateCommentForm(postId, { mode, commentId = null, content = "" }) {
+  const formId = `commentForm-${mode}-${commentId || postId}`;
+  const labels = {
+    new: t("comments.post"),
+    reply: t("comments.reply"),
+    edit: t("action.save"),
+  };
+  const authorField =
+    mode === "edit"
+      ? ""
+      : `
+                <div class="form-group">
+                    <label for="${formId}-author">${t(
+          "comments.name"
+        )} *</label>
+                    <input type="text" id="${formId}-author" name="author" maxlength="${MAX_COMMENT_AUTHOR_LENGTH}" value="${escapeHTML(
+          getVisitor().name
+        )}" required />
+                </div>`;
+
+  return `
+            <form class="comment-form" id="${formId}" data-mode="${mode}" data-id="${postId}" ${
+    commentId ? `data-comment-id="${commentId}"` : ""
+  } novalidate>${authorField}
+                <div class="form-group">
+                    <label for="${formId}-content">${
+    mode === "edit" ? t("comments.editLabel") : t("comments.label")
+  } *</label>
+                    <textarea id="${formId}-content" name="content" rows="${
+    mode === "new" ? 4 : 3
+  }" maxlength="${MAX_COMMENT_LENGTH}" required>${escapeHTML(
+    content
+  )}</textarea>
+                </div>
+                <span class="error-message" role="alert" aria-live="polite"></span>
+                <div class="comment-form-actions">
+                    ${
+                      mode === "new"
+                        ? ""
+                        : `<button type="button" class="btn btn-secondary" data-action="cancel-comment" data-id="${postId}">${t(
+                            "action.cancel"
+                          )}</button>`
+                    }
+                    <button type="submit" class="btn btn-primary">${
+                      labels[mode]
+                    }</button>
+                </div>
+            </form>`;
+}
+
+/**
+ * Re-render only the comment section of the open post
+ * @param {Object} post - Post object
+ */
+function renderCommentSection(post) {
+  const section = postDetail.querySelector(".comment-section");
+  if (section) {
+    section.outerHTML = generateCommentSection(post);
+  }
+}
+
+/**
+ * Open an inline reply or edit form under a comment
+ * Only one inline form is open at a time
+ * @param {string} postId - ID of the post
+ * @param {string} commentId - ID of the comment
+ * @param {string} mode - 'reply' or 'edit'
+ */
+function openCommentForm(postId, commentId, mode) {
+  const post = getPostById(postId);
+  const comment = post && getCommentById(post, commentId);
+  if (!comment) return;
+
+  renderCommentSection(post);
+  const item = document.getElementById(`comment-${commentId}`);
+  const formHTML = generateCommentForm(postId, {
+    mode,
+    commentId,
+    content: mode === "edit" ? comment.content : "",
+  });
+
+  if (mode === "edit") {
+    item.querySelector(".comment-content").outerHTML = formHTML;
+    item.querySelector(".comment-actions").remove();
+  } else {
+    item
+      .querySelector(".comment-actions")
+      .insertAdjacentHTML("afterend", formHTML);
+  }
+  item.querySelector(".comment-form textarea").focus();
+}
+
+/**
+ * Handle the submission of any comment form
+ * @param {Event} e - Submit event
+ */
+function handleCommentSubmit(e) {
+  const form = e.target.closest(".comment-form");
+  if (!form) return;
+  e.preventDefault();
+
+  const mode = form.getAttribute("data-mode");
+  const postId = form.getAttribute("data-id");
+  const commentId = form.getAttribute("data-comment-id");
+  const errorEl = form.querySelector(".error-message");
+  const content = form.elements.content.value;
+  const author = form.elements.author ? form.elements.author.value : "";
+
+  let error = "";
+  if (mode !== "edit" && !author.trim()) {
+    error = t("validation.commentName");
+  } else if (!content.trim()) {
+    error = t("validation.commentRequired");
+  } else if (content.trim().length > MAX_COMMENT_LENGTH) {
+    error = t("validation.commentTooLong", { count: MAX_COMMENT_LENGTH });
+  }
+  if (error) {
+    errorEl.textContent = error;
+    return;
+  }
+
+  let success;
+  if (mode === "edit") {
+    success = updateComment(postId, commentId, content);
+  } else {
+    // Remember the name for the next comment
+    saveVisitor({ ...getVisitor(), name: author.trim() });
+    success = Boolean(
+      addComment(postId, { parentId: commentId, author, content })
+    );
+  }
+
+  if (!success) {
+    showError(t("error.saveComment"));
+    return;
+  }
+  renderCommentSection(getPostById(postId));
+  renderPosts();
+}
+
+/**
+ * Handle comment deletion
+ * @param {string} postId - ID of the post
+ * @param {string} commentId - ID of the comment
+ */
+async function handleDeleteComment(postId, commentId) {
+  const confirmed = await showConfirm(t("confirm.deleteComment"), {
+    confirmLabel: t("action.delete"),
+    danger: true,
+  });
+  if (!confirmed) return;
+
+  if (deleteComment(postId, commentId)) {
+    renderCommentSection(getPostById(postId));
+    renderPosts();
+  } else {
+    showError(t("error.deleteComment"));
+  }
+}
+
+// ============================================
+// ROUTING FUNCTIONS
+// ============================================
+
+/**
+ * Register the app's routes and render the view for the current URL
+ */
+function initRoutes() {
+  addRoute("/", (params, query) => showListView(parseListQuery(query)));
+  addRoute("/status/:name", (params, query) =>
+    POST_STATUSES.includes(params.name)
+      ? showListView({ ...parseListQuery(query), status: params.name })
+      : showNotFound("notFound.page")
+  );
+  addRoute("/post/:id", (params) => showPostDetail(params.id));
+  addRoute("/stats", () => showStatsView());
+  addRoute("/trash", () => showTrashView());
+  addRoute("/authors", () => showAuthorsView());
+  addRoute("/author/:id", (params, query) =>
+    getAuthorById(params.id)
+      ? showListView({ ...parseListQuery(query), author: params.id })
+      : showNotFound("notFound.author")
+  );
+  addRoute("/tag/:name", (params, query) =>
+    showListView({ ...parseListQuery(query), tag: normalizeTag(params.name) })
+  );
+  addRoute("/category/:name", (params, query) =>
+    showListView({ ...parseListQuery(query), category: params.name })
+  );
+  addRoute("/search", (params, query) =>
+    showListView({ ...parseListQuery(query), query: query.get("q") || "" })
+  );
+  setNotFoundHandler(() => showNotFound("notFound.page"));
+
+  startRouter();
+}
+
+/**
+ * Read the sort order and page from a list route's query
+ * A missing sort falls back to the last one chosen
+ * @param {URLSearchParams} query - Route query
+ * @returns {{sort: string, page: number}} List options
+ */
+function parseListQuery(query) {
+  const sort = query.get("sort");
+  const page = parseInt(query.get("page"), 10);
+  return {
+    sort: sort in SORT_ORDERS ? sort : listSettings.sort,
+    page: page > 0 ? page : 1,
+  };
+}
+
+/**
+ * Show the post list with the filters from the route
+ * @param {Object} filters - Filters taken from the route
+ * @param {string} filters.status - Lifecycle status to show
+ * @param {string|null} filters.tag - Tag to filter by
+ * @param {string|null} filters.category - Category to filter by
+ * @param {string|null} filters.author - Author whose posts are shown
+ * @param {string} filters.query - Search query
+ * @param {string} filters.sort - Key of SORT_ORDERS
+ * @param {number} filters.page - Page number (paged mode)
+ */
+function showListView({
+  status = "published",
+  tag = null,
+  category = null,
+  author = null,
+  query = "",
+  sort = listSettings.sort,
+  page = 1,
+} = {}) {
+  currentStatusFilter = status;
+  currentTagFilter = tag;
+  currentCategoryFilter = category;
+  currentAuthorFilter = author;
+  currentSearchQuery = query;
+  currentSortOrder = sort;
+  currentPage = page;
+  sortOrderSelect.value = sort;
+  // Search results are ordered by relevance
+  sortOrderSelect.disabled = Boolean(query.trim());
+
+  // Keep the box in sync when the route came from a link or history
+  if (searchInput.value !== query) {
+    searchInput.value = query;
+  }
+
+  hideNotFound();
+  hideStatsView();
+  hideTrashView();
+  hideAuthorsView();
+  if (currentView !== "list") {
+    hidePostDetail();
+  }
+
+  renderPosts();
+
+  // Spell out the sort in the URL and remember this list for next time
+  replacePath(getListPath());
+  listSettings.sort = currentSortOrder;
+  listSettings.lastListPath = getListPath();
+  saveListSettings();
+}
+
+/**
+ * Get the route path for the list with the current filters
+ * @returns {string} Route path
+ */
+function getListPath() {
+  const page =
+    listSettings.pageSize !== "infinite" && currentPage > 1 ? currentPage : "";
+
+  if (currentSearchQuery.trim()) {
+    return buildPath(["search"], { q: currentSearchQuery, page });
+  }
+
+  const query = { ...getSortQuery(), page };
+  if (currentTagFilter) {
+    return buildPath(["tag", currentTagFilter], query);
+  }
+  if (currentCategoryFilter) {
+    return buildPath(["category", currentCategoryFilter], query);
+  }
+  if (currentAuthorFilter) {
+    return buildPath(["author", currentAuthorFilter], query);
+  }
+  if (currentStatusFilter !== "published") {
+    return buildPath(["status", currentStatusFilter], query);
+  }
+  return buildPath([], query);
+}
+
+/**
+ * Get the query parameters that keep the current sort order in a URL
+ * @returns {Object} Query for buildPath ({} for the default order)
+ */
+function getSortQuery() {
+  return currentSortOrder === "newest" ? {} : { sort: currentSortOrder };
+}
+
+// ============================================
+// MODAL FUNCTIONS
+// ============================================
+
+/**
+ * Open the edit modal
+ * @param {string} postId - ID of post to edit
+ */
+function openEditModal(postId) {
+  const post = getPostById(postId);
+
+  if (!post) {
+    showError(t("error.postNotFound"));
+    return;
+  }
+  if (!checkCanManage(post)) return;
+
+  // Populate modal with post data
+  currentEditId = postId;
+  editPostId.value = postId;
+  editPostTitleInput.value = post.title;
+  editPostContentInput.value = post.content;
+  setTagInputTags(editPostTagsChips, post.tags);
+  editPostCategoryInput.value = post.category;
+  editPostStatusInput.value = post.status;
+  editPublishAtInput.value = post.publishAt
+    ? toDateTimeLocal(post.publishAt)
+    : "";
+  setCoverImage(editForm, post.coverImageId);
+  setAuthorSelectValue(editPostAuthorSelect, post.authorId);
+  clearPublishAtError(editPublishAtError, editPublishAtInput);
+  hideEditConflict();
+
+  // Clear any previous errors
+  editTitleError.textContent = "";
+  editContentError.textContent = "";
+  editPostTitleInput.classList.remove("error");
+  editPostContentInput.classList.remove("error");
+
+  openDialog(editModal, {
+    onCancel: requestCloseEditModal,
+    initialFocus: editPostTitleInput,
+  });
+}
+
+/**
+ * Close the edit modal
+ */
+function closeEditModal() {
+  closeDialog(editModal);
+  currentEditId = null;
+  hideEditConflict();
+  editForm.reset();
+  setTagInputTags(editPostTagsChips, []);
+  setCoverImage(editForm, null);
+  saveAutosave("edit", null);
+
+  // Clear errors
+  editTitleError.textContent = "";
+  editContentError.textContent = "";
   editPostTitleInput.classList.remove("error");
   editPostContentInput.classList.remove("error");
+}
+
+// ============================================
+// RATING MODAL FUNCTIONS
+// ============================================
+
+/**
+ * Open the rating modal
+ * @param {string} postId - ID of post to rate
+ */
+function openRatingModal(postId) {
+  const post = getPostById(postId);
+
+  if (!post) {
+    showError(t("error.postNotFound"));
+    return;
+  }
+
+  currentRatingPostId = postId;
+  const ownRating = getOwnRating(post);
+
+  // Create star rating buttons, marking this visitor's earlier rating
+  ratingStars.innerHTML = "";
+  for (let i = 1; i <= 5; i++) {
+    const star = document.createElement("button");
+    star.className = `rating-star${
+      ownRating && i <= ownRating ? " selected" : ""
+    }`;
+    star.setAttribute("data-rating", i);
+    star.setAttribute("aria-pressed", String(i === ownRating));
+    // Only one star is in the tab order; arrow keys move between them
+    star.tabIndex = i === (ownRating || 1) ? 0 : -1;
+    star.innerHTML = "★";
+    star.title = t("rating.rateStars", { count: i });
+    ratingStars.appendChild(star);
+  }
+  ratingInstruction.textContent = ownRating
+    ? t("rating.ownRating", { count: ownRating })
+    : t("rating.instruction");
+
+  openDialog(ratingModal, {
+    onCancel: closeRatingModal,
+    initialFocus: ratingStars.children[(ownRating || 1) - 1],
+  });
+}
+
+/**
+ * Close the rating modal
+ */
+function closeRatingModal() {
+  closeDialog(ratingModal);
+  currentRatingPostId = null;
+  ratingStars.innerHTML = "";
+}
+
+/**
+ * Handle rating star click
+ * @param {Event} e - Click event
+ */
+function handleRatingClick(e) {
+  const star = e.target.closest(".rating-star");
+
+  if (!star || !currentRatingPostId) return;
+
+  const rating = parseInt(star.getAttribute("data-rating"));
+
+  // Add rating to post
+  const before = snapshotPosts([currentRatingPostId]);
+  const success = addRating(currentRatingPostId, rating);
+
+  if (success) {
+    const postId = currentRatingPostId;
+    recordCommand(
+      t("history.rate", { title: getPostById(postId).title }),
+      before
+    );
+    closeRatingModal();
+    // Re-render to show updated rating (without counting another view)
+    if (currentView === "detail") {
+      renderPostDetail(getPostById(postId));
+    }
+    renderPosts();
+  } else {
+    showError(t("error.addRating"));
+  }
+}
+
+/**
+ * Rate with the number keys 1-5 and move between stars with the arrow keys
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleRatingKeydown(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const stars = [...ratingStars.children];
+  if (/^[1-5]$/.test(e.key)) {
+    e.preventDefault();
+    stars[Number(e.key) - 1].click();
+    return;
+  }
+
+  const current = stars.indexOf(document.activeElement);
+  if (current === -1) return;
+
+  let next;
+  if (e.key === "ArrowRight" || e.key === "ArrowUp") {
+    next = Math.min(current + 1, stars.length - 1);
+  } else if (e.key === "ArrowLeft" || e.key === "ArrowDown") {
+    next = Math.max(current - 1, 0);
+  } else if (e.key === "Home") {
+    next = 0;
+  } else if (e.key === "End") {
+    next = stars.length - 1;
+  } else {
+    return;
+  }
+
+  e.preventDefault();
+  stars.forEach((star, index) => {
+    star.tabIndex = index === next ? 0 : -1;
+  });
+  stars[next].focus();
+}
+
+// ============================================
+// KEYBOARD SHORTCUTS
+// ============================================
+
+/**
+ * Undo with Ctrl+Z (Cmd+Z) and redo with Ctrl+Shift+Z or Ctrl+Y
+ * Text fields keep the browser's own undo, and open dialogs are left alone
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleUndoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+  const key = e.key.toLowerCase();
+  const isUndo = key === "z" && !e.shiftKey;
+  const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+  if (!isUndo && !isRedo) return;
+
+  if (isTextField(e.target) || isDialogOpen()) return;
+
+  e.preventDefault();
+  if (isUndo) {
+    undo();
+  } else {
+    redo();
+  }
+}
+
+/**
+ * Check whether keys pressed in an element are typed text
+ * @param {EventTarget} target - Keydown target
+ * @returns {boolean} True inside inputs, text areas, selects and editors
+ */
+function isTextField(target) {
+  return (
+    target instanceof Element &&
+    Boolean(target.closest("input, textarea, select, [contenteditable]"))
+  );
+}
+
+/**
+ * Run the single-key shortcuts listed in the ? dialog, and open or close
+ * the command palette with Ctrl+K (Cmd+K)
+ * Keys typed into fields, and any key while a dialog is open, are left alone
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcutKeydown(e) {
+  const isPaletteKey =
+    (e.ctrlKey || e.metaKey) &&
+    !e.altKey &&
+    !e.shiftKey &&
+    e.key.toLowerCase() === "k";
+
+  if (isPaletteKey) {
+    if (isDialogOpen(commandPalette)) {
+      e.preventDefault();
+      closeDialog(commandPalette);
+    } else if (!isDialogOpen()) {
+      e.preventDefault();
+      openCommandPalette();
+    }
+    return;
+  }
+
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+  if (isTextField(e.target) || isDialogOpen()) return;
+
+  const key = e.key;
+  const postId = getSelectedPostId();
+
+  if (key === "n") {
+    startNewPost();
+  } else if (key === "/") {
+    focusSearch();
+  } else if (key === "j") {
+    moveCardFocus(1);
+  } else if (key === "k") {
+    moveCardFocus(-1);
+  } else if (key === "e" && postId) {
+    openEditModal(postId);
+  } else if (key === "d" && postId) {
+    deleteSelectedPost(postId);
+  } else if (key === "r" && postId) {
+    openRatingModal(postId);
+  } else if (key === "Enter" && e.target.classList.contains("post-card")) {
+    navigate(buildPath(["post", postId]));
+  } else if (key === "?") {
+    openShortcutsHelp();
+  } else {
+    return;
+  }
+
+  e.preventDefault();
+}
+
+/**
+ * Find the post the e, d and r shortcuts act on: the focused card in the
+ * list, or the post open in the detail view
+ * @returns {string|null} Post ID, or null if no post is selected
+ */
+function getSelectedPostId() {
+  const card = document.activeElement
+    ? document.activeElement.closest(".post-card")
+    : null;
+
+  if (card && postsContainer.contains(card)) {
+    return card.getAttribute("data-post-id");
+  }
+  return currentView === "detail" ? currentDetailPostId : null;
+}
+
+/**
+ * Focus the next or previous card in the list
+ * Moving past the last card loads more in infinite-scroll mode
+ * @param {number} step - 1 for the next card, -1 for the previous one
+ */
+function moveCardFocus(step) {
+  if (currentView !== "list") return;
+
+  let cards = [...postsContainer.querySelectorAll(".post-card")];
+  const current = cards.indexOf(document.activeElement);
+
+  if (step > 0 && current === cards.length - 1) {
+    loadMorePosts();
+    cards = [...postsContainer.querySelectorAll(".post-card")];
+  }
+  if (cards.length === 0) return;
+
+  const next =
+    current === -1
+      ? step > 0
+        ? 0
+        : cards.length - 1
+      : Math.min(Math.max(current + step, 0), cards.length - 1);
+  focusCard(cards[next]);
+}
+
+/**
+ * Focus a post card and scroll it into view
+ * @param {HTMLElement} card - Post card element
+ */
+function focusCard(card) {
+  card.focus({ preventScroll: true });
+  card.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+/**
+ * Move the selected post to the trash and select the card that takes its
+ * place, so j, k and d keep working without the mouse
+ * @param {string} postId - ID of post to delete
+ */
+function deleteSelectedPost(postId) {
+  const cards = [...postsContainer.querySelectorAll(".post-card")];
+  const index = cards.findIndex(
+    (card) => card.getAttribute("data-post-id") === postId
+  );
+
+  handleDeletePost(postId);
+
+  // Not moved if the post wasn't deleted (for example someone else's)
+  if (index !== -1 && !cards[index].isConnected) {
+    const remaining = postsContainer.querySelectorAll(".post-card");
+    const next = remaining[Math.min(index, remaining.length - 1)];
+    if (next) focusCard(next);
+  }
+}
+
+/**
+ * Open the new post form, or focus it if it is already open
+ */
+function startNewPost() {
+  if (newPostSection.classList.contains("collapsed")) {
+    toggleNewPostForm();
+  } else {
+    postTitleInput.focus();
+  }
+}
+
+/**
+ * Move the cursor into the search box, selecting any earlier query
+ */
+function focusSearch() {
+  searchInput.focus();
+  searchInput.select();
+}
+
+/**
+ * Show the list of keyboard shortcuts
+ */
+function openShortcutsHelp() {
+  openDialog(shortcutsDialog);
+}
+
+// ============================================
+// COMMAND PALETTE
+// ============================================
+
+/**
+ * List everything the command palette can run: app actions first, then
+ * opening each post
+ * @returns {{label: string, hint: string, run: Function}[]} Commands
+ */
+function getPaletteCommands() {
+  const actions = [
+    { label: t("shortcuts.newPost"), hint: "n", run: startNewPost },
+    { label: t("shortcuts.search"), hint: "/", run: focusSearch },
+    { label: t("palette.list"), hint: "", run: () => navigate(getListPath()) },
+    {
+      label: t("palette.stats"),
+      hint: "",
+      run: () => navigate(buildPath(["stats"])),
+    },
+    {
+      label: t("palette.authors"),
+      hint: "",
+      run: () => navigate(buildPath(["authors"])),
+    },
+    {
+      label: t("palette.trash"),
+      hint: "",
+      run: () => navigate(buildPath(["trash"])),
+    },
+    { label: t("palette.export"), hint: "", run: handleExport },
+    {
+      label: t("palette.import"),
+      hint: "",
+      run: () => importFileInput.click(),
+    },
+    { label: t("palette.sync"), hint: "", run: handleSyncSettings },
+    { label: t("shortcuts.heading"), hint: "?", run: openShortcutsHelp },
+  ];
+  const postCommands = getActivePosts().map((post) => ({
+    label: post.title,
+    hint: t("palette.post"),
+    run: () => navigate(buildPath(["post", post.id])),
+  }));
+
+  return [...actions, ...postCommands];
+}
+
+/**
+ * Open the command palette with an empty query
+ */
+function openCommandPalette() {
+  paletteCommands = getPaletteCommands();
+  commandInput.value = "";
+  renderCommandResults();
+  openDialog(commandPalette, { initialFocus: commandInput });
+}
+
+/**
+ * Show the commands that fuzzy-match the typed query, best match first
+ */
+function renderCommandResults() {
+  const query = commandInput.value.trim();
+  const matches = paletteCommands
+    .map((command) => ({ command, score: fuzzyScore(query, command.label) }))
+    .filter((match) => match.score > 0);
+
+  // Without a query the list keeps its own order: actions, then posts
+  if (query) {
+    matches.sort((a, b) => b.score - a.score);
+  }
+  paletteMatches = matches
+    .slice(0, MAX_PALETTE_RESULTS)
+    .map((match) => match.command);
+  paletteIndex = 0;
+
+  commandResults.innerHTML = paletteMatches
+    .map(
+      (command, index) => `
+            <li class="command-option" id="command-option-${index}" role="option" data-index="${index}">
+                <span class="command-label">${sanitizeHTML(
+                  command.label
+                )}</span>
+                ${
+                  command.hint
+                    ? `<span class="command-hint">${sanitizeHTML(
+                        command.hint
+                      )}</span>`
+                    : ""
+                }
+            </li>`
+    )
+    .join("");
+  commandEmpty.textContent = t("palette.empty", { query });
+  commandEmpty.hidden = paletteMatches.length > 0;
+  highlightCommand(0);
+}
+
+/**
+ * Highlight one entry of the palette for Enter to run
+ * @param {number} index - Index in paletteMatches
+ */
+function highlightCommand(index) {
+  paletteIndex = index;
+  const options = [...commandResults.children];
+
+  options.forEach((option, i) => {
+    option.setAttribute("aria-selected", String(i === index));
+  });
+  if (options[index]) {
+    commandInput.setAttribute("aria-activedescendant", options[index].id);
+    options[index].scrollIntoView({ block: "nearest" });
+  } else {
+    commandInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+/**
+ * Move through the palette with the arrow keys and run an entry with Enter
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleCommandKeydown(e) {
+  const count = paletteMatches.length;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (count === 0) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    highlightCommand((paletteIndex + step + count) % count);
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runCommand(paletteIndex);
+  }
+}
+
+/**
+ * Run the palette entry that was clicked
+ * @param {MouseEvent} e - Click event
+ */
+function handleCommandClick(e) {
+  const option = e.target.closest(".command-option");
+  if (option) {
+    runCommand(Number(option.getAttribute("data-index")));
+  }
+}
+
+/**
+ * Close the palette and run one of its entries
+ * The palette closes first so focus is back on the page before the
+ * command moves it
+ * @param {number} index - Index in paletteMatches
+ */
+function runCommand(index) {
+  const command = paletteMatches[index];
+  if (!command) return;
+
+  closeDialog(commandPalette);
+  command.run();
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+
+/**
+ * Handle search input changes
+ */
+function handleSearchInput() {
+  const query = searchInput.value;
+  const route = parseHash(window.location.hash);
+
+  // Typing refines the current search instead of adding history entries
+  navigate(
+    query.trim()
+      ? buildPath(["search"], { q: query })
+      : buildPath([], getSortQuery()),
+    {
+      replace: Boolean(route && route.path === "/search"),
+    }
+  );
+}
+
+/**
+ * Handle new post form submission
+ * @param {Event} e - Submit event
+ */
+function handleNewPost(e) {
+  e.preventDefault();
+
+  const title = postTitleInput.value;
+  const content = postContentInput.value;
+  // Which button was used: publish, draft or schedule
+  const intent =
+    (e.submitter && e.submitter.getAttribute("data-intent")) || "publish";
+
+  // Validate inputs
+  let isValid = validatePost(
+    title,
+    content,
+    titleError,
+    contentError,
+    postTitleInput,
+    postContentInput
+  );
+
+  if (intent === "schedule") {
+    isValid =
+      validatePublishAt(
+        postPublishAtInput.value,
+        publishAtError,
+        postPublishAtInput
+      ) && isValid;
+  } else {
+    clearPublishAtError(publishAtError, postPublishAtInput);
+  }
+
+  if (!isValid) {
+    return;
+  }
+
+  // Add post
+  const status =
+    intent === "draft"
+      ? "draft"
+      : intent === "schedule"
+      ? "scheduled"
+      : "published";
+  const post = addPost(title, content, {
+    tags: commitTagInput(postTagsInput),
+    category: postCategoryInput.value,
+    status,
+    publishAt:
+      status === "scheduled"
+        ? new Date(postPublishAtInput.value).getTime()
+        : null,
+    coverImageId: postCoverImage.value || null,
+    authorId: postAuthorSelect.value || null,
+    id: getFormPostId(postForm),
+  });
+
+  recordCommand(t("history.add", { title: post.title }), new Map(), [post.id]);
+
+  // Clear form
+  postForm.reset();
+  setTagInputTags(postTagsChips, []);
+  setCoverImage(postForm, null);
+  resetPostAuthor();
+  newPostDraftId = null;
+  saveAutosave("newPost", null);
+
+  // Hide form after submission
+  newPostSection.classList.add("collapsed");
+  renderAddPostButton();
+
+  // Show the list the new post landed in
+  if (status !== currentStatusFilter) {
+    setStatusFilter(status);
+  } else {
+    renderPosts();
+  }
+
+  // Scroll to posts section
+  postsContainer.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+/**
+ * Handle edit post form submission
+ * @param {Event} e - Submit event
+ */
+function handleEditPost(e) {
+  e.preventDefault();
+
+  const title = editPostTitleInput.value;
+  const content = editPostContentInput.value;
+  const postId = currentEditId;
+
+  // Validate inputs
+  let isValid = validatePost(
+    title,
+    content,
+    editTitleError,
+    editContentError,
+    editPostTitleInput,
+    editPostContentInput
+  );
+
+  const status = editPostStatusInput.value;
+  const post = getPostById(postId);
+
+  // A new or changed schedule must be in the future
+  if (
+    status === "scheduled" &&
+    (!post ||
+      post.status !== "scheduled" ||
+      toDateTimeLocal(post.publishAt) !== editPublishAtInput.value)
+  ) {
+    isValid =
+      validatePublishAt(
+        editPublishAtInput.value,
+        editPublishAtError,
+        editPublishAtInput
+      ) && isValid;
+  } else {
+    clearPublishAtError(editPublishAtError, editPublishAtInput);
+  }
+
+  if (!isValid) {
+    return;
+  }
+
+  // Update post
+  const before = snapshotPosts([postId]);
+  const success = updatePost(postId, title, content, {
+    tags: commitTagInput(editPostTagsInput),
+    category: editPostCategoryInput.value,
+    status,
+    publishAt: editPublishAtInput.value
+      ? new Date(editPublishAtInput.value).getTime()
+      : null,
+    coverImageId: editCoverImage.value || null,
+    authorId: editPostAuthorSelect.value || null,
+  });
+
+  if (success) {
+    recordCommand(
+      t("history.edit", { title: getPostById(postId).title }),
+      before
+    );
+    closeEditModal();
+    if (currentView === "detail") {
+      renderPostDetail(getPostById(postId));
+    }
+    renderPosts();
+  } else {
+    showError(t("error.updatePost"));
+  }
+}
+
+/**
+ * Handle post action buttons (edit/delete/view/rate) and tag/category filters
+ * @param {Event} e - Click event
+ */
+function handlePostAction(e) {
+  const button = e.target.closest("[data-action]");
+
+  if (!button) return;
+
+  const action = button.getAttribute("data-action");
+  const postId = button.getAttribute("data-id");
+
+  if (action === "edit") {
+    openEditModal(postId);
+  } else if (action === "delete") {
+    handleDeletePost(postId);
+  } else if (action === "restore") {
+    handleRestorePost(postId);
+  } else if (action === "purge") {
+    handlePurgePost(postId);
+  } else if (action === "empty-trash") {
+    handleEmptyTrash();
+  } else if (action === "edit-author") {
+    startAuthorEdit(postId);
+  } else if (action === "delete-author") {
+    handleDeleteAuthor(postId);
+  } else if (action === "view") {
+    e.preventDefault(); // Title links are handled by the router
+    navigate(buildPath(["post", postId]));
+  } else if (action === "back") {
+    navigateBack(getListPath());
+  } else if (action === "toc") {
+    e.preventDefault(); // The hash holds the route, not the section
+    scrollToSection(button.getAttribute("data-target"));
+  } else if (action === "rate") {
+    openRatingModal(postId);
+  } else if (action === "restore-revision") {
+    handleRestoreRevision(postId, button.getAttribute("data-revision"));
+  } else if (action === "publish") {
+    handlePublishPost(postId);
+  } else if (action === "reply-comment") {
+    openCommentForm(postId, button.getAttribute("data-comment-id"), "reply");
+  } else if (action === "edit-comment") {
+    openCommentForm(postId, button.getAttribute("data-comment-id"), "edit");
+  } else if (action === "delete-comment") {
+    handleDeleteComment(postId, button.getAttribute("data-comment-id"));
+  } else if (action === "cancel-comment") {
+    renderCommentSection(getPostById(postId));
+  } else if (action === "go-page") {
+    goToPage(Number(button.getAttribute("data-page")));
+  } else if (action === "filter-status") {
+    setStatusFilter(button.getAttribute("data-status"));
+  } else if (action === "filter-tag") {
+    setTagFilter(button.getAttribute("data-tag"));
+  } else if (action === "filter-category") {
+    setCategoryFilter(button.getAttribute("data-category"));
+  } else if (action === "clear-filters") {
+    clearFilters();
+  }
+}
+
+/**
+ * Publish a draft, scheduled or archived post right away
+ * @param {string} postId - ID of post to publish
+ */
+function handlePublishPost(postId) {
+  const post = getPostById(postId);
+  if (post && !checkCanManage(post)) return;
+
+  const before = snapshotPosts([postId]);
+  const success = setPostStatus(postId, "published");
+
+  if (success) {
+    recordCommand(
+      t("history.publish", { title: getPostById(postId).title }),
+      before
+    );
+    if (currentView === "detail") {
+      renderPostDetail(getPostById(postId));
+    }
+    renderPosts();
+  } else {
+    showError(t("error.publishPost"));
+  }
+}
+
+/**
+ * Handle post deletion by moving the post to the trash
+ * Nothing is lost, so there is no confirmation; the toast offers undo
+ * @param {string} postId - ID of post to delete
+ */
+function handleDeletePost(postId) {
+  const post = getPostById(postId);
+
+  if (!post) {
+    showError(t("error.postNotFound"));
+    return;
+  }
+  if (!checkCanManage(post)) return;
+
+  // Move post to the trash
+  const before = snapshotPosts([postId]);
+  const success = trashPost(postId);
+
+  if (success) {
+    recordCommand(t("history.delete", { title: post.title }), before);
+    showToast(t("trash.moved", { title: post.title }), {
+      label: t("action.undo"),
+      run: undo,
+    });
+    // If we're in detail view of this post, go back to list
+    if (currentView === "detail" && currentDetailPostId === postId) {
+      navigate(getListPath(), { replace: true });
+    } else {
+      renderPosts();
+    }
+  } else {
+    showError(t("error.deletePost"));
+  }
+}
+
+/**
+ * Take a post out of the trash
+ * @param {string} postId - ID of post to restore
+ */
+function handleRestorePost(postId) {
+  const post = getPostById(postId);
+  if (post && !checkCanManage(post)) return;
+
+  const before = snapshotPosts([postId]);
+
+  if (post && restorePost(postId)) {
+    recordCommand(t("history.restore", { title: post.title }), before);
+    showToast(t("trash.restored", { title: post.title }), {
+      label: t("action.undo"),
+      run: undo,
+    });
+    refreshCurrentView();
+  } else {
+    showError(t("error.restorePost"));
+  }
+}
+
+/**
+ * Permanently delete one post from the trash
+ * @param {string} postId - ID of post to delete
+ */
+async function handlePurgePost(postId) {
+  const post = getPostById(postId);
+
+  if (!post) {
+    showError(t("error.postNotFound"));
+    return;
+  }
+  if (!checkCanManage(post)) return;
+
+  const confirmPurge = await showConfirm(
+    t("confirm.purgePost", { title: post.title }),
+    { confirmLabel: t("action.deleteForever"), danger: true }
+  );
+
+  if (confirmPurge) {
+    purgePosts([postId]);
+    refreshCurrentView();
+  }
+}
+
+/**
+ * Permanently delete every post in the trash that may be deleted here
+ */
+async function handleEmptyTrash() {
+  const ids = getTrashedPosts()
+    .filter(canManagePost)
+    .map((post) => post.id);
+
+  if (ids.length === 0) return;
+
+  const confirmEmpty = await showConfirm(
+    t("confirm.emptyTrash", { count: ids.length }),
+    { confirmLabel: t("action.deleteForever"), danger: true }
+  );
+
+  if (confirmEmpty) {
+    const count = purgePosts(ids);
+    showToast(t("trash.purged", { count }));
+    refreshCurrentView();
+  }
+}
+
+/**
+ * Store a new trash retention period and apply it right away
+ */
+function handleTrashRetentionChange() {
+  saveTrashRetention(Number(trashRetentionSelect.value));
+  purgeExpiredTrash();
+  refreshCurrentView();
+}
+
+/**
+ * Add or update an author profile from the author form
+ * @param {Event} e - Submit event
+ */
+function handleAuthorSubmit(e) {
+  e.preventDefault();
+
+  const authorId = authorIdInput.value;
+  const name = authorNameInput.value;
+  const bio = authorBioInput.value;
+
+  if (!validateAuthor(name, bio, authorId)) {
+    return;
+  }
+
+  const profile = {
+    id: authorId || generateId(),
+    name: name.trim(),
+    bio: bio.trim(),
+    color: authorColorInput.value,
+  };
+  const previousAuthors = authors;
+  authors = authorId
+    ? authors.map((author) => (author.id === authorId ? profile : author))
+    : [...authors, profile];
+
+  if (!saveAuthors()) {
+    authors = previousAuthors;
+    return;
+  }
+
+  showToast(
+    t(authorId ? "authors.saved" : "authors.added", { name: profile.name })
+  );
+  resetAuthorForm();
+  refreshCurrentView();
+}
+
+/**
+ * Delete an author profile that no post uses
+ * @param {string} authorId - Author ID
+ */
+async function handleDeleteAuthor(authorId) {
+  const author = getAuthorById(authorId);
+
+  if (!author) {
+    showError(t("error.authorNotFound"));
+    return;
+  }
+  if (posts.some((post) => post.authorId === authorId)) {
+    showAlert(t("authors.stillHasPosts", { name: author.name }));
+    return;
+  }
+
+  const confirmed = await showConfirm(
+    t("confirm.deleteAuthor", { name: author.name }),
+    { confirmLabel: t("action.delete"), danger: true }
+  );
+  if (!confirmed) return;
+
+  authors = authors.filter((entry) => entry.id !== authorId);
+  saveAuthors();
+  if (loadCurrentAuthorId() === authorId) {
+    saveCurrentAuthorId(null);
+  }
+  if (authorIdInput.value === authorId) {
+    resetAuthorForm();
+  }
+  refreshCurrentView();
+}
+
+/**
+ * Store who is writing in this browser and update what they may change
+ */
+function handleCurrentAuthorChange() {
+  saveCurrentAuthorId(currentAuthorSelect.value || null);
+  resetPostAuthor();
+
+  const current = getCurrentAuthor();
+  showToast(
+    current
+      ? t("authors.writingAs", { name: current.name })
+      : t("authors.writingAsAnyone")
+  );
+  refreshCurrentView();
+}
+
+/**
+ * Preselect the current user as the author of a new post
+ */
+function resetPostAuthor() {
+  const current = getCurrentAuthor();
+  setAuthorSelectValue(postAuthorSelect, current ? current.id : null);
+}
+
+// ============================================
+// AUTOSAVE & RECOVERY FUNCTIONS
+// ============================================
+
+/**
+ * Read the tags of a tag input, including text not yet turned into a chip
+ * @param {HTMLElement} chipsEl - Chips container
+ * @param {HTMLInputElement} input - Tag text input
+ * @returns {string[]} Tags
+ */
+function getPendingTags(chipsEl, input) {
+  return normalizeTags([...getTagInputTags(chipsEl), input.value]);
+}
+
+/**
+ * Snapshot the new post form
+ * @returns {Object|null} Snapshot, or null if the form is empty
+ */
+function getNewPostSnapshot() {
+  const snapshot = {
+    title: postTitleInput.value,
+    content: postContentInput.value,
+    tags: getPendingTags(postTagsChips, postTagsInput),
+    category: postCategoryInput.value,
+    publishAt: postPublishAtInput.value,
+    coverImageId: postCoverImage.value,
+    authorId: postAuthorSelect.value,
+    draftId: newPostDraftId, // Post ID its images are stored under
+  };
+
+  const isEmpty =
+    !snapshot.title.trim() &&
+    !snapshot.content.trim() &&
+    snapshot.tags.length === 0 &&
+    !snapshot.category.trim() &&
+    !snapshot.coverImageId;
+
+  return isEmpty ? null : snapshot;
+}
+
+/**
+ * Snapshot the edit form
+ * @returns {Object|null} Snapshot, or null if nothing differs from the post
+ */
+function getEditSnapshot() {
+  const post = getPostById(currentEditId);
+  if (!post) return null;
+
+  const snapshot = {
+    postId: post.id,
+    title: editPostTitleInput.value,
+    content: editPostContentInput.value,
+    tags: getPendingTags(editPostTagsChips, editPostTagsInput),
+    category: editPostCategoryInput.value,
+    status: editPostStatusInput.value,
+    publishAt: editPublishAtInput.value,
+    coverImageId: editCoverImage.value,
+    authorId: editPostAuthorSelect.value,
+  };
+
+  const isUnchanged =
+    snapshot.title === post.title &&
+    snapshot.content === post.content &&
+    snapshot.tags.join(",") === post.tags.join(",") &&
+    normalizeCategory(snapshot.category) === post.category &&
+    snapshot.status === post.status &&
+    snapshot.publishAt ===
+      (post.publishAt ? toDateTimeLocal(post.publishAt) : "") &&
+    snapshot.coverImageId === (post.coverImageId || "") &&
+    snapshot.authorId === (post.authorId || "");
+
+  return isUnchanged ? null : snapshot;
+}
+
+/**
+ * Autosave whichever form changed
+ * @param {HTMLFormElement} form - postForm or editForm
+ */
+function autosaveForm(form) {
+  if (form === postForm) {
+    saveAutosave("newPost", getNewPostSnapshot());
+  } else if (isDialogOpen(editModal)) {
+    saveAutosave("edit", getEditSnapshot());
+  }
+}
+
+/**
+ * Save both forms right away (used when the page is being hidden)
+ */
+function flushAutosaves() {
+  autosaveForm(postForm);
+  autosaveForm(editForm);
+}
+
+/**
+ * Close the edit modal, asking first if it has unsaved changes
+ */
+async function requestCloseEditModal() {
+  if (
+    getEditSnapshot() &&
+    !(await showConfirm(t("confirm.discardEdits"), {
+      confirmLabel: t("action.discard"),
+      danger: true,
+    }))
+  ) {
+    return;
+  }
+
+  closeEditModal();
+}
+
+/**
+ * Offer to restore text autosaved in an earlier session
+ */
+function renderRecoveryBanner() {
+  const autosaves = loadAutosaves();
+  const items = [];
+
+  if (autosaves.newPost) {
+    items.push({
+      form: "newPost",
+      label: autosaves.newPost.title.trim()
+        ? t("recovery.newPostTitled", {
+            title: sanitizeHTML(autosaves.newPost.title.trim()),
+            date: generateTime(autosaves.newPost.savedAt, true),
+          })
+        : t("recovery.newPost", {
+            date: generateTime(autosaves.newPost.savedAt, true),
+          }),
+    });
+  }
+
+  if (autosaves.edit) {
+    const post = getPostById(autosaves.edit.postId);
+    if (post) {
+      items.push({
+        form: "edit",
+        label: t("recovery.edit", {
+          title: sanitizeHTML(post.title),
+          date: generateTime(autosaves.edit.savedAt, true),
+        }),
+      });
+    } else {
+      // The post was deleted, so there is nothing to restore into
+      saveAutosave("edit", null);
+    }
+  }
+
+  if (items.length === 0) {
+    recoveryBanner.classList.add("hidden");
+    recoveryBanner.innerHTML = "";
+    return;
+  }
+
+  recoveryBanner.innerHTML = items
+    .map(
+      (item) => `
+        <div class="recovery-item">
+            <span>${item.label}</span>
+            <button type="button" class="btn btn-primary" data-action="restore-autosave" data-form="${
+              item.form
+            }">${t("action.restore")}</button>
+            <button type="button" class="btn btn-secondary" data-action="discard-autosave" data-form="${
+              item.form
+            }">${t("action.discard")}</button>
+        </div>
+    `
+    )
+    .join("");
+  recoveryBanner.classList.remove("hidden");
+}
+
+/**
+ * Put autosaved text back into its form
+ * @param {string} formKey - 'newPost' or 'edit'
+ */
+function restoreAutosave(formKey) {
+  const snapshot = loadAutosaves()[formKey];
+  if (!snapshot) return;
+
+  if (formKey === "newPost") {
+    postTitleInput.value = snapshot.title;
+    postContentInput.value = snapshot.content;
+    setTagInputTags(postTagsChips, snapshot.tags);
+    postTagsInput.value = "";
+    postCategoryInput.value = snapshot.category;
+    postPublishAtInput.value = snapshot.publishAt;
+    newPostDraftId = snapshot.draftId || null;
+    setCoverImage(postForm, snapshot.coverImageId || null);
+    if (snapshot.authorId !== undefined) {
+      setAuthorSelectValue(postAuthorSelect, snapshot.authorId);
+    }
+    if (newPostSection.classList.contains("collapsed")) {
+      toggleNewPostForm();
+    }
+  } else {
+    openEditModal(snapshot.postId);
+    if (currentEditId !== snapshot.postId) return; // Not this user's post
+    editPostTitleInput.value = snapshot.title;
+    editPostContentInput.value = snapshot.content;
+    setTagInputTags(editPostTagsChips, snapshot.tags);
+    editPostCategoryInput.value = snapshot.category;
+    editPostStatusInput.value = snapshot.status;
+    editPublishAtInput.value = snapshot.publishAt;
+    setCoverImage(editForm, snapshot.coverImageId || null);
+    if (snapshot.authorId !== undefined) {
+      setAuthorSelectValue(editPostAuthorSelect, snapshot.authorId);
+    }
+  }
+}
+
+/**
+ * Handle the recovery banner's restore and discard buttons
+ * @param {Event} e - Click event
+ */
+function handleRecoveryAction(e) {
+  const button = e.target.closest("[data-action]");
+  if (!button) return;
+
+  const formKey = button.getAttribute("data-form");
+  if (button.getAttribute("data-action") === "restore-autosave") {
+    restoreAutosave(formKey);
+  } else {
+    saveAutosave(formKey, null);
+  }
 
-  // Show modal
-  editModal.classList.add("active");
-  editModal.setAttribute("aria-hidden", "false");
-  editPostTitleInput.focus();
+  // Drop this offer from the banner
+  button.closest(".recovery-item").remove();
+  if (!recoveryBanner.querySelector(".recovery-item")) {
+    recoveryBanner.classList.add("hidden");
+  }
 }
 
+// ============================================
+// EXPORT & IMPORT FUNCTIONS
+// ============================================
+
 /**
- * Close the edit modal
+ * Download every post as a versioned JSON file
  */
-function closeEditModal() {
-  editModal.classList.remove("active");
-  editModal.setAttribute("aria-hidden", "true");
-  currentEditId = null;
-  editForm.reset();
+function handleExport() {
+  const now = Date.now();
+  const json = JSON.stringify(
+    createExportDocument(posts, now, authors),
+    null,
+    2
+  );
+  const url = URL.createObjectURL(
+    new Blob([json], { type: "application/json" })
+  );
 
-  // Clear errors
-  editTitleError.textContent = "";
-  editContentError.textContent = "";
-  editPostTitleInput.classList.remove("error");
-  editPostContentInput.classList.remove("error");
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getExportFilename(now);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
-// ============================================
-// RATING MODAL FUNCTIONS
-// ============================================
-
 /**
- * Open the rating modal
- * @param {string} postId - ID of post to rate
+ * Read and validate the chosen import file, then ask how to merge it
+ * @param {Event} e - Change event from the file input
  */
-function openRatingModal(postId) {
-  const post = getPostById(postId);
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = ""; // Allow choosing the same file again
+  if (!file) return;
 
-  if (!post) {
-    alert("Post not found");
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    console.error("Error reading import file:", error);
+    showError(t("error.readFile"));
     return;
   }
 
-  currentRatingPostId = postId;
-
-  // Create star rating buttons
-  ratingStars.innerHTML = "";
-  for (let i = 1; i <= 5; i++) {
-    const star = document.createElement("button");
-    star.className = "rating-star";
-    star.setAttribute("data-rating", i);
-    star.innerHTML = "★";
-    star.title = `Rate ${i} star${i > 1 ? "s" : ""}`;
-    ratingStars.appendChild(star);
+  const result = parseImportDocument(text);
+  if (result.fatal) {
+    showAlert(t("import.failed", { reason: result.fatal }));
+    return;
   }
 
-  // Show modal
-  ratingModal.classList.add("active");
-  ratingModal.setAttribute("aria-hidden", "false");
+  openImportModal(result);
 }
 
 /**
- * Close the rating modal
+ * Show the import summary, per-record errors and merge options
+ * @param {Object} result - Result of parseImportDocument
  */
-function closeRatingModal() {
-  ratingModal.classList.remove("active");
-  ratingModal.setAttribute("aria-hidden", "true");
-  currentRatingPostId = null;
-  ratingStars.innerHTML = "";
+function openImportModal(result) {
+  pendingImport = result;
+  const collisions = countIdCollisions(posts, result.posts);
+
+  importSummary.textContent = [
+    t("import.ready", { count: result.posts.length }),
+    collisions > 0 ? t("import.collisions", { count: collisions }) : "",
+    result.errors.length > 0
+      ? t("import.skipped", { count: result.errors.length })
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const listed = result.errors.slice(0, MAX_LISTED_IMPORT_ERRORS);
+  importErrors.innerHTML =
+    listed
+      .map(
+        (error) =>
+          `<li><strong>${t("import.record", {
+            number: error.index + 1,
+          })}${
+            error.id ? ` (${sanitizeHTML(error.id)})` : ""
+          }:</strong> ${sanitizeHTML(error.messages.join("; "))}</li>`
+      )
+      .join("") +
+    (result.errors.length > listed.length
+      ? `<li>${t("import.more", {
+          count: result.errors.length - listed.length,
+        })}</li>`
+      : "");
+  importErrors.hidden = result.errors.length === 0;
+
+  importStrategy.querySelector('[value="merge"]').checked = true;
+  confirmImportBtn.disabled = result.posts.length === 0;
+
+  openDialog(importModal, {
+    onCancel: closeImportModal,
+    initialFocus: confirmImportBtn.disabled
+      ? cancelImportBtn
+      : confirmImportBtn,
+  });
 }
 
 /**
- * Handle rating star click
- * @param {Event} e - Click event
+ * Close the import modal and drop the pending import
  */
-function handleRatingClick(e) {
-  const star = e.target.closest(".rating-star");
+function closeImportModal() {
+  closeDialog(importModal);
+  pendingImport = null;
+}
 
-  if (!star || !currentRatingPostId) return;
+/**
+ * Merge the pending import into posts with the chosen strategy
+ */
+async function handleConfirmImport() {
+  if (!pendingImport) return;
 
-  const rating = parseInt(star.getAttribute("data-rating"));
+  const strategy = importStrategy.querySelector(
+    '[name="importStrategy"]:checked'
+  ).value;
 
-  // Add rating to post
-  const success = addRating(currentRatingPostId, rating);
+  if (
+    strategy === "replace" &&
+    posts.length > 0 &&
+    !(await showConfirm(t("confirm.replaceAll", { count: posts.length }), {
+      danger: true,
+    }))
+  ) {
+    return;
+  }
+  // The import may have been dropped while the question was open
+  if (!pendingImport) return;
 
-  if (success) {
-    closeRatingModal();
-    // Re-render to show updated rating
-    if (currentView === "detail") {
-      showPostDetail(currentRatingPostId);
+  const incoming = pendingImport.posts.map(migratePost);
+  const result = mergeImportedPosts(posts, incoming, strategy, generateId);
+  const previousPosts = posts;
+  const before = snapshotPosts(posts.map((post) => post.id));
+  posts = result.posts;
+  savePosts();
+  promoteScheduledPosts();
+  buildSearchIndex(posts);
+  addImportedAuthors(pendingImport.authors);
+  closeImportModal();
+
+  // Mirror the import to the sync server
+  const keptIds = new Set(posts.map((post) => post.id));
+  previousPosts
+    .filter((post) => !keptIds.has(post.id))
+    .forEach((post) =>
+      queueSyncOperation({
+        type: "delete",
+        id: post.id,
+        baseVersion: post.version,
+      })
+    );
+  posts
+    .filter((post) => !previousPosts.includes(post))
+    .forEach((post) => queueSyncOperation({ type: "put", id: post.id }));
+
+  const imported = recordCommand(
+    t("history.import", { count: incoming.length }),
+    before,
+    posts.map((post) => post.id)
+  );
+  if (imported) {
+    showToast(t("import.done", { count: incoming.length }), {
+      label: t("action.undo"),
+      run: undo,
+    });
+  }
+
+  refreshCurrentView();
+}
+
+/**
+ * Re-render whichever view is open after posts changed in bulk
+ */
+function refreshCurrentView() {
+  // Don't pull a comment form out from under someone typing in it
+  const isCommenting = Boolean(
+    document.activeElement && document.activeElement.closest(".comment-form")
+  );
+
+  if (currentView === "detail" && !isCommenting) {
+    const post = getPostById(currentDetailPostId);
+    if (post && !isTrashed(post)) {
+      renderPostDetail(post, {
+        historyOpen: Boolean(
+          postDetail.querySelector(".revision-history[open]")
+        ),
+      });
     } else {
-      renderPosts();
+      showNotFound("notFound.post");
     }
-  } else {
-    alert("Failed to add rating");
+  } else if (currentView === "stats") {
+    renderStats();
+  } else if (currentView === "trash") {
+    renderTrash();
+  } else if (currentView === "authors") {
+    renderAuthors();
   }
+  renderPosts();
 }
 
 // ============================================
-// EVENT HANDLERS
+// LANGUAGE FUNCTIONS
 // ============================================
 
 /**
- * Handle new post form submission
- * @param {Event} e - Submit event
+ * Fill the language menu with every language that has a catalogue
  */
-function handleNewPost(e) {
-  e.preventDefault();
-
-  const title = postTitleInput.value;
-  const content = postContentInput.value;
-
-  // Validate inputs
-  const isValid = validatePost(
-    title,
-    content,
-    titleError,
-    contentError,
-    postTitleInput,
-    postContentInput
-  );
-
-  if (!isValid) {
-    return;
-  }
+function renderLanguageOptions() {
+  languageSelect.innerHTML = Object.entries(LOCALE_NAMES)
+    .map(
+      ([locale, name]) =>
+        `<option value="${locale}" lang="${locale}">${name}</option>`
+    )
+    .join("");
+  languageSelect.value = getLocale();
+}
 
-  // Add post
-  addPost(title, content);
+/**
+ * Translate the page's static text
+ * Elements name their message in data-i18n (text), data-i18n-placeholder,
+ * data-i18n-aria-label or data-i18n-alt; data-i18n-count fills in a count
+ */
+function translatePage() {
+  document.documentElement.lang = getLocale();
 
-  // Clear form
-  postForm.reset();
+  const translate = (el, key) =>
+    t(
+      key,
+      el.hasAttribute("data-i18n-count")
+        ? { count: Number(el.getAttribute("data-i18n-count")) }
+        : {}
+    );
 
-  // Hide form after submission
-  newPostSection.classList.add("collapsed");
-  btnAddPost.textContent = "New Post";
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = translate(el, el.getAttribute("data-i18n"));
+  });
+  ["placeholder", "aria-label", "alt"].forEach((attribute) => {
+    document.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+      el.setAttribute(
+        attribute,
+        translate(el, el.getAttribute(`data-i18n-${attribute}`))
+      );
+    });
+  });
+}
 
-  // Re-render posts
-  renderPosts();
+/**
+ * Bring relative dates ("5 minutes ago") up to date
+ */
+function updateRelativeTimes() {
+  document.querySelectorAll("time[data-relative]").forEach((el) => {
+    el.textContent = formatRelativeTime(
+      new Date(el.getAttribute("datetime")).getTime()
+    );
+  });
+}
 
-  // Scroll to posts section
-  postsContainer.scrollIntoView({ behavior: "smooth", block: "nearest" });
+/**
+ * Show the interface in another language
+ * @param {string} locale - Locale code
+ */
+function applyLanguage(locale) {
+  setLocale(locale);
+  languageSelect.value = getLocale();
+  translatePage();
+  renderAddPostButton();
+  renderAuthorOptions();
+  renderAuthorFormLabels();
+  renderSyncStatus(syncStatus.status, syncStatus.queueLength);
+  renderRecoveryBanner();
+  if (currentRatingPostId) {
+    openRatingModal(currentRatingPostId);
+  }
+  refreshCurrentView();
 }
 
 /**
- * Handle edit post form submission
- * @param {Event} e - Submit event
+ * Handle a choice in the language menu
  */
-function handleEditPost(e) {
-  e.preventDefault();
+function handleLanguageChange() {
+  saveLanguage(languageSelect.value);
+  applyLanguage(languageSelect.value);
+}
 
-  const title = editPostTitleInput.value;
-  const content = editPostContentInput.value;
-  const postId = currentEditId;
+// ============================================
+// CROSS-TAB FUNCTIONS
+// ============================================
 
-  // Validate inputs
-  const isValid = validatePost(
-    title,
-    content,
-    editTitleError,
-    editContentError,
-    editPostTitleInput,
-    editPostContentInput
-  );
+/**
+ * Tell the app's other open tabs about a saved change
+ * @param {Object} message - {type: 'put', post}, {type: 'remove', id},
+ *   {type: 'reload'}, {type: 'authors'} or {type: 'language'}
+ */
+function notifyOtherTabs(message) {
+  if (tabChannel) {
+    tabChannel.post(message);
+  }
+}
 
-  if (!isValid) {
+/**
+ * Apply a change saved by another tab
+ * The change is already in storage, so it only updates this tab's copy;
+ * later saves here then build on it rather than overwrite it
+ * @param {Object} message - Message sent with notifyOtherTabs
+ */
+async function handleTabMessage(message) {
+  if (message.type === "put") {
+    const post = migratePost(message.post);
+    const index = posts.findIndex((existing) => existing.id === post.id);
+    if (post.id === currentEditId && index !== -1) {
+      warnIfEditedElsewhere(posts[index], post);
+    }
+    if (index === -1) {
+      posts.unshift(post);
+    } else {
+      posts[index] = post;
+    }
+    indexPost(post);
+  } else if (message.type === "remove") {
+    const index = posts.findIndex((post) => post.id === message.id);
+    if (index !== -1) {
+      posts.splice(index, 1);
+      removeFromIndex(message.id);
+    }
+    if (message.id === currentEditId) {
+      showEditConflict("deleted");
+    }
+  } else if (message.type === "reload") {
+    const loadedPosts = await loadPosts();
+    if (!loadedPosts) return;
+    const editedPost = getPostById(currentEditId);
+    const reloadedPost = loadedPosts.find((post) => post.id === currentEditId);
+    posts = loadedPosts;
+    buildSearchIndex(posts);
+    if (editedPost && !reloadedPost) {
+      showEditConflict("deleted");
+    } else if (editedPost) {
+      warnIfEditedElsewhere(editedPost, reloadedPost);
+    }
+  } else if (message.type === "authors") {
+    authors = loadAuthors();
+    renderAuthorOptions();
+  } else if (message.type === "language") {
+    applyLanguage(loadLanguage());
     return;
   }
 
-  // Update post
-  const success = updatePost(postId, title, content);
+  refreshAfterSync();
+}
 
-  if (success) {
-    closeEditModal();
-    renderPosts();
-  } else {
-    alert("Failed to update post");
+/**
+ * Warn in the edit modal if another tab changed the post's text or status
+ * Views and ratings don't count; saving here keeps them anyway
+ * @param {Object} current - This tab's copy of the post
+ * @param {Object} incoming - The other tab's copy
+ */
+function warnIfEditedElsewhere(current, incoming) {
+  if (
+    !matchesRevision(current, incoming) ||
+    current.status !== incoming.status ||
+    current.publishAt !== incoming.publishAt
+  ) {
+    showEditConflict("changed");
   }
 }
 
 /**
- * Handle post action buttons (edit/delete/view/rate)
- * @param {Event} e - Click event
+ * Show the edit modal's notice about a change made in another tab
+ * @param {string} reason - 'changed' or 'deleted'
  */
-function handlePostAction(e) {
-  const button = e.target.closest("[data-action]");
-
-  if (!button) return;
-
-  const action = button.getAttribute("data-action");
-  const postId = button.getAttribute("data-id");
+function showEditConflict(reason) {
+  editConflictMessage.textContent =
+    reason === "deleted" ? t("conflict.deleted") : t("conflict.changed");
+  reloadEditBtn.hidden = reason === "deleted";
+  editConflict.classList.remove("hidden");
+}
 
-  if (action === "edit") {
-    openEditModal(postId);
-  } else if (action === "delete") {
-    handleDeletePost(postId);
-  } else if (action === "view") {
-    showPostDetail(postId);
-  } else if (action === "back") {
-    hidePostDetail();
-  } else if (action === "rate") {
-    openRatingModal(postId);
-  }
+/**
+ * Hide the edit modal's conflict notice
+ */
+function hideEditConflict() {
+  editConflict.classList.add("hidden");
 }
 
+// ============================================
+// SYNC FUNCTIONS
+// ============================================
+
 /**
- * Handle post deletion
- * @param {string} postId - ID of post to delete
+ * Store a record received from the sync server
+ * @param {Object} record - Server post, or { id, deleted: true, version }
  */
-function handleDeletePost(postId) {
-  const post = getPostById(postId);
+function applyRemotePost(record) {
+  const index = posts.findIndex((post) => post.id === record.id);
 
-  if (!post) {
-    alert("Post not found");
-    return;
+  if (record.deleted) {
+    if (index !== -1) {
+      posts.splice(index, 1);
+      removeStoredPost(record.id);
+      removeStoredImages(record.id);
+      removeFromIndex(record.id);
+    }
+  } else {
+    const post = migratePost({ ...record });
+    if (index === -1) {
+      posts.unshift(post);
+    } else {
+      posts[index] = post;
+    }
+    savePost(post);
+    indexPost(post);
   }
 
-  // Confirm deletion
-  const confirmDelete = confirm(
-    `Are you sure you want to delete "${post.title}"?\n\nThis action cannot be undone.`
-  );
+  refreshAfterSync();
+}
 
-  if (!confirmDelete) {
-    return;
-  }
+// Several records often arrive together; render once for all of them
+const refreshAfterSync = debounce(refreshCurrentView, 50);
 
-  // Delete post
-  const success = deletePost(postId);
+/**
+ * Show the sync state next to the posts count
+ * @param {string} status - 'off', 'syncing', 'synced', 'offline' or 'error'
+ * @param {number} queueLength - Changes waiting to be sent
+ */
+function renderSyncStatus(status, queueLength) {
+  syncStatus = { status, queueLength };
+  const queued =
+    queueLength > 0 ? ` · ${t("sync.queued", { count: queueLength })}` : "";
+  const labels = {
+    off: t("sync.off"),
+    syncing: t("sync.syncing"),
+    synced: t("sync.synced"),
+    offline: `${t("sync.offline")}${queued}`,
+    error: `${t("sync.error")}${queued}`,
+  };
 
-  if (success) {
-    // If we're in detail view of this post, go back to list
-    if (currentView === "detail" && currentDetailPostId === postId) {
-      hidePostDetail();
-    }
-    renderPosts();
-  } else {
-    alert("Failed to delete post");
-  }
+  syncStatusEl.textContent = labels[status];
+  syncStatusEl.setAttribute("data-status", status);
 }
 
 /**
- * Close modal when clicking overlay
- * @param {Event} e - Click event
+ * Ask for the sync server URL and turn sync on or off
  */
-function handleModalOverlayClick(e) {
-  if (e.target === editModal || e.target.classList.contains("modal-overlay")) {
-    closeEditModal();
+async function handleSyncSettings() {
+  const endpoint = await showPrompt(
+    t("sync.prompt"),
+    getSyncEndpoint() || "http://localhost:8787/api"
+  );
+
+  if (endpoint === null) return;
+
+  if (endpoint.trim() && !/^https?:\/\//.test(endpoint.trim())) {
+    showAlert(t("sync.invalidUrl"));
+    return;
   }
+
+  configureSync(endpoint);
 }
 
 // ============================================
@@ -881,53 +6053,199 @@ function handleModalOverlayClick(e) {
 /**
  * Initialize the application
  */
-function init() {
-  // Load posts from localStorage
-  posts = loadPosts();
-  
-  // Save migrated posts back to localStorage
-  savePosts();
+async function init() {
+  // Show the interface in the chosen (or the browser's) language
+  setLocale(loadLanguage());
+  renderLanguageOptions();
+  translatePage();
+  renderAddPostButton();
 
-  // Render initial posts
-  renderPosts();
+  // Shared keyboard and click handling for dialogs and notifications
+  initDialogs();
+
+  // Open IndexedDB (moving old localStorage posts into it) and load posts
+  storage = await openPostStorage(STORAGE_KEY);
+  posts = (await loadPosts()) || [];
+
+  // Undo and redo steps from the last visit; loaded before the purge
+  // below so the steps it forgets are dropped from these, not saved over them
+  loadHistory();
+
+  // Publish scheduled posts that came due while the app was closed
+  // and empty out posts that have been in the trash too long
+  promoteScheduledPosts();
+  purgeExpiredTrash();
+
+  // Index posts for search
+  buildSearchIndex(posts);
+
+  // Author profiles for bylines, the post forms and who is writing here
+  authors = loadAuthors();
+  renderAuthorOptions();
+  resetPostAuthor();
+  resetAuthorForm();
+
+  // Reopen the list the way it was last left
+  listSettings = loadListSettings();
+  currentSortOrder = listSettings.sort;
+  sortOrderSelect.value = listSettings.sort;
+  pageSizeSelect.value = String(listSettings.pageSize);
+  if (!window.location.hash || window.location.hash === "#") {
+    replacePath(listSettings.lastListPath);
+  }
+
+  // Load more posts when the end of an infinite list scrolls into view
+  if (typeof IntersectionObserver !== "undefined") {
+    listObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMorePosts();
+        }
+      },
+      { rootMargin: "400px" }
+    );
+  }
+
+  // Show the view for the current URL
+  initRoutes();
+
+  // Keep other open tabs up to date (opened after the initial save,
+  // which only rewrites what every tab already loaded)
+  tabChannel = openTabChannel(handleTabMessage);
+
+  // Mirror changes to the sync server, if one is configured
+  setSyncHandlers({
+    getPost: getPostById,
+    getAllPosts: () => posts,
+    applyRemotePost,
+    onStatusChange: renderSyncStatus,
+  });
+  startSync();
+
+  // Offer text autosaved before the page was last closed
+  renderRecoveryBanner();
 
   // Add event listeners
   postForm.addEventListener("submit", handleNewPost);
+  searchInput.addEventListener(
+    "input",
+    debounce(handleSearchInput, SEARCH_DEBOUNCE_MS)
+  );
   editForm.addEventListener("submit", handleEditPost);
   postsContainer.addEventListener("click", handlePostAction);
   postDetail.addEventListener("click", handlePostAction);
+  statsView.addEventListener("click", handlePostAction);
+  trashView.addEventListener("click", handlePostAction);
+  trashRetentionSelect.addEventListener("change", handleTrashRetentionChange);
+  authorsView.addEventListener("click", handlePostAction);
+  authorForm.addEventListener("submit", handleAuthorSubmit);
+  cancelAuthorEditBtn.addEventListener("click", resetAuthorForm);
+  currentAuthorSelect.addEventListener("change", handleCurrentAuthorChange);
+  languageSelect.addEventListener("change", handleLanguageChange);
+  window.addEventListener("scroll", handleReadingScroll, { passive: true });
+  window.addEventListener("resize", handleReadingScroll);
+  postDetail.addEventListener("change", handleRevisionSelect);
+  postDetail.addEventListener("submit", handleCommentSubmit);
+  taxonomyBar.addEventListener("click", handlePostAction);
+  statusTabs.addEventListener("click", handlePostAction);
+  sortOrderSelect.addEventListener("change", (e) =>
+    setSortOrder(e.target.value)
+  );
+  pageSizeSelect.addEventListener("change", (e) => setPageSize(e.target.value));
+  listPagination.addEventListener("click", handlePostAction);
+  loadMoreBtn.addEventListener("click", loadMorePosts);
+  categoryFilter.addEventListener("change", (e) =>
+    setCategoryFilter(e.target.value)
+  );
+
+  // Tag input event listeners
+  [postTagsInput, editPostTagsInput].forEach((input) => {
+    input.addEventListener("keydown", handleTagInputKeydown);
+    input.addEventListener("change", handleTagInputChange);
+  });
+  [postTagsChips, editPostTagsChips].forEach((chipsEl) => {
+    chipsEl.addEventListener("click", handleTagChipClick);
+  });
   btnAddPost.addEventListener("click", toggleNewPostForm);
+
+  // Autosave event listeners
+  [postForm, editForm].forEach((form) => {
+    const autosave = debounce(() => autosaveForm(form), AUTOSAVE_DEBOUNCE_MS);
+    form.addEventListener("input", autosave);
+    form.addEventListener("change", autosave);
+    // Removing a tag chip is a click, not an input
+    form.addEventListener("click", (e) => {
+      if (e.target.closest(".tag-chip-remove")) autosave();
+    });
+  });
+  window.addEventListener("pagehide", flushAutosaves);
+
+  // Image event listeners
+  [postContentInput, editPostContentInput].forEach((textarea) => {
+    textarea.addEventListener("dragover", handleImageDragOver);
+    textarea.addEventListener("dragleave", handleImageDragLeave);
+    textarea.addEventListener("drop", handleContentDrop);
+    textarea.addEventListener("paste", handleContentPaste);
+  });
+  [postCoverInput, editCoverInput].forEach((zone) => {
+    zone.addEventListener("dragover", handleImageDragOver);
+    zone.addEventListener("dragleave", handleImageDragLeave);
+    zone.addEventListener("drop", handleCoverDrop);
+  });
+  [postCoverFile, editCoverFile].forEach((input) => {
+    input.addEventListener("change", handleCoverFileChange);
+  });
+  [postCoverRemove, editCoverRemove].forEach((button) => {
+    button.addEventListener("click", handleCoverRemove);
+  });
+  recoveryBanner.addEventListener("click", handleRecoveryAction);
+
+  btnSync.addEventListener("click", handleSyncSettings);
+
+  // Export & import event listeners
+  btnExport.addEventListener("click", handleExport);
+  btnImport.addEventListener("click", () => importFileInput.click());
+  importFileInput.addEventListener("change", handleImportFile);
+  confirmImportBtn.addEventListener("click", handleConfirmImport);
+  cancelImportBtn.addEventListener("click", closeImportModal);
+  closeImportBtn.addEventListener("click", closeImportModal);
+
   closeModalBtn.addEventListener("click", closeEditModal);
   cancelEditBtn.addEventListener("click", closeEditModal);
-  editModal.addEventListener("click", handleModalOverlayClick);
+  reloadEditBtn.addEventListener("click", () => openEditModal(currentEditId));
 
   // Rating modal event listeners
   closeRatingBtn.addEventListener("click", closeRatingModal);
   cancelRatingBtn.addEventListener("click", closeRatingModal);
   ratingStars.addEventListener("click", handleRatingClick);
-  ratingModal.addEventListener("click", (e) => {
-    if (
-      e.target === ratingModal ||
-      e.target.classList.contains("modal-overlay")
-    ) {
-      closeRatingModal();
-    }
-  });
 
-  // Handle ESC key to close modals
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") {
-      if (editModal.classList.contains("active")) {
-        closeEditModal();
-      }
-      if (ratingModal.classList.contains("active")) {
-        closeRatingModal();
-      }
+  // Undo and redo
+  document.addEventListener("keydown", handleUndoShortcut);
+
+  // Keyboard shortcuts and the command palette
+  document.addEventListener("keydown", handleShortcutKeydown);
+  ratingModal.addEventListener("keydown", handleRatingKeydown);
+  closeShortcutsBtn.addEventListener("click", () =>
+    closeDialog(shortcutsDialog)
+  );
+  commandInput.addEventListener("input", renderCommandResults);
+  commandInput.addEventListener("keydown", handleCommandKeydown);
+  commandResults.addEventListener("click", handleCommandClick);
+
+  // Clear out images left by new posts that were never saved
+  removeOrphanedImages();
+
+  // Keep publishing scheduled posts, emptying the trash and relative
+  // dates current while the app is open
+  setInterval(() => {
+    if (promoteScheduledPosts() + purgeExpiredTrash() > 0) {
+      refreshCurrentView();
     }
-  });
+    updateRelativeTimes();
+  }, SCHEDULE_CHECK_MS);
 
   console.log("Personal Blog Platform initialized successfully!");
-  console.log(`Loaded ${posts.length} post(s) from localStorage`);
+  console.log(`Loaded ${posts.length} post(s) from ${storage.name}`);
 }
 
 // Start the application when DOM is ready
@@ -0,0 +1,281 @@
+// Personal Blog Platform - Search Index
+// In-memory inverted index over post titles and content
+// Supports ranked results, "quoted phrases" and prefix matching, plus fuzzy
+// matching of short labels for the command palette
+
+// ============================================
+// CONSTANTS & STATE
+// ============================================
+
+const TITLE_WEIGHT = 3; // A title hit counts as much as three content hits
+const PREFIX_WEIGHT = 0.5; // Prefix hits score lower than whole-word hits
+const PHRASE_BONUS = 2; // Extra score per phrase occurrence
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const FUZZY_ADJACENT_BONUS = 2; // Fuzzy letters right after the previous one
+const FUZZY_WORD_START_BONUS = 3; // Fuzzy letters that start a word
+
+// term -> Map(postId -> { title: count, content: count })
+const invertedIndex = new Map();
+// postId -> { title: string[], content: string[] } token lists for phrase checks
+const indexedDocs = new Map();
+
+// ============================================
+// INDEXING FUNCTIONS
+// ============================================
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens in document order
+ */
+function tokenize(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(TOKEN_PATTERN) || []
+  );
+}
+
+/**
+ * Add or refresh a single post in the index
+ * @param {Object} post - Post object
+ */
+function indexPost(post) {
+  removeFromIndex(post.id);
+
+  const doc = {
+    title: tokenize(post.title),
+    content: tokenize(post.content),
+  };
+  indexedDocs.set(post.id, doc);
+
+  ["title", "content"].forEach((field) => {
+    doc[field].forEach((term) => {
+      if (!invertedIndex.has(term)) {
+        invertedIndex.set(term, new Map());
+      }
+      const postings = invertedIndex.get(term);
+      if (!postings.has(post.id)) {
+        postings.set(post.id, { title: 0, content: 0 });
+      }
+      postings.get(post.id)[field]++;
+    });
+  });
+}
+
+/**
+ * Remove a post from the index
+ * @param {string} postId - ID of the post to remove
+ */
+function removeFromIndex(postId) {
+  const doc = indexedDocs.get(postId);
+  if (!doc) return;
+
+  new Set([...doc.title, ...doc.content]).forEach((term) => {
+    const postings = invertedIndex.get(term);
+    if (!postings) return;
+    postings.delete(postId);
+    if (postings.size === 0) {
+      invertedIndex.delete(term);
+    }
+  });
+
+  indexedDocs.delete(postId);
+}
+
+/**
+ * Rebuild the index from scratch (used once on startup)
+ * @param {Object[]} allPosts - Posts to index
+ */
+function buildSearchIndex(allPosts) {
+  invertedIndex.clear();
+  indexedDocs.clear();
+  allPosts.forEach(indexPost);
+}
+
+// ============================================
+// QUERY FUNCTIONS
+// ============================================
+
+/**
+ * Parse a query into bare terms and quoted phrases
+ * @param {string} query - Raw search input
+ * @returns {{terms: string[], phrases: string[][]}} Parsed query
+ */
+function parseSearchQuery(query) {
+  const phrases = [];
+  const rest = String(query || "").replace(/"([^"]*)"?/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 1) {
+      phrases.push(tokens);
+      return " ";
+    }
+    return ` ${phrase} `; // A one-word phrase is just a term
+  });
+
+  return { terms: [...new Set(tokenize(rest))], phrases };
+}
+
+/**
+ * Check whether a query has anything to search for
+ * @param {{terms: string[], phrases: string[][]}} parsed - Parsed query
+ * @returns {boolean} True if the query is empty
+ */
+function isEmptyQuery(parsed) {
+  return parsed.terms.length === 0 && parsed.phrases.length === 0;
+}
+
+/**
+ * Score every post matching a single term (whole word or prefix)
+ * @param {string} term - Query term
+ * @param {number} docCount - Number of indexed posts
+ * @returns {Map<string, number>} postId -> score
+ */
+function scoreTerm(term, docCount) {
+  const scores = new Map();
+
+  invertedIndex.forEach((postings, indexedTerm) => {
+    if (!indexedTerm.startsWith(term)) return;
+
+    const weight = indexedTerm === term ? 1 : PREFIX_WEIGHT;
+    const idf = Math.log(1 + docCount / postings.size);
+
+    postings.forEach((counts, postId) => {
+      const tf = counts.title * TITLE_WEIGHT + counts.content;
+      scores.set(postId, (scores.get(postId) || 0) + tf * idf * weight);
+    });
+  });
+
+  return scores;
+}
+
+/**
+ * Count occurrences of a token sequence in a token list
+ * @param {string[]} tokens - Document tokens
+ * @param {string[]} phrase - Phrase tokens
+ * @returns {number} Number of occurrences
+ */
+function countPhrase(tokens, phrase) {
+  let count = 0;
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((word, offset) => tokens[i + offset] === word)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Score every post containing a phrase
+ * @param {string[]} phrase - Phrase tokens
+ * @returns {Map<string, number>} postId -> score
+ */
+function scorePhrase(phrase) {
+  const scores = new Map();
+  const candidates = invertedIndex.get(phrase[0]);
+  if (!candidates) return scores;
+
+  candidates.forEach((counts, postId) => {
+    const doc = indexedDocs.get(postId);
+    const hits =
+      countPhrase(doc.title, phrase) * TITLE_WEIGHT +
+      countPhrase(doc.content, phrase);
+    if (hits > 0) {
+      scores.set(postId, hits * phrase.length * PHRASE_BONUS);
+    }
+  });
+
+  return scores;
+}
+
+/**
+ * Search the index; every term and phrase must match
+ * @param {string} query - Raw search input
+ * @returns {{id: string, score: number}[]} Matches, best first
+ */
+function searchPosts(query) {
+  const parsed = parseSearchQuery(query);
+  if (isEmptyQuery(parsed)) return [];
+
+  const docCount = indexedDocs.size;
+  const partials = [
+    ...parsed.terms.map((term) => scoreTerm(term, docCount)),
+    ...parsed.phrases.map(scorePhrase),
+  ];
+
+  // Start from the smallest result set and intersect the rest
+  partials.sort((a, b) => a.size - b.size);
+  const results = [];
+
+  partials[0].forEach((score, postId) => {
+    let total = score;
+    for (let i = 1; i < partials.length; i++) {
+      if (!partials[i].has(postId)) return;
+      total += partials[i].get(postId);
+    }
+    results.push({ id: postId, score: total });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build a regular expression matching the words a query would hit
+ * @param {string} query - Raw search input
+ * @returns {RegExp|null} Global pattern for highlighting, or null
+ */
+function buildHighlightPattern(query) {
+  const parsed = parseSearchQuery(query);
+  if (isEmptyQuery(parsed)) return null;
+
+  const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const alternatives = [
+    // Phrases first so they win over their single words
+    ...parsed.phrases.map((phrase) =>
+      phrase.map(escape).join("[^\\p{L}\\p{N}]+")
+    ),
+    ...parsed.terms.map((term) => `${escape(term)}[\\p{L}\\p{N}]*`),
+  ];
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})`, "giu");
+}
+
+// ============================================
+// FUZZY MATCHING
+// ============================================
+
+/**
+ * Score text against a query whose letters must appear in order, but not
+ * necessarily side by side ("npo" matches "New Post")
+ * Letters that follow each other or start a word score higher, and of two
+ * equal matches the shorter text wins
+ * @param {string} query - Typed letters; spaces are ignored
+ * @param {string} text - Text to match, such as a post title
+ * @returns {number} Score above 0, or 0 if the text does not match
+ */
+function fuzzyScore(query, text) {
+  const needle = String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, "");
+  const haystack = String(text || "").toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return 0;
+
+    score += 1;
+    if (index === previous + 1) {
+      score += FUZZY_ADJACENT_BONUS;
+    }
+    if (index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1])) {
+      score += FUZZY_WORD_START_BONUS;
+    }
+    previous = index;
+    position = index + char.length;
+  }
+
+  return score + 1 / (haystack.length + 1);
+}
@@ -0,0 +1,217 @@
+// Personal Blog Platform - Statistics
+// Figures and SVG bar charts for the stats dashboard, computed locally
+// from the stored posts. Like templates.js, nothing here touches the DOM.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const STATS_DAYS = 30; // Days shown in the views chart
+const STATS_MONTHS = 12; // Months shown in the posting frequency chart
+const TOP_POSTS_LIMIT = 5; // Posts in each top list
+const CHART_WIDTH = 600; // SVG user units; charts scale to their container
+const CHART_HEIGHT = 160;
+const CHART_LABEL_HEIGHT = 20; // Room below the bars for axis labels
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Get the local calendar day of a time, used to key daily counts
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Day key, e.g. "2025-11-08"
+ */
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the local calendar month of a time
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Month key, e.g. "2025-11"
+ */
+function getMonthKey(timestamp) {
+  return getDayKey(timestamp).slice(0, 7);
+}
+
+/**
+ * List the last few days, oldest first
+ * @param {number} count - Number of days, including today
+ * @param {number} now - Current time
+ * @returns {string[]} Day keys
+ */
+function getRecentDays(count, now = Date.now()) {
+  const today = new Date(now);
+  // Stepping calendar dates (not 24h) keeps days right across DST changes
+  return Array.from({ length: count }, (_, i) =>
+    getDayKey(
+      new Date(
+        today.getFullYear(),
+        today.getMonth(),
+        today.getDate() - (count - 1 - i)
+      ).getTime()
+    )
+  );
+}
+
+/**
+ * List the last few months, oldest first
+ * @param {number} count - Number of months, including this one
+ * @param {number} now - Current time
+ * @returns {string[]} Month keys
+ */
+function getRecentMonths(count, now = Date.now()) {
+  const today = new Date(now);
+  return Array.from({ length: count }, (_, i) =>
+    getMonthKey(
+      new Date(
+        today.getFullYear(),
+        today.getMonth() - (count - 1 - i),
+        1
+      ).getTime()
+    )
+  );
+}
+
+/**
+ * Format a day or month key for chart labels in the current language
+ * @param {string} key - Day key ("2025-11-08") or month key ("2025-11")
+ * @returns {string} Label, e.g. "Nov 8" or "Nov 2025"
+ */
+function formatPeriodKey(key) {
+  const [year, month, day = 1] = key.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  return key.length === 7
+    ? date.toLocaleDateString(getLocale(), { month: "short", year: "numeric" })
+    : date.toLocaleDateString(getLocale(), { month: "short", day: "numeric" });
+}
+
+// ============================================
+// FIGURES
+// ============================================
+
+/**
+ * Add up the views of all posts per day
+ * Views counted before daily history was kept have no day and are left out
+ * @param {Object[]} allPosts - Posts
+ * @param {string[]} days - Day keys to count
+ * @returns {{key: string, count: number}[]} Views per day
+ */
+function getViewsPerDay(allPosts, days) {
+  const totals = new Map(days.map((day) => [day, 0]));
+  allPosts.forEach((post) => {
+    Object.entries(post.viewsByDay || {}).forEach(([day, count]) => {
+      if (totals.has(day)) {
+        totals.set(day, totals.get(day) + count);
+      }
+    });
+  });
+  return days.map((key) => ({ key, count: totals.get(key) }));
+}
+
+/**
+ * Count the posts written per month
+ * @param {Object[]} allPosts - Posts
+ * @param {string[]} months - Month keys to count
+ * @returns {{key: string, count: number}[]} Posts per month
+ */
+function getPostsPerMonth(allPosts, months) {
+  const totals = new Map(months.map((month) => [month, 0]));
+  allPosts.forEach((post) => {
+    const month = getMonthKey(post.createdAt);
+    if (totals.has(month)) {
+      totals.set(month, totals.get(month) + 1);
+    }
+  });
+  return months.map((key) => ({ key, count: totals.get(key) }));
+}
+
+/**
+ * Pick the highest-scoring posts
+ * @param {Object[]} allPosts - Posts
+ * @param {function(Object): number} score - Score of a post; 0 leaves it out
+ * @param {number} limit - Most posts returned
+ * @returns {{post: Object, score: number}[]} Best first
+ */
+function getTopPosts(allPosts, score, limit = TOP_POSTS_LIMIT) {
+  return allPosts
+    .map((post) => ({ post, score: score(post) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.post.createdAt - a.post.createdAt)
+    .slice(0, limit);
+}
+
+/**
+ * Add up a list of counts
+ * @param {{count: number}[]} points - Counts
+ * @returns {number} Sum
+ */
+function sumCounts(points) {
+  return points.reduce((sum, point) => sum + point.count, 0);
+}
+
+// ============================================
+// CHARTS
+// ============================================
+
+/**
+ * Generate a bar chart as inline SVG
+ * Each bar has a tooltip; the first, middle and last bars are labelled.
+ * Bars are scaled to the highest count.
+ * @param {{key: string, count: number}[]} points - Bars, left to right
+ * @param {Object} options - Chart options
+ * @param {string} options.label - Accessible description of the chart
+ * @param {string} options.unit - Message key counting the unit in tooltips,
+ *   e.g. 'count.views'
+ * @returns {string} SVG string
+ */
+function generateBarChart(points, { label, unit }) {
+  const max = Math.max(1, ...points.map((point) => point.count));
+  const slot = CHART_WIDTH / points.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const last = points.length - 1;
+  const labelled = new Set([0, Math.floor(points.length / 2), last]);
+
+  const bars = points
+    .map((point, i) => {
+      const height = (point.count / max) * (CHART_HEIGHT - CHART_LABEL_HEIGHT);
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = CHART_HEIGHT - CHART_LABEL_HEIGHT - height;
+      const text = `${formatPeriodKey(point.key)}: ${t(unit, {
+        count: point.count,
+      })}`;
+      // Edge labels are anchored inwards so they aren't cut off
+      const anchor = i === 0 ? "start" : i === last ? "end" : "middle";
+      const labelX =
+        anchor === "start"
+          ? x
+          : anchor === "end"
+          ? x + barWidth
+          : x + barWidth / 2;
+      const axisLabel = labelled.has(i)
+        ? `<text class="chart-label" x="${labelX}" y="${
+            CHART_HEIGHT - 4
+          }" text-anchor="${anchor}">${escapeHTML(
+            formatPeriodKey(point.key)
+          )}</text>`
+        : "";
+      return `<rect class="chart-bar" x="${x}" y="${y}" width="${barWidth}" height="${height}"><title>${escapeHTML(
+        text
+      )}</title></rect>${axisLabel}`;
+    })
+    .join("");
+
+  return `<svg class="bar-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHTML(
+    label
+  )}">
+        <line class="chart-axis" x1="0" y1="${
+          CHART_HEIGHT - CHART_LABEL_HEIGHT
+        }" x2="${CHART_WIDTH}" y2="${
+    CHART_HEIGHT - CHART_LABEL_HEIGHT
+  }"></line>${bars}
+    </svg>`;
+}
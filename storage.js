@@ -0,0 +1,331 @@
+// Personal Blog Platform - Storage Adapters
+// One async interface for persisting posts and their images, with
+// IndexedDB, localStorage and in-memory implementations
+
+/**
+ * @typedef {Object} StoredImage
+ * @property {string} id - Image id, used in post content as image:<id>
+ * @property {string} postId - Post the image belongs to
+ * @property {Blob} blob - Compressed image data
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Adapter name, e.g. 'indexedDB'
+ * @property {function(): Promise<Object[]>} getAll - Read every stored post
+ * @property {function(Object): Promise<void>} put - Insert or replace one post
+ * @property {function(string): Promise<void>} remove - Delete one post by id
+ * @property {function(Object[]): Promise<void>} replaceAll - Swap every stored post at once
+ * @property {function(string): Promise<StoredImage|undefined>} getImage - Read one image by id
+ * @property {function(StoredImage): Promise<void>} putImage - Insert or replace one image
+ * @property {function(string): Promise<void>} removeImages - Delete every image of a post
+ * @property {function(): Promise<string[]>} getImagePostIds - Ids of the posts that have images
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const IDB_NAME = "personalBlog"; // IndexedDB database name
+const IDB_VERSION = 2; // Bump with an upgrade step when stores change
+const IDB_POSTS_STORE = "posts"; // Object store keyed by post id
+const IDB_IMAGES_STORE = "images"; // Object store keyed by image id, indexed by postId
+
+// ============================================
+// IN-MEMORY ADAPTER
+// ============================================
+
+/**
+ * Create an adapter that keeps posts in memory (nothing survives a reload)
+ * Records are copied in and out, as a real store would
+ * @param {Object[]} initialPosts - Posts to start with
+ * @returns {StorageAdapter} Adapter
+ */
+function createMemoryAdapter(initialPosts = []) {
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  const records = new Map(initialPosts.map((post) => [post.id, copy(post)]));
+  const images = new Map(); // Blobs can't change, so images aren't copied
+
+  return {
+    name: "memory",
+    getAll: async () => [...records.values()].map(copy),
+    put: async (post) => {
+      records.set(post.id, copy(post));
+    },
+    remove: async (id) => {
+      records.delete(id);
+    },
+    replaceAll: async (allPosts) => {
+      records.clear();
+      allPosts.forEach((post) => records.set(post.id, copy(post)));
+    },
+    getImage: async (id) => images.get(id),
+    putImage: async (image) => {
+      images.set(image.id, { ...image });
+    },
+    removeImages: async (postId) => {
+      images.forEach((image, id) => {
+        if (image.postId === postId) images.delete(id);
+      });
+    },
+    getImagePostIds: async () => [
+      ...new Set([...images.values()].map((image) => image.postId)),
+    ],
+  };
+}
+
+// ============================================
+// LOCALSTORAGE ADAPTER
+// ============================================
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Data
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Turn a base64 data URL back into a blob
+ * @param {string} dataUrl - data: URL written by blobToDataUrl
+ * @returns {Blob} Data
+ */
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(",");
+  const type = header.slice("data:".length).split(";")[0];
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Create an adapter that keeps every post in one localStorage entry
+ * localStorage only stores strings, so each write rewrites the whole
+ * array; it is the fallback for browsers without IndexedDB. Images are
+ * kept as data URLs in a second entry, which fills the quota quickly.
+ * @param {string} key - localStorage key
+ * @returns {StorageAdapter} Adapter
+ */
+function createLocalStorageAdapter(key) {
+  const imagesKey = `${key}Images`;
+  const read = () => {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : [];
+  };
+  const write = (allPosts) => {
+    localStorage.setItem(key, JSON.stringify(allPosts));
+  };
+  const readImages = () => JSON.parse(localStorage.getItem(imagesKey)) || {};
+  const writeImages = (images) => {
+    localStorage.setItem(imagesKey, JSON.stringify(images));
+  };
+
+  return {
+    name: "localStorage",
+    getAll: async () => read(),
+    put: async (post) => {
+      const allPosts = read();
+      const index = allPosts.findIndex((stored) => stored.id === post.id);
+      if (index === -1) {
+        allPosts.unshift(post);
+      } else {
+        allPosts[index] = post;
+      }
+      write(allPosts);
+    },
+    remove: async (id) => {
+      write(read().filter((stored) => stored.id !== id));
+    },
+    replaceAll: async (allPosts) => {
+      write(allPosts);
+    },
+    getImage: async (id) => {
+      const stored = readImages()[id];
+      if (!stored) return undefined;
+      const { dataUrl, ...image } = stored;
+      return { ...image, blob: dataUrlToBlob(dataUrl) };
+    },
+    putImage: async ({ blob, ...image }) => {
+      const dataUrl = await blobToDataUrl(blob);
+      writeImages({ ...readImages(), [image.id]: { ...image, dataUrl } });
+    },
+    removeImages: async (postId) => {
+      const images = readImages();
+      Object.keys(images).forEach((id) => {
+        if (images[id].postId === postId) delete images[id];
+      });
+      writeImages(images);
+    },
+    getImagePostIds: async () => [
+      ...new Set(Object.values(readImages()).map((image) => image.postId)),
+    ],
+  };
+}
+
+// ============================================
+// INDEXEDDB ADAPTER
+// ============================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create an adapter that stores one IndexedDB record per post and per image
+ * @param {Object} options - Database options
+ * @param {string} options.dbName - Database name
+ * @returns {StorageAdapter} Adapter
+ */
+function createIndexedDBAdapter({ dbName = IDB_NAME } = {}) {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_POSTS_STORE)) {
+          db.createObjectStore(IDB_POSTS_STORE, { keyPath: "id" });
+        }
+        // Version 2: images, found by the post they belong to
+        if (!db.objectStoreNames.contains(IDB_IMAGES_STORE)) {
+          db.createObjectStore(IDB_IMAGES_STORE, {
+            keyPath: "id",
+          }).createIndex("postId", "postId");
+        }
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  // Run work in one transaction on one store; resolves once it has committed
+  const transact = async (mode, work, storeName = IDB_POSTS_STORE) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result && result.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+  };
+
+  return {
+    name: "indexedDB",
+    getAll: () => transact("readonly", (store) => store.getAll()),
+    put: (post) => transact("readwrite", (store) => store.put(post)),
+    remove: (id) => transact("readwrite", (store) => store.delete(id)),
+    replaceAll: (allPosts) =>
+      transact("readwrite", (store) => {
+        store.clear();
+        allPosts.forEach((post) => store.put(post));
+      }),
+    getImage: (id) =>
+      transact("readonly", (store) => store.get(id), IDB_IMAGES_STORE),
+    putImage: (image) =>
+      transact("readwrite", (store) => store.put(image), IDB_IMAGES_STORE),
+    removeImages: (postId) =>
+      transact(
+        "readwrite",
+        (store) => {
+          const request = store
+            .index("postId")
+            .openKeyCursor(IDBKeyRange.only(postId));
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+              store.delete(cursor.primaryKey);
+              cursor.continue();
+            }
+          };
+        },
+        IDB_IMAGES_STORE
+      ),
+    getImagePostIds: () =>
+      transact(
+        "readonly",
+        (store) => {
+          // Walk the index's distinct keys; the array fills in as it goes
+          const postIds = [];
+          const request = store
+            .index("postId")
+            .openKeyCursor(null, "nextunique");
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+              postIds.push(cursor.key);
+              cursor.continue();
+            }
+          };
+          return { result: postIds };
+        },
+        IDB_IMAGES_STORE
+      ),
+  };
+}
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Open the best available storage for posts
+ * Uses IndexedDB when possible, moving any posts still saved under the
+ * old localStorage key into it first; otherwise falls back to localStorage
+ * @param {string} legacyKey - localStorage key posts used to be saved under
+ * @returns {Promise<StorageAdapter>} Ready-to-use adapter
+ */
+async function openPostStorage(legacyKey) {
+  if (typeof indexedDB === "undefined") {
+    return createLocalStorageAdapter(legacyKey);
+  }
+
+  try {
+    const adapter = createIndexedDBAdapter();
+    await migrateLocalStoragePosts(legacyKey, adapter);
+    return adapter;
+  } catch (error) {
+    console.error("IndexedDB unavailable, using localStorage:", error);
+    return createLocalStorageAdapter(legacyKey);
+  }
+}
+
+/**
+ * Move posts from localStorage into another adapter
+ * The localStorage copy is removed only after every post is written,
+ * so a failed migration is simply retried on the next load
+ * @param {string} key - localStorage key holding the posts array
+ * @param {StorageAdapter} target - Adapter to move the posts into
+ * @returns {Promise<number>} Number of posts moved
+ */
+async function migrateLocalStoragePosts(key, target) {
+  const legacyPosts = await createLocalStorageAdapter(key).getAll();
+
+  if (legacyPosts.length > 0) {
+    // Posts already in the target win; they were written after migration
+    const existing = await target.getAll();
+    const existingIds = new Set(existing.map((post) => post.id));
+    const missing = legacyPosts.filter((post) => !existingIds.has(post.id));
+    await Promise.all(missing.map((post) => target.put(post)));
+  }
+
+  localStorage.removeItem(key);
+  return legacyPosts.length;
+}
@@ -0,0 +1,442 @@
+// Personal Blog Platform - Sync Client
+// Optional mirroring of post changes to a REST server (see
+// tools/sync-server.js). Changes are queued, so they survive going
+// offline or closing the tab, and replayed in order once reachable.
+//
+// Conflicts are detected with per-record version numbers: every write
+// says which server version it was based on, and the server refuses
+// (409) writes based on an old version. The client then merges the
+// two copies: the most recently updated edit wins, both edits are kept
+// in the revision history, comments from both sides are kept, and
+// ratings/views always come from the server, which applies them one at
+// a time (a rater's new rating replaces their old one; views add up)
+// rather than overwriting the list.
+
+// ============================================
+// CONSTANTS & STATE
+// ============================================
+
+const SYNC_SETTINGS_KEY = "personalBlogSync"; // localStorage key for settings
+const SYNC_QUEUE_KEY = "personalBlogSyncQueue"; // localStorage key for the queue
+const SYNC_PULL_INTERVAL_MS = 30000; // How often the server is polled
+
+let syncEndpoint = ""; // Base URL of the REST API ('' = sync off)
+let syncQueue = []; // Pending operations, oldest first
+let syncInProgress = false; // True while the queue is being sent
+let syncTimer = null; // Interval id of the periodic pull
+
+// Callbacks into the app, set with setSyncHandlers
+let syncHandlers = {
+  getPost: () => null, // (id) => local post or null
+  getAllPosts: () => [], // () => every local post
+  applyRemotePost: () => {}, // (record) => store a server record locally
+  onStatusChange: () => {}, // (status, queueLength) => update the UI
+};
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Connect the sync client to the app
+ * @param {Object} handlers - Callbacks (see syncHandlers)
+ */
+function setSyncHandlers(handlers) {
+  syncHandlers = { ...syncHandlers, ...handlers };
+}
+
+/**
+ * Load settings and the saved queue, then start syncing if configured
+ */
+function startSync() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY));
+    syncEndpoint = (settings && settings.endpoint) || "";
+    syncQueue = JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY)) || [];
+  } catch (error) {
+    console.error("Error loading sync settings:", error);
+    syncQueue = [];
+  }
+
+  window.addEventListener("online", () => syncNow());
+  window.addEventListener("storage", handleSyncStorageChange);
+  window.addEventListener("offline", () => setSyncStatus("offline"));
+
+  if (syncEndpoint) {
+    syncNow();
+    syncTimer = setInterval(syncNow, SYNC_PULL_INTERVAL_MS);
+  } else {
+    setSyncStatus("off");
+  }
+}
+
+/**
+ * Turn sync on with a server URL, or off with ''
+ * Turning it on uploads every post the server hasn't seen yet
+ * @param {string} endpoint - Base URL of the API, e.g. http://localhost:8787/api
+ */
+function configureSync(endpoint) {
+  syncEndpoint = endpoint.trim().replace(/\/+$/, "");
+  localStorage.setItem(
+    SYNC_SETTINGS_KEY,
+    JSON.stringify({ endpoint: syncEndpoint })
+  );
+
+  clearInterval(syncTimer);
+  syncTimer = null;
+
+  if (!syncEndpoint) {
+    syncQueue = [];
+    saveSyncQueue();
+    setSyncStatus("off");
+    return;
+  }
+
+  syncNow();
+  syncTimer = setInterval(syncNow, SYNC_PULL_INTERVAL_MS);
+}
+
+/**
+ * Follow sync being turned on or off in another tab
+ * The queue itself stays per tab; each tab sends what it queued
+ * @param {StorageEvent} e - Storage event
+ */
+function handleSyncStorageChange(e) {
+  if (e.key !== SYNC_SETTINGS_KEY) return;
+
+  const settings = JSON.parse(e.newValue || "{}");
+  const endpoint = (settings && settings.endpoint) || "";
+  if (endpoint !== syncEndpoint) {
+    configureSync(endpoint);
+  }
+}
+
+/**
+ * Get the configured server URL
+ * @returns {string} Base URL ('' when sync is off)
+ */
+function getSyncEndpoint() {
+  return syncEndpoint;
+}
+
+// ============================================
+// QUEUE FUNCTIONS
+// ============================================
+
+/**
+ * Persist the queue so it survives reloads
+ */
+function saveSyncQueue() {
+  try {
+    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(syncQueue));
+  } catch (error) {
+    console.error("Error saving sync queue:", error);
+  }
+}
+
+/**
+ * Queue a change for the server and try to send it
+ * Operations: {type: 'put', id}, {type: 'delete', id, baseVersion},
+ * {type: 'rate', id, rating: {raterId, rating, ratedAt}},
+ * {type: 'unrate', id, raterId} and {type: 'view', id, count, day}
+ * @param {Object} op - Operation
+ */
+function queueSyncOperation(op) {
+  if (!syncEndpoint) return;
+
+  if (op.type === "put") {
+    // A put sends the post as it is when sent, so one per post is enough
+    if (
+      syncQueue.some((queued) => queued.type === "put" && queued.id === op.id)
+    ) {
+      return;
+    }
+    syncQueue.push(op);
+  } else if (op.type === "delete") {
+    // Nothing else about a deleted post needs sending
+    syncQueue = syncQueue.filter((queued) => queued.id !== op.id);
+    if (op.baseVersion > 0) {
+      syncQueue.push(op);
+    }
+  } else if (op.type === "view") {
+    // Back-to-back views of one post on one day travel as one increment
+    const last = syncQueue[syncQueue.length - 1];
+    if (
+      last &&
+      last.type === "view" &&
+      last.id === op.id &&
+      last.day === op.day
+    ) {
+      last.count += op.count;
+    } else {
+      syncQueue.push(op);
+    }
+  } else {
+    syncQueue.push(op);
+  }
+
+  saveSyncQueue();
+  flushSyncQueue();
+}
+
+/**
+ * Check whether a post has an unsent edit
+ * @param {string} id - Post ID
+ * @returns {boolean} True if a put is queued
+ */
+function hasPendingPut(id) {
+  return syncQueue.some((op) => op.type === "put" && op.id === id);
+}
+
+// ============================================
+// SERVER REQUESTS
+// ============================================
+
+/**
+ * Send a request to the sync server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint, e.g. /posts/abc
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, data: Object}>} Response
+ */
+async function syncRequest(method, path, body) {
+  const response = await fetch(`${syncEndpoint}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+/**
+ * Send one queued operation
+ * Resolves with the server record to apply (or null); throws when the
+ * server can't be reached so the operation stays queued
+ * @param {Object} op - Operation
+ * @returns {Promise<Object|null>} Server record
+ */
+async function sendSyncOperation(op) {
+  const path = `/posts/${encodeURIComponent(op.id)}`;
+
+  if (op.type === "put") {
+    const local = syncHandlers.getPost(op.id);
+    if (!local) return null; // Deleted before it was sent
+
+    let record = local;
+    let baseVersion = local.version;
+    // Each conflict is merged and retried against the newer version
+    for (;;) {
+      const { status, data } = await syncRequest("PUT", path, {
+        post: record,
+        baseVersion,
+      });
+      if (status !== 409) return checkSyncResponse(status, data);
+      // No server copy means our version came from elsewhere (an import)
+      record = data.post ? mergeConflict(record, data.post) : record;
+      baseVersion = data.post ? data.post.version : 0;
+    }
+  }
+
+  if (op.type === "delete") {
+    const { status, data } = await syncRequest("DELETE", path, {
+      baseVersion: op.baseVersion,
+    });
+    // Someone edited the post since we saw it: edits beat deletes
+    if (status === 409) return data.post;
+    return status === 404 ? null : checkSyncResponse(status, data);
+  }
+
+  const action =
+    op.type === "rate"
+      ? { method: "POST", suffix: "/ratings", body: { rating: op.rating } }
+      : op.type === "unrate"
+      ? { method: "DELETE", suffix: "/ratings", body: { raterId: op.raterId } }
+      : {
+          method: "POST",
+          suffix: "/views",
+          body: { count: op.count, day: op.day },
+        };
+  const { status, data } = await syncRequest(
+    action.method,
+    `${path}${action.suffix}`,
+    action.body
+  );
+  // A post deleted on the server can't be rated or viewed
+  return status === 404 ? null : checkSyncResponse(status, data);
+}
+
+/**
+ * Turn a response into its post record
+ * Server errors throw so the operation is retried later; rejected
+ * requests are logged and dropped so they can't block the queue
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ * @returns {Object|null} Server record
+ */
+function checkSyncResponse(status, data) {
+  if (status >= 500) {
+    throw new Error(`Sync server error ${status}`);
+  }
+  if (status >= 400) {
+    console.error(`Sync request rejected (${status}):`, data.error);
+    return null;
+  }
+  return data.post || null;
+}
+
+/**
+ * Merge a local post with the server copy it conflicts with
+ * @param {Object} local - Local post
+ * @param {Object} remote - Server record (may be a deletion marker)
+ * @returns {Object} Post to send
+ */
+function mergeConflict(local, remote) {
+  if (remote.deleted) {
+    return local; // Edits beat deletes
+  }
+
+  const winner = local.updatedAt >= remote.updatedAt ? local : remote;
+  const revisions = new Map();
+  [...remote.revisions, ...local.revisions].forEach((revision) =>
+    revisions.set(revision.id, revision)
+  );
+
+  // Comments are kept from both sides, preferring each one's latest change
+  const comments = new Map();
+  [...(remote.comments || []), ...(local.comments || [])].forEach((comment) => {
+    const known = comments.get(comment.id);
+    if (!known || comment.updatedAt > known.updatedAt) {
+      comments.set(comment.id, comment);
+    }
+  });
+
+  return {
+    ...winner,
+    views: remote.views,
+    viewsByDay: remote.viewsByDay,
+    ratings: remote.ratings,
+    revisions: [...revisions.values()].sort((a, b) => a.savedAt - b.savedAt),
+    comments: [...comments.values()],
+  };
+}
+
+/**
+ * Store a server record locally without losing unsent edits
+ * @param {Object} remote - Server record
+ */
+function acceptRemoteRecord(remote) {
+  const local = syncHandlers.getPost(remote.id);
+
+  if (local && hasPendingPut(remote.id)) {
+    // Keep the newer local text; take the server's version and counters
+    syncHandlers.applyRemotePost({
+      ...local,
+      version: remote.deleted ? local.version : remote.version,
+      views: remote.deleted ? local.views : remote.views,
+      viewsByDay: remote.deleted ? local.viewsByDay : remote.viewsByDay,
+      ratings: remote.deleted ? local.ratings : remote.ratings,
+    });
+  } else {
+    syncHandlers.applyRemotePost(remote);
+  }
+}
+
+// ============================================
+// SYNC LOOP
+// ============================================
+
+/**
+ * Report the sync state to the app
+ * @param {string} status - 'off', 'syncing', 'synced', 'offline' or 'error'
+ */
+function setSyncStatus(status) {
+  syncHandlers.onStatusChange(status, syncQueue.length);
+}
+
+/**
+ * Send queued operations in order until the queue is empty
+ * Stops at the first network failure and leaves the rest queued
+ * @returns {Promise<void>} Resolves when done
+ */
+async function flushSyncQueue() {
+  if (!syncEndpoint || syncInProgress) return;
+  if (!navigator.onLine) {
+    setSyncStatus("offline");
+    return;
+  }
+
+  syncInProgress = true;
+  setSyncStatus("syncing");
+
+  try {
+    while (syncQueue.length > 0) {
+      const op = syncQueue[0];
+      const record = await sendSyncOperation(op);
+      // Drop the op before applying, so the reply isn't treated as pending
+      syncQueue.shift();
+      saveSyncQueue();
+      if (record) {
+        acceptRemoteRecord(record);
+      }
+    }
+    setSyncStatus("synced");
+  } catch (error) {
+    console.error("Sync failed, will retry:", error);
+    setSyncStatus(navigator.onLine ? "error" : "offline");
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Fetch every server record, apply newer ones and upload unsynced posts
+ * @returns {Promise<void>} Resolves when done
+ */
+async function pullRemotePosts() {
+  const { status, data } = await syncRequest("GET", "/posts");
+  if (status !== 200 || !Array.isArray(data.posts)) {
+    throw new Error(`Sync server error ${status}`);
+  }
+
+  const known = new Set();
+  data.posts.forEach((remote) => {
+    known.add(remote.id);
+    const local = syncHandlers.getPost(remote.id);
+    const localVersion = local ? local.version : 0;
+    if (remote.version > localVersion && !hasPendingPut(remote.id)) {
+      syncHandlers.applyRemotePost(remote);
+    }
+  });
+
+  // Posts the server has never seen are uploaded
+  syncHandlers.getAllPosts().forEach((post) => {
+    if (!known.has(post.id)) {
+      queueSyncOperation({ type: "put", id: post.id });
+    }
+  });
+}
+
+/**
+ * Pull from the server, then send anything queued
+ * @returns {Promise<void>} Resolves when done
+ */
+async function syncNow() {
+  if (!syncEndpoint) return;
+  if (!navigator.onLine) {
+    setSyncStatus("offline");
+    return;
+  }
+
+  try {
+    await pullRemotePosts();
+  } catch (error) {
+    console.error("Sync pull failed, will retry:", error);
+    setSyncStatus("error");
+    return;
+  }
+  await flushSyncQueue();
+  if (syncQueue.length === 0 && !syncInProgress) {
+    setSyncStatus("synced");
+  }
+}
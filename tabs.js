@@ -0,0 +1,56 @@
+// Personal Blog Platform - Cross-Tab Messaging
+// Lets every open tab of the app tell the others about saved changes,
+// so each can update its in-memory posts instead of overwriting them.
+// Uses BroadcastChannel where available and the storage event otherwise.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const TAB_CHANNEL_NAME = "personalBlog"; // BroadcastChannel name
+const TAB_MESSAGE_KEY = "personalBlogTabMessage"; // localStorage key for the fallback
+
+// ============================================
+// CHANNEL
+// ============================================
+
+/**
+ * Open a channel to the app's other tabs
+ * Messages are never delivered back to the tab that sent them
+ * @param {function(Object): void} onMessage - Called with each message received
+ * @returns {{post: function(Object): void, close: function(): void}} Channel
+ */
+function openTabChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(TAB_CHANNEL_NAME);
+    channel.addEventListener("message", (e) => onMessage(e.data));
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  // The storage event fires in every other tab when a key changes
+  const handleStorage = (e) => {
+    if (e.key === TAB_MESSAGE_KEY && e.newValue) {
+      onMessage(JSON.parse(e.newValue).message);
+    }
+  };
+  window.addEventListener("storage", handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes repeated identical messages still count as changes
+        localStorage.setItem(
+          TAB_MESSAGE_KEY,
+          JSON.stringify({ message, nonce: Math.random() })
+        );
+        localStorage.removeItem(TAB_MESSAGE_KEY);
+      } catch (error) {
+        console.error("Error messaging other tabs:", error);
+      }
+    },
+    close: () => window.removeEventListener("storage", handleStorage),
+  };
+}
@@ -0,0 +1,723 @@
+// Personal Blog Platform - Post Templates
+// HTML for post cards and the post detail view. Shared by the app
+// (script.js) and the static site generator (tools/build-site.js),
+// so these functions must not touch the DOM.
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const WORDS_PER_MINUTE = 200; // Reading speed for reading-time estimates
+const EXCERPT_LENGTH = 200; // Longest card excerpt, in characters
+const LONG_POST_WORDS = 400; // Posts this long get a table of contents
+const TOC_MIN_HEADINGS = 2; // Fewer headings aren't worth a table of contents
+const HEADING_TAG_PATTERN = /<h([1-6]) id="([^"]+)">([\s\S]*?)<\/h\1>/g;
+const SENTENCE_PATTERN = /[^.!?…]+(?:[.!?…]+["'”’)\]]*\s*|$)/g; // Fallback splitter
+
+// Splits text at sentence boundaries where the browser or Node supports it
+const sentenceSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter("en", { granularity: "sentence" })
+    : null;
+
+// ============================================
+// FORMAT HELPERS
+// ============================================
+
+/**
+ * Format timestamp to readable date in the current language
+ * @param {number} timestamp - Unix timestamp
+ * @returns {string} Formatted date string
+ */
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const options = {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  };
+  return date.toLocaleDateString(getLocale(), options);
+}
+
+/**
+ * Generate a date element: relative ("3 hours ago") in the app, which keeps
+ * it current, and absolute on static pages, which would go stale
+ * @param {number} timestamp - Unix timestamp
+ * @param {boolean} relative - Show the time relative to now
+ * @returns {string} HTML string
+ */
+function generateTime(timestamp, relative) {
+  const datetime = new Date(timestamp).toISOString();
+  return relative
+    ? `<time datetime="${datetime}" title="${formatDate(
+        timestamp
+      )}" data-relative>${formatRelativeTime(timestamp)}</time>`
+    : `<time datetime="${datetime}">${formatDate(timestamp)}</time>`;
+}
+
+/**
+ * Get the CSS class for a post's content container
+ * @param {Object} post - Post object
+ * @returns {string} Class name for the content format
+ */
+function getContentFormatClass(post) {
+  return post.format === "plain" ? "plain-text" : "markdown-body";
+}
+
+// ============================================
+// RATING HELPERS
+// ============================================
+
+/**
+ * Calculate average rating for a post
+ * @param {Object} post - Post object
+ * @returns {number} Average rating (0 if no ratings)
+ */
+function getAverageRating(post) {
+  if (!post.ratings || post.ratings.length === 0) {
+    return 0;
+  }
+
+  const sum = post.ratings.reduce((acc, entry) => acc + entry.rating, 0);
+  return (sum / post.ratings.length).toFixed(1);
+}
+
+/**
+ * Turn legacy ratings (bare numbers) into rating records
+ * Each legacy rating gets its own anonymous rater so none are merged
+ * @param {Array<number|Object>} ratings - Stored ratings
+ * @param {number} ratedAt - Time to record for legacy ratings
+ * @returns {Object[]} Records of { raterId, rating, ratedAt }
+ */
+function migrateRatings(ratings, ratedAt) {
+  return ratings.map((entry, index) =>
+    typeof entry === "number"
+      ? { raterId: `legacy-${index}`, rating: entry, ratedAt }
+      : entry
+  );
+}
+
+/**
+ * Count a post's ratings per star value
+ * @param {Object} post - Post object
+ * @returns {number[]} Counts indexed by star value (index 0 unused)
+ */
+function getRatingDistribution(post) {
+  const counts = [0, 0, 0, 0, 0, 0];
+  (post.ratings || []).forEach((entry) => counts[entry.rating]++);
+  return counts;
+}
+
+/**
+ * Get rating count for a post
+ * @param {Object} post - Post object
+ * @returns {number} Number of ratings
+ */
+function getRatingCount(post) {
+  return post.ratings ? post.ratings.length : 0;
+}
+
+/**
+ * Get the number of comments on a post, not counting deleted ones
+ * @param {Object} post - Post object
+ * @returns {number} Number of comments
+ */
+function getCommentCount(post) {
+  return post.comments
+    ? post.comments.filter((comment) => !comment.deleted).length
+    : 0;
+}
+
+/**
+ * Generate star HTML for display
+ * @param {number} rating - Average rating
+ * @returns {string} HTML string with stars
+ */
+function generateStarDisplay(rating) {
+  const fullStars = Math.floor(rating);
+  const hasHalfStar = rating % 1 >= 0.5;
+  let html = "";
+
+  for (let i = 0; i < 5; i++) {
+    if (i < fullStars) {
+      html += '<span class="star filled">★</span>';
+    } else if (i === fullStars && hasHalfStar) {
+      html += '<span class="star half">★</span>';
+    } else {
+      html += '<span class="star empty">☆</span>';
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Generate the stars and rating summary for a post
+ * @param {Object} post - Post object
+ * @returns {string} HTML string
+ */
+function generateRatingSummary(post) {
+  const avgRating = getAverageRating(post);
+  const ratingCount = getRatingCount(post);
+
+  return `
+            <div class="post-rating-display">
+                <div class="stars-display">${generateStarDisplay(
+                  avgRating
+                )}</div>
+                <span class="rating-info">${
+                  avgRating > 0 ? formatNumber(avgRating, 1) : t("rating.none")
+                } ${
+    ratingCount > 0 ? `(${t("rating.count", { count: ratingCount })})` : ""
+  }</span>
+            </div>`;
+}
+
+/**
+ * Generate the histogram of ratings per star shown in the detail view
+ * @param {Object} post - Post object
+ * @returns {string} HTML string ('' when the post has no ratings)
+ */
+function generateRatingHistogram(post) {
+  const ratingCount = getRatingCount(post);
+  if (ratingCount === 0) {
+    return "";
+  }
+
+  const counts = getRatingDistribution(post);
+  const rows = [5, 4, 3, 2, 1]
+    .map((stars) => {
+      const percent = Math.round((counts[stars] / ratingCount) * 100);
+      return `
+                <div class="histogram-row">
+                    <span class="histogram-label">${stars} ★</span>
+                    <span class="histogram-bar" role="img" aria-label="${t(
+                      "rating.histogramRow",
+                      {
+                        count: stars,
+                        ratings: counts[stars],
+                        total: ratingCount,
+                      }
+                    )}"><span class="histogram-fill" style="width: ${percent}%"></span></span>
+                    <span class="histogram-count">${counts[stars]}</span>
+                </div>`;
+    })
+    .join("");
+
+  return `
+            <div class="rating-histogram">${rows}
+            </div>`;
+}
+
+// ============================================
+// READING HELPERS
+// ============================================
+
+/**
+ * Split text into sentences, lazily
+ * @param {string} text - Plain text
+ * @returns {Iterable<string>} Sentences, each with its trailing space
+ */
+function* splitSentences(text) {
+  if (sentenceSegmenter) {
+    for (const { segment } of sentenceSegmenter.segment(text)) {
+      yield segment;
+    }
+    return;
+  }
+  for (const [sentence] of text.matchAll(SENTENCE_PATTERN)) {
+    if (sentence) yield sentence;
+  }
+}
+
+/**
+ * Cut text to whole sentences that fit in a length
+ * A first sentence that is already too long is cut at a word instead
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Longest excerpt
+ * @returns {{text: string, truncated: boolean}} Excerpt and whether text was cut
+ */
+function getExcerpt(text, maxLength = EXCERPT_LENGTH) {
+  if (text.length <= maxLength) {
+    return { text, truncated: false };
+  }
+
+  let excerpt = "";
+  for (const sentence of splitSentences(text)) {
+    if ((excerpt + sentence).trimEnd().length > maxLength) break;
+    excerpt += sentence;
+  }
+  excerpt = excerpt.trim();
+
+  if (!excerpt) {
+    const cut = text.slice(0, maxLength + 1);
+    const lastSpace = cut.lastIndexOf(" ");
+    excerpt = `${cut.slice(0, lastSpace > 0 ? lastSpace : maxLength)}…`;
+  }
+
+  return { text: excerpt, truncated: true };
+}
+
+/**
+ * Measure a post's rendered content for cards and the detail view
+ * @param {string} html - Content HTML from renderContent
+ * @returns {{words: number, minutes: number, excerpt: string, truncated: boolean,
+ *   headings: {level: number, id: string, text: string}[]}} Content summary
+ */
+function summarizeContent(html) {
+  const text = htmlToText(html);
+  const words = text ? text.split(" ").length : 0;
+  // Headings would run into the first sentence of the excerpt
+  const excerpt = getExcerpt(htmlToText(html.replace(HEADING_TAG_PATTERN, "")));
+
+  return {
+    words,
+    minutes: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)),
+    excerpt: excerpt.text,
+    truncated: excerpt.truncated,
+    headings: Array.from(html.matchAll(HEADING_TAG_PATTERN), (match) => ({
+      level: Number(match[1]),
+      id: match[2],
+      text: htmlToText(match[3]),
+    })),
+  };
+}
+
+/**
+ * Check whether a post is long enough for reading aids
+ * @param {Object} summary - From summarizeContent
+ * @returns {boolean} True for long posts
+ */
+function isLongPost(summary) {
+  return summary.words >= LONG_POST_WORDS;
+}
+
+// ============================================
+// AUTHOR HELPERS
+// ============================================
+
+/**
+ * Get the initials shown in an author's avatar
+ * @param {string} name - Author name
+ * @returns {string} First letters of the first and last word, e.g. "AL"
+ */
+function getInitials(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  const initials =
+    words.length > 1 ? [words[0], words[words.length - 1]] : words;
+  return initials
+    .map((word) => Array.from(word)[0])
+    .join("")
+    .toUpperCase();
+}
+
+/**
+ * Generate an author's avatar: their initials on their colour
+ * @param {Object} author - Author profile
+ * @param {string} className - Extra class, e.g. 'author-avatar-large'
+ * @returns {string} HTML string
+ */
+function generateAuthorAvatar(author, className = "") {
+  return `<span class="author-avatar${
+    className ? ` ${className}` : ""
+  }" style="background-color: ${escapeHTML(
+    author.color
+  )}" aria-hidden="true">${escapeHTML(getInitials(author.name))}</span>`;
+}
+
+/**
+ * Generate the byline shown in the card and detail meta rows
+ * In the app the name links to the author's page; static pages have none
+ * @param {Object|null} author - Author profile
+ * @param {Object|null} links - Static page links (see generatePostCardHTML)
+ * @returns {string} HTML string ('' for posts without a known author)
+ */
+function generateByline(author, links = null) {
+  if (!author) {
+    return "";
+  }
+
+  const name = links
+    ? `<span class="author-name">${escapeHTML(author.name)}</span>`
+    : `<a class="author-name" href="#${escapeHTML(
+        buildPath(["author", author.id])
+      )}">${escapeHTML(author.name)}</a>`;
+  return `<span class="post-author">${generateAuthorAvatar(
+    author
+  )}${name}</span>`;
+}
+
+// ============================================
+// BADGE & TAXONOMY HELPERS
+// ============================================
+
+/**
+ * Generate a post's cover image
+ * Like inline images, the src is filled in by the app once it has loaded
+ * @param {Object} post - Post object
+ * @param {string} className - Extra class, e.g. 'post-card-cover'
+ * @returns {string} HTML string ('' without a cover)
+ */
+function generateCoverImage(post, className) {
+  return post.coverImageId
+    ? `<img class="post-cover ${className}" data-image-id="${escapeHTML(
+        post.coverImageId
+      )}" alt="" loading="lazy">`
+    : "";
+}
+
+/**
+ * Generate the status badge shown on unpublished posts
+ * @param {Object} post - Post object
+ * @returns {string} HTML string ('' for published posts)
+ */
+function generateStatusBadge(post) {
+  if (post.status === "published") {
+    return "";
+  }
+
+  const label =
+    post.status === "scheduled"
+      ? t("status.scheduledFor", { date: formatDate(post.publishAt) })
+      : t(`status.${post.status}`);
+
+  return `<span class="status-badge status-${post.status}">${label}</span>`;
+}
+
+/**
+ * Generate the category badge and tag chips for a post
+ * In the app they are filter buttons; on static pages they are links
+ * @param {Object} post - Post object
+ * @param {Object|null} links - Static page links (see generatePostCardHTML)
+ * @returns {string} HTML string ('' if the post has neither)
+ */
+function generateTaxonomyDisplay(post, links = null) {
+  if (!post.category && post.tags.length === 0) {
+    return "";
+  }
+
+  let category = "";
+  if (post.category && !links) {
+    category = `<button type="button" class="category-badge" data-action="filter-category" data-category="${escapeHTML(
+      post.category
+    )}">${escapeHTML(post.category)}</button>`;
+  } else if (post.category) {
+    category = links.category
+      ? `<a class="category-badge" href="${escapeHTML(
+          links.category(post.category)
+        )}">${escapeHTML(post.category)}</a>`
+      : `<span class="category-badge">${escapeHTML(post.category)}</span>`;
+  }
+
+  const tags = post.tags
+    .map((tag) =>
+      links
+        ? `<a class="tag-chip" href="${escapeHTML(
+            links.tag(tag)
+          )}">#${escapeHTML(tag)}</a>`
+        : `<button type="button" class="tag-chip" data-action="filter-tag" data-tag="${escapeHTML(
+            tag
+          )}">#${escapeHTML(tag)}</button>`
+    )
+    .join("");
+
+  return `<div class="post-taxonomy">${category}${tags}</div>`;
+}
+
+/**
+ * Generate a "Publish now" button for posts that aren't live
+ * @param {Object} post - Post object
+ * @param {boolean} canManage - Whether the post may be changed here
+ * @returns {string} HTML string ('' for published posts)
+ */
+function generatePublishButton(post, canManage = true) {
+  if (post.status === "published" || !canManage) {
+    return "";
+  }
+  return `<button class="btn btn-publish btn-icon" data-action="publish" data-id="${
+    post.id
+  }">
+                    ${t("action.publishNow")}
+                </button>`;
+}
+
+/**
+ * Generate the edit and delete buttons of a post
+ * @param {Object} post - Post object
+ * @returns {string} HTML string
+ */
+function generateManageButtons(post) {
+  return `<button class="btn btn-edit btn-icon" data-action="edit" data-id="${
+    post.id
+  }">
+                    ${t("action.edit")}
+                </button>
+                <button class="btn btn-delete btn-icon" data-action="delete" data-id="${
+                  post.id
+                }">
+                    ${t("action.delete")}
+                </button>`;
+}
+
+// ============================================
+// POST TEMPLATES
+// ============================================
+
+/**
+ * Generate the view count shown on cards and the detail view
+ * @param {Object} post - Post object
+ * @returns {string} HTML string
+ */
+function generateViewCount(post) {
+  const viewCount = post.views || 0;
+  return `<span class="view-icon">👁</span>
+                    <span class="view-count">${t("post.views", {
+                      count: viewCount,
+                    })}</span>`;
+}
+
+/**
+ * Generate the reading time and word count shown on cards and the detail view
+ * @param {Object} summary - From summarizeContent
+ * @returns {string} HTML string
+ */
+function generateReadingTime(summary) {
+  return `<span class="reading-icon">⏱</span>
+                    <span class="reading-time">${t("post.minutesRead", {
+                      count: summary.minutes,
+                    })} · ${t("post.words", { count: summary.words })}</span>`;
+}
+
+/**
+ * Generate the table of contents for a long post's headings
+ * @param {Object} summary - From summarizeContent
+ * @param {boolean} interactive - Mark links for the app to scroll itself
+ * @returns {string} HTML string ('' for short posts or too few headings)
+ */
+function generateTableOfContents(summary, interactive) {
+  if (!isLongPost(summary) || summary.headings.length < TOC_MIN_HEADINGS) {
+    return "";
+  }
+
+  // Three levels below the top heading level are enough to navigate by
+  const topLevel = Math.min(...summary.headings.map((h) => h.level));
+  const items = summary.headings
+    .filter((heading) => heading.level <= topLevel + 2)
+    .map(
+      (heading) => `
+                <li class="toc-level-${
+                  heading.level - topLevel + 1
+                }"><a href="#${escapeHTML(heading.id)}"${
+        interactive
+          ? ` data-action="toc" data-target="${escapeHTML(heading.id)}"`
+          : ""
+      }>${escapeHTML(heading.text)}</a></li>`
+    )
+    .join("");
+
+  return `
+        <nav class="post-toc" aria-label="${t("toc.label")}">
+            <h3 class="post-toc-title">${t("toc.title")}</h3>
+            <ol class="post-toc-list">${items}
+            </ol>
+        </nav>`;
+}
+
+/**
+ * Generate the comment count shown on post cards
+ * @param {Object} post - Post object
+ * @returns {string} HTML string
+ */
+function generateCommentCount(post) {
+  const commentCount = getCommentCount(post);
+  return `<span class="comment-icon">💬</span>
+                    <span class="comment-count">${t("post.comments", {
+                      count: commentCount,
+                    })}</span>`;
+}
+
+/**
+ * Generate the inner HTML of a post card
+ * @param {Object} post - Post object
+ * @param {Object} options - Template options
+ * @param {Function} options.renderContent - Returns the post's safe content HTML
+ * @param {Function} [options.getSummary] - Returns summarizeContent for a post;
+ *   lets the app cache it (defaults to summarizing renderContent's output)
+ * @param {boolean} options.interactive - Include the app's action buttons
+ * @param {Function} [options.getAuthor] - Returns a post's author profile
+ *   (null if it has none)
+ * @param {Function} [options.canManage] - Whether a post may be published,
+ *   edited and deleted here; the buttons are left out when it may not
+ * @param {Object|null} options.links - Static page links: post(post), tag(tag)
+ *   and optionally category(name); null uses app routes and filter buttons
+ * @returns {string} HTML string
+ */
+function generatePostCardHTML(
+  post,
+  {
+    renderContent,
+    getSummary = (item) => summarizeContent(renderContent(item)),
+    interactive = true,
+    getAuthor = () => null,
+    canManage = () => true,
+    links = null,
+  }
+) {
+  // Cards show an excerpt cut at a sentence boundary
+  const summary = getSummary(post);
+  const isLongContent = summary.truncated;
+  const isManageable = canManage(post);
+  const postHref = links
+    ? links.post(post)
+    : `#${buildPath(["post", post.id])}`;
+
+  let actions = "";
+  if (interactive) {
+    actions = `
+                <button class="btn btn-rate btn-icon" data-action="rate" data-id="${
+                  post.id
+                }">
+                    ${t("action.rate")}
+                </button>
+                ${
+                  isLongContent
+                    ? `
+                    <button class="btn btn-read-more btn-icon" data-action="view" data-id="${
+                      post.id
+                    }">
+                    ${t("action.readMore")}
+                    </button>
+                `
+                    : ""
+                }
+                ${generatePublishButton(post, isManageable)}
+                ${isManageable ? generateManageButtons(post) : ""}`;
+  } else if (isLongContent) {
+    actions = `
+                <a class="btn btn-read-more btn-icon" href="${escapeHTML(
+                  postHref
+                )}">${t("action.readMore")}</a>`;
+  }
+
+  return `
+        ${generateCoverImage(post, "post-card-cover")}
+        <div class="post-header">
+            <h3 class="post-title"><a href="${escapeHTML(postHref)}"${
+    interactive ? ` data-action="view" data-id="${post.id}"` : ""
+  }>${escapeHTML(post.title)}</a></h3>
+            <div class="post-meta-row">
+                ${generateByline(getAuthor(post), links)}
+                <div class="post-timestamp">${generateTime(
+                  post.createdAt,
+                  interactive
+                )}${
+    post.updatedAt !== post.createdAt
+      ? ` <span class="post-edited" title="${t("post.updated", {
+          date: formatDate(post.updatedAt),
+        })}">${t("post.edited")}</span>`
+      : ""
+  }</div>
+                ${generateStatusBadge(post)}
+                <div class="post-views">
+                    ${generateViewCount(post)}
+                </div>
+                <div class="post-comments">
+                    ${generateCommentCount(post)}
+                </div>
+                <div class="post-reading">
+                    ${generateReadingTime(summary)}
+                </div>
+            </div>
+        </div>
+        ${generateTaxonomyDisplay(post, links)}
+        <p class="post-content post-excerpt">${escapeHTML(summary.excerpt)}</p>
+        <div class="post-footer">
+            ${generateRatingSummary(post)}
+            <div class="post-actions">${actions}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate the inner HTML of the post detail view
+ * @param {Object} post - Post object
+ * @param {Object} options - Template options
+ * @param {Function} options.renderContent - Returns the post's safe content HTML
+ * @param {Function} [options.getSummary] - See generatePostCardHTML
+ * @param {boolean} options.interactive - Include the app's action buttons
+ * @param {Function} [options.getAuthor] - See generatePostCardHTML
+ * @param {Function} [options.canManage] - See generatePostCardHTML
+ * @param {Object|null} options.links - Static page links (see generatePostCardHTML)
+ *   plus home, the href of the page the back link returns to
+ * @returns {string} HTML string
+ */
+function generatePostDetailHTML(
+  post,
+  {
+    renderContent,
+    getSummary = (item) => summarizeContent(renderContent(item)),
+    interactive = true,
+    getAuthor = () => null,
+    canManage = () => true,
+    links = null,
+  }
+) {
+  const summary = getSummary(post);
+  const isManageable = canManage(post);
+  const actions = interactive
+    ? `
+            <button class="btn btn-back" data-action="back">
+                ${t("action.back")}
+            </button>
+            <button class="btn btn-rate btn-icon" data-action="rate" data-id="${
+              post.id
+            }">
+                ${t("action.rate")}
+            </button>
+            ${generatePublishButton(post, isManageable)}
+            ${isManageable ? generateManageButtons(post) : ""}`
+    : `
+            <a class="btn btn-back" href="${escapeHTML(links.home)}">${t(
+        "action.back"
+      )}</a>`;
+
+  return `
+        ${generateCoverImage(post, "post-detail-cover")}
+        <div class="post-detail-header">
+            <h2 class="post-detail-title">${escapeHTML(post.title)}</h2>
+            <div class="post-detail-meta">
+                ${generateByline(getAuthor(post), links)}
+                <span class="post-timestamp">${generateTime(
+                  post.createdAt,
+                  interactive
+                )}</span>
+                ${
+                  post.updatedAt !== post.createdAt
+                    ? `<span class="post-updated">${t("post.updated", {
+                        date: generateTime(post.updatedAt, interactive),
+                      })}</span>`
+                    : ""
+                }
+                ${generateStatusBadge(post)}
+                <span class="post-views">
+                    ${generateViewCount(post)}
+                </span>
+                <span class="post-reading">
+                    ${generateReadingTime(summary)}
+                </span>
+            </div>
+            ${generateRatingSummary(post)}
+            ${generateRatingHistogram(post)}
+            ${generateTaxonomyDisplay(post, links)}
+        </div>
+        ${generateTableOfContents(summary, interactive)}
+        <div class="post-detail-content ${getContentFormatClass(
+          post
+        )}">${renderContent(post)}</div>
+        <div class="post-detail-actions">${actions}
+        </div>
+    `;
+}
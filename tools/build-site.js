@@ -0,0 +1,623 @@
+#!/usr/bin/env node
+// Personal Blog Platform - Static Site Generator
+// Turns an exported posts file (see backup.js) into plain HTML pages,
+// tag pages, an Atom feed and a sitemap. The output depends only on the
+// input file and options, so two builds of the same export are identical.
+//
+// Usage:
+//   node tools/build-site.js <export.json> --base-url https://example.com/
+//     [--out dist] [--per-page 10] [--title "My Personal Blog"] [--lang en]
+
+"use strict";
+
+// Dates are formatted in UTC so output doesn't depend on the machine
+process.env.TZ = "UTC";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { parseArgs } = require("util");
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const ROOT_DIR = path.join(__dirname, "..");
+// Browser scripts the generator runs as-is, in this order
+const SHARED_SCRIPTS = ["i18n.js", "markdown.js", "backup.js", "templates.js"];
+const DEFAULT_OUT_DIR = "dist";
+const DEFAULT_PER_PAGE = 10;
+const FEED_SIZE = 20; // Newest posts included in the feed
+const SITE_MARKER = ".blog-site"; // Marks a directory as generator output
+const UNSAFE_FILENAME = /[\u0000-\u001f\\/:*?"<>|#%\s]+/g;
+// Inline images stored in the browser, as renderMarkdown writes them
+const STORED_IMAGE_TAG = /<img data-image-id="[^"]*" alt="([^"]*)"[^>]*>/g;
+
+// ============================================
+// SHARED CODE
+// ============================================
+
+/**
+ * Run the shared browser scripts and collect the functions they declare
+ * Classic scripts share one global scope, so they run in one context
+ * @returns {Object} Context with renderMarkdown, generatePostCardHTML, ...
+ */
+function loadSharedScripts() {
+  const context = vm.createContext({ console });
+  SHARED_SCRIPTS.forEach((file) => {
+    const filename = path.join(ROOT_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+  return context;
+}
+
+const shared = loadSharedScripts();
+
+// ============================================
+// DATA FUNCTIONS
+// ============================================
+
+/**
+ * Fill in the fields the templates read, like migratePost in script.js
+ * Missing dates fall back to 0 rather than "now" to keep builds stable
+ * @param {Object} post - Validated post record
+ * @returns {Object} Post ready for the templates
+ */
+function normalizePost(post) {
+  const createdAt = post.createdAt ?? post.timestamp ?? 0;
+  return {
+    ...post,
+    format: post.format || "plain",
+    tags: post.tags || [],
+    category: post.category || "",
+    status: post.status || "published",
+    views: post.views || 0,
+    ratings: shared.migrateRatings(post.ratings || [], createdAt),
+    comments: post.comments || [],
+    coverImageId: null, // Images stay in the browser; exports don't carry them
+    createdAt,
+    updatedAt: post.updatedAt ?? post.timestamp ?? createdAt,
+  };
+}
+
+/**
+ * Look up the author profile of a post for its byline
+ * @param {Object} site - Site being built
+ * @param {Object} post - Post object
+ * @returns {Object|null} Profile from the export (null if none)
+ */
+function getAuthor(site, post) {
+  return site.authors.get(post.authorId) || null;
+}
+
+/**
+ * Sort posts newest first; ids break ties so order never varies
+ * @param {Object} a - Post
+ * @param {Object} b - Post
+ * @returns {number} Sort order
+ */
+function compareNewestFirst(a, b) {
+  return b.createdAt - a.createdAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Give every key a unique, file-system safe name
+ * @param {string[]} keys - Post ids or tag names
+ * @returns {Map<string, string>} key -> file name (without extension)
+ */
+function assignFileNames(keys) {
+  const names = new Map();
+  const used = new Set();
+
+  keys.forEach((key) => {
+    const base = key.replace(UNSAFE_FILENAME, "-").replace(/^\.+/, "") || "x";
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base}-${n}`;
+    }
+    used.add(name.toLowerCase());
+    names.set(key, name);
+  });
+
+  return names;
+}
+
+/**
+ * Render a post's content the way the app does
+ * Markdown output is safe by construction; the app's DOM sanitizer
+ * is a second layer that static pages don't need. Exports don't carry
+ * image data, so stored inline images are replaced by their alt text
+ * rather than published without a src
+ * @param {Object} post - Post object
+ * @returns {string} Safe HTML string
+ */
+function renderContent(post) {
+  return post.format === "plain"
+    ? shared.escapeHTML(post.content)
+    : shared.renderMarkdown(post.content).replace(STORED_IMAGE_TAG, "$1");
+}
+
+// ============================================
+// PAGE TEMPLATES
+// ============================================
+
+/**
+ * Build the links the shared templates use on a page
+ * @param {Object} site - Site being built
+ * @param {string} root - Relative path from the page to the site root
+ * @returns {Object} Links for generatePostCardHTML/generatePostDetailHTML
+ */
+function createLinks(site, root) {
+  return {
+    home: `${root}index.html`,
+    post: (post) =>
+      `${root}posts/${encodeURIComponent(site.postFiles.get(post.id))}.html`,
+    tag: (tag) =>
+      `${root}tags/${encodeURIComponent(site.tagFiles.get(tag))}.html`,
+  };
+}
+
+/**
+ * Wrap page content in the shared header and document shell
+ * @param {Object} site - Site being built
+ * @param {Object} page - Page options
+ * @param {string} page.title - Document title
+ * @param {string} page.path - Page path relative to the site root
+ * @param {string} page.body - Main content HTML
+ * @returns {string} Full HTML document
+ */
+function renderPage(site, { title, path: pagePath, body }) {
+  const root = "../".repeat(pagePath.split("/").length - 1);
+  const esc = shared.escapeHTML;
+
+  return `<!DOCTYPE html>
+<html lang="${shared.getLocale()}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${esc(title)}</title>
+    <link rel="canonical" href="${esc(absoluteUrl(site, pagePath))}" />
+    <link rel="stylesheet" href="${root}styles.css" />
+    <link
+      rel="alternate"
+      type="application/atom+xml"
+      title="${esc(site.title)}"
+      href="${root}feed.xml"
+    />
+  </head>
+  <body>
+    <a href="#main-content" class="skip-link">${shared.t("site.skipLink")}</a>
+
+    <header class="header" role="banner">
+      <div class="container">
+        <h1><a href="${root}index.html">📝 ${esc(site.title)}</a></h1>
+        <p>${shared.t("site.tagline")}</p>
+      </div>
+    </header>
+
+    <main class="main-content" id="main-content" role="main">
+      <div class="container">${body}
+      </div>
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Render a list of post cards with a heading and optional pagination
+ * @param {Object} site - Site being built
+ * @param {Object} list - List options
+ * @param {string} list.heading - Section heading
+ * @param {Object[]} list.posts - Posts on this page
+ * @param {number} list.total - Posts in the whole list
+ * @param {string} list.root - Relative path to the site root
+ * @param {string} list.pagination - Pagination HTML ('' for none)
+ * @returns {string} HTML string
+ */
+function renderPostList(site, { heading, posts, total, root, pagination }) {
+  const links = createLinks(site, root);
+  const cards = posts
+    .map(
+      (post) => `
+          <article class="post-card" data-post-id="${shared.escapeHTML(
+            post.id
+          )}">${shared.generatePostCardHTML(post, {
+        renderContent,
+        interactive: false,
+        getAuthor: (item) => getAuthor(site, item),
+        links,
+      })}</article>`
+    )
+    .join("");
+
+  return `
+        <section class="posts-section" aria-labelledby="posts-heading">
+          <div class="posts-header">
+            <h2 id="posts-heading">${shared.escapeHTML(heading)}</h2>
+            <span class="posts-count">${shared.t("count.posts", {
+              count: total,
+            })}</span>
+          </div>
+          ${
+            posts.length > 0
+              ? `<div class="posts-grid">${cards}
+          </div>`
+              : `<div class="empty-state"><p>${shared.t(
+                  "site.noPosts"
+                )}</p></div>`
+          }${pagination}
+        </section>`;
+}
+
+/**
+ * Render the links between index pages
+ * @param {number} page - Current page (1-based)
+ * @param {number} pageCount - Number of pages
+ * @param {string} root - Relative path to the site root
+ * @returns {string} HTML string ('' when there is one page)
+ */
+function renderPagination(page, pageCount, root) {
+  if (pageCount <= 1) return "";
+
+  const href = (n) => (n === 1 ? `${root}index.html` : `${root}page/${n}.html`);
+  const newer =
+    page > 1
+      ? `<a class="btn btn-secondary" href="${href(
+          page - 1
+        )}" rel="prev">${shared.t("site.newer")}</a>`
+      : "";
+  const older =
+    page < pageCount
+      ? `<a class="btn btn-secondary" href="${href(
+          page + 1
+        )}" rel="next">${shared.t("site.older")}</a>`
+      : "";
+
+  return `
+          <nav class="pagination" aria-label="${shared.t("list.pages")}">
+            ${newer}
+            <span class="pagination-status">${shared.t("site.pageOf", {
+              page,
+              count: pageCount,
+            })}</span>
+            ${older}
+          </nav>`;
+}
+
+// ============================================
+// FEED & SITEMAP
+// ============================================
+
+/**
+ * Resolve a site path against the base URL
+ * @param {Object} site - Site being built
+ * @param {string} sitePath - Path relative to the site root
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(site, sitePath) {
+  const url = new URL(
+    sitePath.replace(/(^|\/)index\.html$/, "$1"),
+    site.baseUrl
+  );
+  return url.href;
+}
+
+/**
+ * Render the Atom feed of the newest posts
+ * @param {Object} site - Site being built
+ * @returns {string} XML string
+ */
+function renderFeed(site) {
+  const esc = shared.escapeHTML;
+  const entries = site.posts.slice(0, FEED_SIZE);
+  const updated = Math.max(0, ...site.posts.map((post) => post.updatedAt));
+
+  const items = entries
+    .map((post) => {
+      const url = absoluteUrl(site, site.postPaths.get(post.id));
+      const categories = post.tags
+        .map((tag) => `\n    <category term="${esc(tag)}" />`)
+        .join("");
+      return `
+  <entry>
+    <title>${esc(post.title)}</title>
+    <link href="${esc(url)}" />
+    <id>${esc(url)}</id>
+    <published>${new Date(post.createdAt).toISOString()}</published>
+    <updated>${new Date(post.updatedAt).toISOString()}</updated>${categories}
+    <content type="html">${esc(renderContent(post))}</content>
+  </entry>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(site.title)}</title>
+  <subtitle>${shared.t("site.tagline")}</subtitle>
+  <link href="${esc(site.baseUrl)}" />
+  <link rel="self" href="${esc(absoluteUrl(site, "feed.xml"))}" />
+  <id>${esc(site.baseUrl)}</id>
+  <updated>${new Date(updated).toISOString()}</updated>
+  <author>
+    <name>${esc(site.author)}</name>
+  </author>${items}
+</feed>
+`;
+}
+
+/**
+ * Render sitemap.xml for every HTML page
+ * @param {Object} site - Site being built
+ * @param {{path: string, lastmod: number|null}[]} pages - Generated pages
+ * @returns {string} XML string
+ */
+function renderSitemap(site, pages) {
+  const urls = pages
+    .map(
+      (page) => `
+  <url>
+    <loc>${shared.escapeHTML(absoluteUrl(site, page.path))}</loc>${
+        page.lastmod !== null
+          ? `\n    <lastmod>${new Date(page.lastmod)
+              .toISOString()
+              .slice(0, 10)}</lastmod>`
+          : ""
+      }
+  </url>`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+// ============================================
+// BUILD
+// ============================================
+
+/**
+ * Generate every file of the site in memory
+ * Only published posts are included, never ones in the trash
+ * @param {string} exportText - Contents of an export file
+ * @param {Object} options - Build options
+ * @param {string} options.baseUrl - Absolute URL the site is served from
+ * @param {number} options.perPage - Posts per index page
+ * @param {string} options.lang - Language of the pages (see i18n.js)
+ * @param {string} [options.title] - Site title (the language's default if missing)
+ * @param {string} [options.author] - Feed author name (the title if missing)
+ * @returns {{files: Map<string, string>, skipped: Object[]}} Output path -> contents,
+ *   plus the records the import validation rejected
+ */
+function buildSite(exportText, { baseUrl, perPage, lang, title, author }) {
+  shared.setLocale(lang);
+  title = title || shared.t("site.name");
+  author = author || title;
+
+  const parsed = shared.parseImportDocument(exportText);
+  if (parsed.fatal) {
+    throw new Error(parsed.fatal);
+  }
+
+  const posts = parsed.posts
+    .map(normalizePost)
+    .filter((post) => post.status === "published" && !post.deletedAt)
+    .sort(compareNewestFirst);
+  const tags = [...new Set(posts.flatMap((post) => post.tags))].sort();
+
+  const site = {
+    title,
+    author,
+    baseUrl: baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`,
+    posts,
+    authors: new Map(parsed.authors.map((profile) => [profile.id, profile])),
+    postFiles: assignFileNames(posts.map((post) => post.id)),
+    tagFiles: assignFileNames(tags),
+  };
+  site.postPaths = new Map(
+    posts.map((post) => [post.id, `posts/${site.postFiles.get(post.id)}.html`])
+  );
+
+  const files = new Map();
+  const pages = [];
+  const addPage = (pagePath, pageTitle, body, lastmod = null) => {
+    files.set(
+      pagePath,
+      renderPage(site, { title: pageTitle, path: pagePath, body })
+    );
+    pages.push({ path: pagePath, lastmod });
+  };
+
+  // Paginated index
+  const pageCount = Math.max(1, Math.ceil(posts.length / perPage));
+  for (let page = 1; page <= pageCount; page++) {
+    const pagePath = page === 1 ? "index.html" : `page/${page}.html`;
+    const root = page === 1 ? "" : "../";
+    addPage(
+      pagePath,
+      page === 1 ? title : `${title} | ${shared.t("list.page", { page })}`,
+      renderPostList(site, {
+        heading: shared.t("list.heading"),
+        posts: posts.slice((page - 1) * perPage, page * perPage),
+        total: posts.length,
+        root,
+        pagination: renderPagination(page, pageCount, root),
+      })
+    );
+  }
+
+  // One page per post
+  const postLinks = createLinks(site, "../");
+  posts.forEach((post) => {
+    addPage(
+      site.postPaths.get(post.id),
+      `${post.title} | ${title}`,
+      `
+        <article class="post-detail active">${shared.generatePostDetailHTML(
+          post,
+          {
+            renderContent,
+            interactive: false,
+            getAuthor: (item) => getAuthor(site, item),
+            links: postLinks,
+          }
+        )}</article>`,
+      post.updatedAt
+    );
+  });
+
+  // One page per tag
+  tags.forEach((tag) => {
+    const tagged = posts.filter((post) => post.tags.includes(tag));
+    addPage(
+      `tags/${site.tagFiles.get(tag)}.html`,
+      `#${tag} | ${title}`,
+      renderPostList(site, {
+        heading: shared.t("site.taggedHeading", { tag }),
+        posts: tagged,
+        total: tagged.length,
+        root: "../",
+        pagination: "",
+      })
+    );
+  });
+
+  files.set("feed.xml", renderFeed(site));
+  files.set("sitemap.xml", renderSitemap(site, pages));
+  files.set(
+    "styles.css",
+    fs.readFileSync(path.join(ROOT_DIR, "styles.css"), "utf8")
+  );
+  files.set(SITE_MARKER, "Generated by tools/build-site.js\n");
+
+  return { files, skipped: parsed.errors };
+}
+
+/**
+ * Replace the output directory with freshly built files
+ * Refuses to clear a directory the generator didn't create
+ * @param {string} outDir - Output directory
+ * @param {Map<string, string>} files - Output path -> contents
+ */
+function writeSite(outDir, files) {
+  if (fs.existsSync(outDir)) {
+    const isEmpty = fs.readdirSync(outDir).length === 0;
+    if (!isEmpty && !fs.existsSync(path.join(outDir, SITE_MARKER))) {
+      throw new Error(
+        `${outDir} is not empty and wasn't created by this generator`
+      );
+    }
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+
+  [...files.keys()].sort().forEach((file) => {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, files.get(file));
+  });
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+/**
+ * Read the author name from package.json, if it names one
+ * npm allows "Name <email> (url)" or { name, email, url }; only the name
+ * goes into the feed
+ * @returns {string|undefined} Author name
+ */
+function readPackageAuthor() {
+  const { author } = require(path.join(ROOT_DIR, "package.json"));
+  const name =
+    typeof author === "string"
+      ? author.replace(/\s*[<(].*$/, "")
+      : author && author.name;
+
+  return name ? name.trim() || undefined : undefined;
+}
+
+/**
+ * Parse arguments, build the site and write it to disk
+ * @param {string[]} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const usage =
+    "Usage: node tools/build-site.js <export.json> --base-url <url> " +
+    "[--out dir] [--per-page n] [--title text] [--lang code]";
+
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        "base-url": { type: "string" },
+        out: { type: "string", default: DEFAULT_OUT_DIR },
+        "per-page": { type: "string", default: String(DEFAULT_PER_PAGE) },
+        title: { type: "string" },
+        lang: { type: "string", default: shared.getLocale() },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n${usage}`);
+    return 1;
+  }
+
+  const [input] = args.positionals;
+  const baseUrl = args.values["base-url"];
+  const perPage = Number(args.values["per-page"]);
+
+  if (!input || !baseUrl) {
+    console.error(usage);
+    return 1;
+  }
+  if (!/^https?:\/\//.test(baseUrl)) {
+    console.error("--base-url must be an absolute http(s) URL");
+    return 1;
+  }
+  if (!Number.isInteger(perPage) || perPage < 1) {
+    console.error("--per-page must be a positive whole number");
+    return 1;
+  }
+  if (!shared.isSupportedLocale(args.values.lang)) {
+    console.error("--lang must be a language in i18n.js, e.g. en");
+    return 1;
+  }
+
+  try {
+    // Without an author in package.json the feed credits the site title
+    const author = readPackageAuthor();
+    const { files, skipped } = buildSite(fs.readFileSync(input, "utf8"), {
+      baseUrl,
+      perPage,
+      lang: args.values.lang,
+      title: args.values.title,
+      ...(author ? { author } : {}),
+    });
+
+    skipped.forEach((error) => {
+      console.warn(
+        `Skipped record ${error.index + 1}${
+          error.id ? ` (${error.id})` : ""
+        }: ${error.messages.join("; ")}`
+      );
+    });
+
+    writeSite(args.values.out, files);
+    console.log(`Wrote ${files.size} files to ${args.values.out}`);
+    return 0;
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { buildSite };
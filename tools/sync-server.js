@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+// Personal Blog Platform - Sync Reference Server
+// A small REST API for the sync client (sync.js), storing posts in a
+// JSON file. Meant for local use and testing, not for production.
+//
+// Usage:
+//   node tools/sync-server.js [--port 8787] [--data sync-data.json]
+//
+// API (all bodies are JSON):
+//   GET    /api/posts               -> { posts: [record, ...] }
+//   PUT    /api/posts/:id           { post, baseVersion } -> { post }
+//   DELETE /api/posts/:id           { baseVersion } -> { post }
+//   POST   /api/posts/:id/ratings   { rating: {raterId, rating, ratedAt} } -> { post }
+//   DELETE /api/posts/:id/ratings   { raterId } -> { post }
+//   POST   /api/posts/:id/views     { count, day } -> { post }
+//
+// Every record has a version that goes up by one on each change. Writes
+// based on an older version get 409 with the current record. Deleted
+// posts are kept as { id, deleted: true, version } so other clients
+// learn about the deletion. Ratings (one per rater) and views are
+// applied one at a time and never conflict. Views are also counted per
+// day ("YYYY-MM-DD", the viewer's local date) in viewsByDay.
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { parseArgs } = require("util");
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = "sync-data.json";
+const MAX_BODY_BYTES = 5 * 1024 * 1024; // Largest accepted request body
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // Days in viewsByDay
+const POST_ROUTE = /^\/api\/posts\/([^/]+)(?:\/(ratings|views))?$/;
+
+// ============================================
+// FILE STORE
+// ============================================
+
+/**
+ * Create a store that keeps every record in one JSON file
+ * Writes go to a temporary file first, then replace the real one,
+ * so a crash never leaves a half-written file
+ * @param {string} file - Path of the JSON file
+ * @returns {Object} Store with all(), get(id) and set(record)
+ */
+function createFileStore(file) {
+  let records = {};
+  if (fs.existsSync(file)) {
+    records = JSON.parse(fs.readFileSync(file, "utf8")).posts || {};
+  }
+
+  const persist = () => {
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ posts: records }, null, 2));
+    fs.renameSync(temp, file);
+  };
+
+  return {
+    all: () => Object.values(records),
+    get: (id) => records[id] || null,
+    set: (record) => {
+      records[record.id] = record;
+      persist();
+      return record;
+    },
+  };
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+
+/**
+ * Build an error thrown back to the client as an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check a write's base version against the stored record
+ * @param {Object|null} current - Stored record
+ * @param {*} baseVersion - Version the client based its change on
+ * @returns {{status: number, body: Object}|null} 409 response, or null if OK
+ */
+function checkVersion(current, baseVersion) {
+  if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+    throw httpError(400, "baseVersion must be a whole number");
+  }
+  const currentVersion = current ? current.version : 0;
+  return baseVersion === currentVersion
+    ? null
+    : { status: 409, body: { error: "Version conflict", post: current } };
+}
+
+/**
+ * Handle one API request
+ * @param {Object} store - File store
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {Object} body - Parsed JSON body
+ * @returns {{status: number, body: Object}} Response
+ */
+function handleApiRequest(store, method, pathname, body) {
+  if (pathname === "/api/posts" && method === "GET") {
+    return { status: 200, body: { posts: store.all() } };
+  }
+
+  const match = pathname.match(POST_ROUTE);
+  if (!match) {
+    throw httpError(404, "Not found");
+  }
+
+  let id;
+  try {
+    id = decodeURIComponent(match[1]);
+  } catch (error) {
+    throw httpError(400, "Malformed post id");
+  }
+  const action = match[2];
+  const current = store.get(id);
+
+  if (!action && method === "PUT") {
+    const post = body.post;
+    if (!post || post.id !== id || typeof post.title !== "string") {
+      throw httpError(400, "Body must contain the post with a matching id");
+    }
+    const conflict = checkVersion(current, body.baseVersion);
+    if (conflict) return conflict;
+
+    // Counters are only changed through their own endpoints
+    const isLive = current && !current.deleted;
+    const record = {
+      ...post,
+      views: isLive ? current.views : post.views || 0,
+      viewsByDay: isLive ? current.viewsByDay || {} : post.viewsByDay || {},
+      ratings: isLive ? current.ratings : post.ratings || [],
+      version: (current ? current.version : 0) + 1,
+    };
+    return { status: 200, body: { post: store.set(record) } };
+  }
+
+  if (!current || current.deleted) {
+    // Deleting twice is fine; anything else needs a live post
+    if (!action && method === "DELETE" && current) {
+      return { status: 200, body: { post: current } };
+    }
+    throw httpError(404, "Post not found");
+  }
+
+  if (!action && method === "DELETE") {
+    const conflict = checkVersion(current, body.baseVersion);
+    if (conflict) return conflict;
+    const record = { id, deleted: true, version: current.version + 1 };
+    return { status: 200, body: { post: store.set(record) } };
+  }
+
+  if (action === "ratings" && method === "POST") {
+    const rating = body.rating;
+    if (
+      !rating ||
+      typeof rating.raterId !== "string" ||
+      !Number.isInteger(rating.rating) ||
+      rating.rating < 1 ||
+      rating.rating > 5 ||
+      !Number.isFinite(rating.ratedAt)
+    ) {
+      throw httpError(
+        400,
+        "rating must have a raterId, a whole number from 1 to 5 and ratedAt"
+      );
+    }
+    // A rater's new rating replaces their old one
+    const record = {
+      ...current,
+      ratings: current.ratings
+        .filter((entry) => entry.raterId !== rating.raterId)
+        .concat(rating),
+      version: current.version + 1,
+    };
+    return { status: 200, body: { post: store.set(record) } };
+  }
+
+  if (action === "ratings" && method === "DELETE") {
+    if (typeof body.raterId !== "string") {
+      throw httpError(400, "raterId must be a string");
+    }
+    // Undoing a first rating takes it away again
+    const record = {
+      ...current,
+      ratings: current.ratings.filter(
+        (entry) => entry.raterId !== body.raterId
+      ),
+      version: current.version + 1,
+    };
+    return { status: 200, body: { post: store.set(record) } };
+  }
+
+  if (action === "views" && method === "POST") {
+    if (!Number.isInteger(body.count) || body.count < 1) {
+      throw httpError(400, "count must be a positive whole number");
+    }
+    // Clients from before daily counts only send the total
+    if (body.day !== undefined && !DAY_KEY_PATTERN.test(body.day)) {
+      throw httpError(400, "day must be a date like 2025-11-08");
+    }
+    const viewsByDay = { ...current.viewsByDay };
+    if (body.day !== undefined) {
+      viewsByDay[body.day] = (viewsByDay[body.day] || 0) + body.count;
+    }
+    const record = {
+      ...current,
+      views: current.views + body.count,
+      viewsByDay,
+      version: current.version + 1,
+    };
+    return { status: 200, body: { post: store.set(record) } };
+  }
+
+  throw httpError(405, "Method not allowed");
+}
+
+/**
+ * Read and parse a JSON request body
+ * Anything but a JSON object is refused, so handlers can read its fields
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      let body;
+      try {
+        body = text ? JSON.parse(text) : {};
+      } catch (error) {
+        reject(httpError(400, "Body is not valid JSON"));
+        return;
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        reject(httpError(400, "Body must be a JSON object"));
+        return;
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Create the HTTP server
+ * The browser app usually runs from another origin (or file://),
+ * so every response allows cross-origin requests
+ * @param {Object} store - File store
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createSyncServer(store) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, PUT, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(body === null ? "" : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      send(204, null);
+      return;
+    }
+
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const body = await readJsonBody(req);
+      const response = handleApiRequest(store, req.method, pathname, body);
+      send(response.status, response.body);
+    } catch (error) {
+      if (!error.status) {
+        console.error(error);
+      }
+      send(error.status || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Parse arguments and start the server
+ * @param {string[]} argv - Command line arguments
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string", default: String(DEFAULT_PORT) },
+      data: { type: "string", default: DEFAULT_DATA_FILE },
+    },
+  });
+
+  const dataFile = path.resolve(values.data);
+  const server = createSyncServer(createFileStore(dataFile));
+  server.listen(Number(values.port), () => {
+    console.log(
+      `Sync server listening on http://localhost:${server.address().port}/api`
+    );
+    console.log(`Storing posts in ${dataFile}`);
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { createFileStore, createSyncServer, handleApiRequest };